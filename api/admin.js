@@ -1,15 +1,60 @@
 const express = require('express');
+const gpio = require('./gpio');
+const machine = require('./machine');
+const machineMode = require('./mode');
+const schedule = require('./schedule');
+const { quoteRefund, refundUnusedCredits } = require('./refunds');
+const { createVouchers } = require('./vouchers');
+const campaigns = require('./campaigns');
+const auth = require('./auth');
+const { SETTLE_POLICIES } = require('./turn');
 const {
     listAllDonations,
+    listRefunds,
+    listCreditLedger,
+    listVouchers,
+    disableVoucher,
+    getDonationById,
     adjustCredits,
     setCreditsTotal,
     setCreditsUsed,
     deleteDonationById,
     deleteAllDonations,
     requeueToEnd,
+    moveInQueue,
+    listQueue,
     setDonationStatus,
+    writeAudit,
+    listAudit,
+    listAdminUsers,
+    getAdminUser,
 } = require('./db');
 
+// Donation fields worth keeping in an audit entry
+function creditFields(d) {
+    return d ? { credits_total: d.credits_total, credits_used: d.credits_used } : null;
+}
+
+function queueFields(d) {
+    return d ? { status: d.status, queue_position: d.queue_position } : null;
+}
+
+// Deleted rows are kept whole, minus the player's session secret
+function donationRecord(d) {
+    if (!d) return null;
+    const { session_token, ...record } = d;
+    return record;
+}
+
+// Audit actions written by failed login attempts (see POST /login)
+const FAILED_LOGIN_ACTIONS = ['auth.login_failed', 'auth.login_blocked'];
+
+// Client address; a proxy in front (Next.js / nginx) shows up as the forwarded chain
+function clientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    return forwarded ? `${req.ip} (forwarded for ${forwarded})` : req.ip;
+}
+
 /**
  * Admin router factory
  * @param {object} game - game module instance
@@ -17,66 +62,177 @@ const {
 function createAdminRouter(game) {
     const router = express.Router();
 
-    /**
-     * Admin auth middleware:
-     * - Supports Authorization: Bearer <token>
-     * - Also supports x-admin-token header for simplicity
-     * - Token is stored ONLY on backend in ADMIN_TOKEN env var
-     */
-    function requireAdmin(req, res, next) {
-        const bearer = req.headers.authorization?.startsWith('Bearer ')
+    function sessionToken(req) {
+        return req.headers.authorization?.startsWith('Bearer ')
             ? req.headers.authorization.slice(7)
             : null;
+    }
 
-        const headerToken = req.headers['x-admin-token'];
-        const token = bearer || headerToken || req.query.adminToken;
+    /**
+     * Admin auth middleware (see auth.js):
+     * - Authorization: Bearer <session token> from POST /api/admin/login
+     * - 401 without a valid session, 403 when the account's role is too low
+     * - Sets req.admin = { id, username, role }
+     */
+    function requireRole(role) {
+        return (req, res, next) => {
+            const session = auth.authenticate(sessionToken(req));
+            if (!session) return res.status(401).json({ error: 'unauthorized' });
+
+            req.admin = { id: session.id, username: session.username, role: session.role };
+            if (!auth.hasRole(req.admin, role)) return res.status(403).json({ error: 'forbidden' });
+
+            next();
+        };
+    }
+
+    // Running the machine during an event vs. anything that deletes data or changes money/pricing
+    const requireOperator = requireRole('operator');
+    const requireOwner = requireRole('owner');
 
-        if (!process.env.ADMIN_TOKEN || token !== process.env.ADMIN_TOKEN) {
-            return res.status(403).json({ error: 'forbidden' });
+    /**
+     * Audit log entry for a privileged action (listed by GET /api/admin/audit).
+     * - target: { type, id }; before/after: the values the action changed
+     * - actor defaults to the signed-in admin
+     * - A failing audit write is logged but never undoes the action itself
+     */
+    function audit(req, action, { actor, target, before, after } = {}) {
+        try {
+            writeAudit({
+                actor: actor || req.admin?.username || 'unknown',
+                action,
+                targetType: target?.type,
+                targetId: target?.id,
+                before,
+                after,
+                ip: clientIp(req),
+            });
+        } catch (err) {
+            console.error(`Audit write for ${action} failed:`, err);
         }
+    }
 
-        next();
+    // Optional body.settle for routes that end a turn (default: auto, see SETTLE_POLICIES in turn.js)
+    function settlePolicy(req, res, fallback = 'auto') {
+        const settle = req.body?.settle ?? fallback;
+        if (SETTLE_POLICIES.includes(settle)) return settle;
+
+        res.status(400).json({ error: 'invalid_settle', allowed: SETTLE_POLICIES });
+        return null;
     }
 
     /**
-     * Helper: safe end active player without crashing if game.forceEndActive isn't implemented.
+     * POST /api/admin/login
+     * Body: { username, password }
+     * Returns { token, expiresAt, user }; send the token as "Authorization: Bearer <token>".
+     * - 401 wrong credentials, 429 too many failures from this address (retryAt: when it can try again)
+     * - Audited once per burst of failures (the first one, and the one that blocks the address
+     *   with its attempt count), so guessing can't flood the audit log
      */
-    function safeForceEndActive(reason = 'admin') {
-        if (typeof game.forceEndActive === 'function') {
-            game.forceEndActive(reason);
-            return;
+    router.post('/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        const result = await auth.login({ username, password }, { client: req.ip });
+
+        if (!result.ok) {
+            if (result.error === 'too_many_attempts') {
+                return res.status(429).json({ error: result.error, retryAt: new Date(result.retryAt).toISOString() });
+            }
+
+            const actor = String(username || '').slice(0, 64) || 'unknown';
+            if (result.blocked) {
+                audit(req, 'auth.login_blocked', { actor, after: { attempts: result.attempts, until: new Date(result.retryAt).toISOString() } });
+            } else if (result.attempts === 1) {
+                audit(req, 'auth.login_failed', { actor });
+            }
+            return res.status(401).json({ error: result.error });
         }
 
-        // fallback (no gpio timers access here)
-        const activeId = game.getActiveState?.().activeDonationId;
-        if (activeId) {
-            setDonationStatus(Number(activeId), 'done');
+        audit(req, 'auth.login', { actor: result.user.username, target: { type: 'user', id: result.user.id } });
+        return res.json({ token: result.token, expiresAt: result.expiresAt, user: result.user });
+    });
+
+    /**
+     * POST /api/admin/logout
+     * Ends the current session.
+     */
+    router.post('/logout', requireOperator, (req, res) => {
+        auth.logout(sessionToken(req));
+        audit(req, 'auth.logout', { target: { type: 'user', id: req.admin.id } });
+        return res.json({ ok: true });
+    });
+
+    /**
+     * GET /api/admin/me
+     * The signed-in account and when its session expires.
+     */
+    router.get('/me', requireOperator, (req, res) => {
+        const session = auth.authenticate(sessionToken(req));
+        return res.json({ user: getAdminUser(req.admin.id), expiresAt: session.expires_at });
+    });
+
+    /**
+     * POST /api/admin/me/password
+     * Body: { currentPassword, newPassword }
+     * Other sessions of this account are signed out.
+     */
+    router.post('/me/password', requireOperator, async (req, res) => {
+        const result = await auth.changeOwnPassword(req.admin.id, req.body || {}, sessionToken(req));
+        if (!result.ok) {
+            return res.status(result.error === 'invalid_credentials' ? 403 : 400).json({ error: result.error });
         }
-        game.maybeStartNext?.();
-        game.broadcastQueue?.();
-    }
+
+        audit(req, 'user.change_password', { target: { type: 'user', id: req.admin.id } });
+        return res.json({ ok: true });
+    });
 
     /**
      * GET /api/admin/donations
-     * List all donations (created/waiting/active/done).
+     * List all donations (created/waiting/active/done), plus the active player, machine mode and opening hours.
      */
-    router.get('/donations', requireAdmin, (req, res) => {
+    router.get('/donations', requireOperator, (req, res) => {
         const rows = listAllDonations();
-        const activeDonationId = game.getActiveState?.().activeDonationId || null;
-        return res.json({ donations: rows, activeDonationId });
+        const activeState = game.getActiveState?.() || {};
+        return res.json({
+            donations: rows,
+            activeDonationId: activeState.activeDonationId || null,
+            homeOverdue: !!activeState.homeOverdue,
+            machineMode: machineMode.get(),
+            hours: schedule.getStatus(),
+        });
+    });
+
+    /**
+     * GET /api/admin/donations/:id/credits
+     * Credit history of one donation (ledger, oldest first) + the balance it adds up to.
+     */
+    router.get('/donations/:id/credits', requireOperator, (req, res) => {
+        const donation = getDonationById(Number(req.params.id));
+        if (!donation) return res.status(404).json({ error: 'not_found' });
+
+        return res.json({
+            entries: listCreditLedger(donation.id),
+            creditsTotal: donation.credits_total,
+            creditsUsed: donation.credits_used,
+        });
     });
 
     /**
      * POST /api/admin/credits/add
-     * Body: { id, delta }
+     * Body: { id, delta, reason? }
      */
-    router.post('/credits/add', requireAdmin, (req, res) => {
+    router.post('/credits/add', requireOperator, (req, res) => {
         const { id, delta } = req.body;
         if (!id || typeof delta !== 'number') {
             return res.status(400).json({ error: 'id and numeric delta required' });
         }
 
-        const updated = adjustCredits(Number(id), delta);
+        const before = creditFields(getDonationById(Number(id)));
+        const updated = adjustCredits(Number(id), delta, { actor: req.admin.username, reason: req.body.reason });
+        audit(req, 'credits.add', {
+            target: { type: 'donation', id },
+            before,
+            after: { ...creditFields(updated), delta, reason: req.body.reason || null },
+        });
         game.maybeStartNext?.();
         game.broadcastQueue?.();
 
@@ -85,15 +241,21 @@ function createAdminRouter(game) {
 
     /**
      * POST /api/admin/credits/set-total
-     * Body: { id, creditsTotal }
+     * Body: { id, creditsTotal, reason? }
      */
-    router.post('/credits/set-total', requireAdmin, (req, res) => {
+    router.post('/credits/set-total', requireOperator, (req, res) => {
         const { id, creditsTotal } = req.body;
         if (!id || typeof creditsTotal !== 'number') {
             return res.status(400).json({ error: 'id and numeric creditsTotal required' });
         }
 
-        const updated = setCreditsTotal(Number(id), creditsTotal);
+        const before = creditFields(getDonationById(Number(id)));
+        const updated = setCreditsTotal(Number(id), creditsTotal, { actor: req.admin.username, reason: req.body.reason });
+        audit(req, 'credits.set_total', {
+            target: { type: 'donation', id },
+            before,
+            after: { ...creditFields(updated), reason: req.body.reason || null },
+        });
         game.maybeStartNext?.();
         game.broadcastQueue?.();
 
@@ -102,15 +264,21 @@ function createAdminRouter(game) {
 
     /**
      * POST /api/admin/credits/set-used
-     * Body: { id, creditsUsed }
+     * Body: { id, creditsUsed, reason? }
      */
-    router.post('/credits/set-used', requireAdmin, (req, res) => {
+    router.post('/credits/set-used', requireOperator, (req, res) => {
         const { id, creditsUsed } = req.body;
         if (!id || typeof creditsUsed !== 'number') {
             return res.status(400).json({ error: 'id and numeric creditsUsed required' });
         }
 
-        const updated = setCreditsUsed(Number(id), creditsUsed);
+        const before = creditFields(getDonationById(Number(id)));
+        const updated = setCreditsUsed(Number(id), creditsUsed, { actor: req.admin.username, reason: req.body.reason });
+        audit(req, 'credits.set_used', {
+            target: { type: 'donation', id },
+            before,
+            after: { ...creditFields(updated), reason: req.body.reason || null },
+        });
         game.maybeStartNext?.();
         game.broadcastQueue?.();
 
@@ -121,71 +289,370 @@ function createAdminRouter(game) {
      * POST /api/admin/requeue
      * Body: { id }
      */
-    router.post('/requeue', requireAdmin, (req, res) => {
+    router.post('/requeue', requireOperator, (req, res) => {
         const { id } = req.body;
         if (!id) return res.status(400).json({ error: 'id required' });
 
+        const before = queueFields(getDonationById(Number(id)));
         requeueToEnd(Number(id));
+        audit(req, 'donation.requeue', {
+            target: { type: 'donation', id },
+            before,
+            after: queueFields(getDonationById(Number(id))),
+        });
         game.maybeStartNext?.();
         game.broadcastQueue?.();
 
         return res.json({ ok: true });
     });
 
+    /**
+     * POST /api/admin/queue/move
+     * Body: { id, position } (1 = next to play) or { id, direction: 'up' | 'down' }
+     * Reorders waiting players; the active player stays in front.
+     */
+    router.post('/queue/move', requireOperator, (req, res) => {
+        const id = Number(req.body.id);
+        const { direction } = req.body;
+        if (!id) return res.status(400).json({ error: 'id required' });
+
+        const waitingIds = listQueue().filter(q => q.status === 'waiting').map(q => q.id);
+        const from = waitingIds.indexOf(id) + 1;
+        if (!from) return res.status(409).json({ error: 'not_waiting' });
+
+        let position;
+        if (direction === 'up' || direction === 'down') {
+            position = from + (direction === 'up' ? -1 : 1);
+        } else if (Number.isInteger(req.body.position) && req.body.position >= 1) {
+            position = req.body.position;
+        } else {
+            return res.status(400).json({ error: 'position or direction required' });
+        }
+
+        const queue = moveInQueue(id, position);
+        const to = queue.filter(q => q.status === 'waiting').findIndex(q => q.id === id) + 1;
+
+        audit(req, 'queue.move', { target: { type: 'donation', id }, before: { position: from }, after: { position: to } });
+        game.broadcastQueue?.();
+
+        return res.json({ ok: true, position: to });
+    });
+
     /**
      * POST /api/admin/status/set
-     * Body: { id, status }
-     * status: created | waiting | active | done
+     * Body: { id, status, settle? }
+     * status: created | waiting | active | done | failed | canceled | expired
      */
-    router.post('/status/set', requireAdmin, (req, res) => {
+    router.post('/status/set', requireOperator, (req, res) => {
         const { id, status } = req.body;
         if (!id || !status) {
             return res.status(400).json({ error: 'id and status required' });
         }
 
-        const allowed = ['created', 'waiting', 'active', 'done'];
+        const allowed = ['created', 'waiting', 'active', 'done', 'failed', 'canceled', 'expired'];
         if (!allowed.includes(status)) {
             return res.status(400).json({ error: 'invalid status' });
         }
 
+        const settle = settlePolicy(req, res);
+        if (!settle) return;
+
         const numericId = Number(id);
+        const before = getDonationById(numericId)?.status ?? null;
 
         if (status === 'active') {
-            // Try to use game forceActivate if exists
-            if (typeof game.forceActivateDonation === 'function') {
-                const ok = game.forceActivateDonation(numericId);
-                if (!ok) return res.status(404).json({ error: 'not_found' });
-            } else {
-                // fallback: set waiting then let engine pick it normally
-                setDonationStatus(numericId, 'waiting');
-                game.maybeStartNext?.();
+            // Preempts whoever is playing now
+            const result = game.forceActivateDonation(numericId, { reason: 'admin_activate', settle });
+            if (!result.ok) {
+                return res.status(result.error === 'not_found' ? 404 : 409).json({ error: result.error });
             }
         } else {
-            // If moving away from active and that player is active, end them safely.
-            const activeId = game.getActiveState?.().activeDonationId;
-            if (activeId === numericId) {
-                safeForceEndActive('admin_status_change');
+            // Moving the active player away from active ends their turn first
+            if (game.getActiveState().activeDonationId === numericId) {
+                game.forceEndActive('admin_status_change', { settle });
             }
             setDonationStatus(numericId, status);
-            game.maybeStartNext?.();
+            game.maybeStartNext();
         }
 
+        audit(req, 'donation.set_status', {
+            target: { type: 'donation', id: numericId },
+            before: { status: before },
+            after: { status: getDonationById(numericId)?.status ?? null },
+        });
+
         game.broadcastQueue?.();
         return res.json({ ok: true });
     });
 
     /**
      * POST /api/admin/player/end-active
+     * Body: { settle?, fault? }
+     * - settle: what happens to a credit in play: auto | consume | return
+     * - fault: the machine is to blame; the credit in play is returned by default and the
+     *   unused credits are refunded automatically (reason admin_fault)
+     */
+    router.post('/player/end-active', requireOperator, (req, res) => {
+        const fault = req.body?.fault === true;
+        const settle = settlePolicy(req, res, fault ? 'return' : 'auto');
+        if (!settle) return;
+
+        const activeId = game.getActiveState().activeDonationId;
+        const before = creditFields(activeId && getDonationById(activeId));
+        const ended = game.forceEndActive(fault ? 'admin_fault' : 'admin_end', { settle });
+
+        audit(req, 'player.end_active', {
+            target: { type: 'donation', id: activeId },
+            before: activeId ? { status: 'active', ...before } : undefined,
+            after: activeId ? {
+                status: getDonationById(activeId)?.status ?? null,
+                ...creditFields(getDonationById(activeId)),
+                settle,
+                fault,
+            } : undefined,
+        });
+        return res.json({ ok: true, ended });
+    });
+
+    /**
+     * GET /api/admin/audit
+     * Query: actor?, action? (prefix, e.g. "credits"), targetType?, targetId?, from?, to? (ISO),
+     *        failedLogins? (1 = include them), limit? (default 50, max 200), offset?
+     * Audit entries newest first + total matching count for paging.
+     * Failed logins are anonymous noise: left out unless asked for (failedLogins=1, or an action filter such as "auth").
+     */
+    router.get('/audit', requireOperator, (req, res) => {
+        const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+        const offset = Math.max(0, Number(req.query.offset) || 0);
+        const { actor, action, targetType, targetId, from, to } = req.query;
+        const excludeActions = action || req.query.failedLogins === '1' ? [] : FAILED_LOGIN_ACTIONS;
+
+        const { entries, total } = listAudit({ actor, action, excludeActions, targetType, targetId, from, to, limit, offset });
+        return res.json({ entries, total, limit, offset });
+    });
+
+    /**
+     * GET /api/admin/gpio
+     * Driver name, held lines and simulator state (when GPIO_DRIVER=sim).
+     */
+    router.get('/gpio', requireOperator, (req, res) => {
+        return res.json(gpio.getState());
+    });
+
+    /**
+     * POST /api/admin/gpio/simulate-input
+     * Body: { line, active } (simulator only, e.g. { line: 'prize', active: true })
+     */
+    router.post('/gpio/simulate-input', requireOperator, (req, res) => {
+        const { line, active } = req.body;
+        if (!line || typeof active !== 'boolean') {
+            return res.status(400).json({ error: 'line and boolean active required' });
+        }
+
+        if (!gpio.simulateInput(line, active)) {
+            return res.status(400).json({ error: 'not_simulated' });
+        }
+
+        audit(req, 'gpio.simulate_input', { target: { type: 'gpio', id: line }, after: { active } });
+
+        return res.json({ ok: true });
+    });
+
+    /**
+     * GET /api/admin/safety
+     * Recent GPIO safety violations (newest first).
+     */
+    router.get('/safety', requireOperator, (req, res) => {
+        return res.json({ violations: gpio.getViolations() });
+    });
+
+    /**
+     * GET /api/admin/machine
+     * Active machine profile (wiring, pulse widths, safety limits, game timings).
+     */
+    router.get('/machine', requireOperator, (req, res) => {
+        return res.json({ profile: machine.get(), path: machine.PROFILE_PATH });
+    });
+
+    /**
+     * POST /api/admin/machine
+     * Body: { profile }
+     * Validates, saves and applies a new profile. Invalid profiles are rejected with every error listed.
+     */
+    router.post('/machine', requireOwner, (req, res) => {
+        const { profile } = req.body;
+        if (!profile) return res.status(400).json({ error: 'profile required' });
+
+        const before = machine.get();
+        const result = machine.save(profile);
+        if (!result.ok) {
+            return res.status(400).json({ error: 'invalid_profile', errors: result.errors });
+        }
+
+        audit(req, 'machine.save', { target: { type: 'machine' }, before, after: result.profile });
+
+        return res.json({ ok: true, profile: result.profile });
+    });
+
+    /**
+     * POST /api/admin/mode
+     * Body: { mode, message?, acceptDonations? } (see mode.js)
+     * Pausing freezes the active turn; the change is broadcast as "machine-mode".
+     */
+    router.post('/mode', requireOperator, (req, res) => {
+        const { mode, message, acceptDonations } = req.body || {};
+
+        const before = machineMode.get();
+        const result = machineMode.set({ mode, message, acceptDonations }, req.admin.username);
+        if (!result.ok) {
+            return res.status(400).json({ error: result.error, allowed: machineMode.MODES });
+        }
+
+        audit(req, 'machine.mode', { target: { type: 'machine' }, before, after: result.state });
+
+        return res.json({ ok: true, ...result.state });
+    });
+
+    /**
+     * GET /api/admin/refunds
+     * Refund history (newest first).
+     */
+    router.get('/refunds', requireOperator, (req, res) => {
+        return res.json({ refunds: listRefunds() });
+    });
+
+    /**
+     * GET /api/admin/refunds/quote/:id
+     * What a refund of this donation's unused credits would pay back right now.
+     */
+    router.get('/refunds/quote/:id', requireOperator, (req, res) => {
+        const donation = getDonationById(Number(req.params.id));
+        if (!donation) return res.status(404).json({ error: 'not_found' });
+
+        return res.json(quoteRefund(donation));
+    });
+
+    /**
+     * POST /api/admin/refunds
+     * Body: { id }
+     * Refunds the unused credits of a donation (not while it is the active player).
+     */
+    router.post('/refunds', requireOwner, async (req, res) => {
+        const id = Number(req.body.id);
+        if (!id) return res.status(400).json({ error: 'id required' });
+
+        const result = await refundUnusedCredits(id, { reason: 'admin' });
+        if (!result.ok) {
+            const status = {
+                not_found: 404,
+                refund_failed: 502,
+            }[result.error] || 409;
+            return res.status(status).json({ error: result.error });
+        }
+
+        audit(req, 'refund.create', {
+            target: { type: 'donation', id },
+            after: { refundId: result.refund.id, credits: result.refund.credits, amountEur: result.refund.amount_eur },
+        });
+
+        game.maybeStartNext?.();
+        game.broadcastQueue?.();
+        return res.json({ ok: true, refund: result.refund });
+    });
+
+    /**
+     * GET /api/admin/vouchers
+     * All voucher codes with their redemptions (newest first).
+     */
+    router.get('/vouchers', requireOperator, (req, res) => {
+        return res.json({ vouchers: listVouchers() });
+    });
+
+    /**
+     * POST /api/admin/vouchers
+     * Body: { credits, maxUses?, expiresAt?, note?, code?, count? }
+     * - count random codes, or one code chosen by the admin
+     */
+    router.post('/vouchers', requireOwner, (req, res) => {
+        const { credits, maxUses, expiresAt, note, code, count } = req.body;
+
+        const result = createVouchers({
+            credits: Number(credits),
+            maxUses: maxUses === undefined ? 1 : Number(maxUses),
+            expiresAt: expiresAt || null,
+            note: note?.trim() || null,
+            code: code?.trim() || null,
+            count: count === undefined ? 1 : Number(count),
+        });
+        if (!result.ok) {
+            return res.status(result.error === 'code_taken' ? 409 : 400).json({ error: result.error });
+        }
+
+        audit(req, 'voucher.create', {
+            target: { type: 'voucher' },
+            after: {
+                codes: result.vouchers.map(v => v.code),
+                credits: result.vouchers[0].credits,
+                maxUses: result.vouchers[0].max_uses,
+                expiresAt: result.vouchers[0].expires_at,
+            },
+        });
+
+        return res.json({ ok: true, vouchers: result.vouchers });
+    });
+
+    /**
+     * DELETE /api/admin/vouchers/:id
+     * Disables the code (redemptions and their donations stay).
      */
-    router.post('/player/end-active', requireAdmin, (req, res) => {
-        safeForceEndActive('admin_end');
+    router.delete('/vouchers/:id', requireOwner, (req, res) => {
+        const id = Number(req.params.id);
+        if (!id) return res.status(400).json({ error: 'invalid id' });
+
+        if (!disableVoucher(id)) return res.status(404).json({ error: 'not_found' });
+
+        audit(req, 'voucher.disable', { target: { type: 'voucher', id }, before: { disabled: false }, after: { disabled: true } });
         return res.json({ ok: true });
     });
 
+    /**
+     * POST /api/admin/campaigns
+     * Body: { name, goalEur, description?, startsAt?, endsAt?, active? }
+     */
+    router.post('/campaigns', requireOwner, (req, res) => {
+        const result = campaigns.create(req.body || {});
+        if (!result.ok) return res.status(400).json({ error: result.error });
+
+        audit(req, 'campaign.create', { target: { type: 'campaign', id: result.campaign.id }, after: result.campaign });
+
+        return res.json({ ok: true, campaign: result.campaign });
+    });
+
+    /**
+     * POST /api/admin/campaigns/:id
+     * Body: any of { name, goalEur, description, startsAt, endsAt, active }
+     * - active: true makes it the only active campaign, false switches it off
+     */
+    router.post('/campaigns/:id', requireOwner, (req, res) => {
+        const id = Number(req.params.id);
+        if (!id) return res.status(400).json({ error: 'invalid id' });
+
+        const before = campaigns.getCampaignProgress(id);
+        const result = campaigns.update(id, req.body || {});
+        if (!result.ok) {
+            return res.status(result.error === 'not_found' ? 404 : 400).json({ error: result.error });
+        }
+
+        audit(req, 'campaign.update', { target: { type: 'campaign', id }, before, after: result.campaign });
+
+        return res.json({ ok: true, campaign: result.campaign });
+    });
+
     /**
      * POST /api/admin/player/start-next
      */
-    router.post('/player/start-next', requireAdmin, (req, res) => {
+    router.post('/player/start-next', requireOperator, (req, res) => {
+        audit(req, 'queue.start_next', { target: { type: 'queue' } });
         game.maybeStartNext?.();
         game.broadcastQueue?.();
         return res.json({ ok: true });
@@ -193,17 +660,25 @@ function createAdminRouter(game) {
 
     /**
      * DELETE /api/admin/donations/:id
+     * Refused (409 refundable_credits) while the donation has unused paid credits:
+     * deleting the row would drop them without a refund, so refund them first.
      */
-    router.delete('/donations/:id', requireAdmin, (req, res) => {
+    router.delete('/donations/:id', requireOwner, (req, res) => {
         const id = Number(req.params.id);
         if (!id) return res.status(400).json({ error: 'invalid id' });
 
-        const activeId = game.getActiveState?.().activeDonationId;
-        if (activeId === id) {
-            safeForceEndActive('admin_delete_active');
+        const before = getDonationById(id);
+        const quote = quoteRefund(before);
+        if (quote.credits) {
+            return res.status(409).json({ error: 'refundable_credits', ...quote });
+        }
+
+        if (game.getActiveState().activeDonationId === id) {
+            game.forceEndActive('admin_delete_active', { settle: 'return' });
         }
 
         deleteDonationById(id);
+        audit(req, 'donation.delete', { target: { type: 'donation', id }, before: donationRecord(before) });
         game.maybeStartNext?.();
         game.broadcastQueue?.();
 
@@ -212,14 +687,81 @@ function createAdminRouter(game) {
 
     /**
      * DELETE /api/admin/donations
+     * Refused (409 refundable_credits, with their ids) while any donation has unused paid credits.
      */
-    router.delete('/donations', requireAdmin, (req, res) => {
-        safeForceEndActive('admin_delete_all');
+    router.delete('/donations', requireOwner, (req, res) => {
+        const rows = listAllDonations();
+        const refundable = rows.filter(d => quoteRefund(d).credits).map(d => d.id);
+        if (refundable.length) {
+            return res.status(409).json({ error: 'refundable_credits', donationIds: refundable });
+        }
+
+        // Keep every deleted row in the audit entry: this is the one action that can't be redone by hand
+        const before = rows.map(donationRecord);
+        // Rows first, so ending the turn has nobody left to start
         deleteAllDonations();
+        game.forceEndActive('admin_delete_all', { settle: 'return' });
+        audit(req, 'donation.delete_all', { target: { type: 'queue' }, before, after: { deleted: before.length } });
         game.broadcastQueue?.();
         return res.json({ ok: true });
     });
 
+    /**
+     * GET /api/admin/users
+     * All admin accounts (without password hashes).
+     */
+    router.get('/users', requireOwner, (req, res) => {
+        return res.json({ users: listAdminUsers(), roles: auth.ROLES });
+    });
+
+    /**
+     * POST /api/admin/users
+     * Body: { username, password, role }
+     */
+    router.post('/users', requireOwner, async (req, res) => {
+        const { username, password, role } = req.body || {};
+        const result = await auth.createUser({ username, password, role });
+        if (!result.ok) {
+            return res.status(result.error === 'username_taken' ? 409 : 400).json({ error: result.error });
+        }
+
+        audit(req, 'user.create', {
+            target: { type: 'user', id: result.user.id },
+            after: { username: result.user.username, role: result.user.role },
+        });
+        return res.json({ ok: true, user: result.user });
+    });
+
+    /**
+     * POST /api/admin/users/:id
+     * Body: { role?, disabled?, password? } (a new password or disabling signs the account out)
+     */
+    router.post('/users/:id', requireOwner, async (req, res) => {
+        const id = Number(req.params.id);
+        const { role, disabled, password } = req.body || {};
+        if (disabled !== undefined && typeof disabled !== 'boolean') {
+            return res.status(400).json({ error: 'invalid_disabled' });
+        }
+
+        const before = getAdminUser(id);
+        const result = await auth.updateUser(id, { role, disabled, password });
+        if (!result.ok) {
+            const status = { not_found: 404, last_owner: 409 }[result.error] || 400;
+            return res.status(status).json({ error: result.error });
+        }
+
+        audit(req, 'user.update', {
+            target: { type: 'user', id },
+            before: { role: before.role, disabled: Boolean(before.disabled) },
+            after: {
+                role: result.user.role,
+                disabled: Boolean(result.user.disabled),
+                ...(password !== undefined ? { password: 'reset' } : {}),
+            },
+        });
+        return res.json({ ok: true, user: result.user });
+    });
+
     return router;
 }
 
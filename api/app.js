@@ -1,15 +1,24 @@
 const express = require('express');
 const cors = require('cors');
-const { createMollieClient } = require('@mollie/api-client');
-const gpio = require('./gpio');
 const game = require('./game');
+const control = require('./control');
+const controlSocket = require('./socket');
 const createAdminRouter = require('./admin');
+const { provider: payments, apiUrl, webUrl, paymentOutcome, FAILED_STATUSES } = require('./payments');
+const { getPricing, findBundle } = require('./pricing');
+const vouchers = require('./vouchers');
+const campaigns = require('./campaigns');
+const auth = require('./auth');
+const machineMode = require('./mode');
+const schedule = require('./schedule');
 
 const {
     createIntent,
     attachPaymentToIntent,
     getIntent,
     getDonationByPaymentId,
+    closeIntent,
+    expireStaleIntents,
     getDonationByToken,
     listQueue,
 
@@ -40,7 +49,7 @@ const corsOptions = {
         return cb(new Error(`CORS blocked for origin: ${origin}`), false);
     },
     methods: ['GET', 'POST', 'OPTIONS', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-token'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: false,
 };
 
@@ -51,76 +60,198 @@ app.options('*', cors(corsOptions)); // preflight support
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
 
-const mollie = createMollieClient({ apiKey: process.env.MOLLIE_API_KEY });
+// Fake provider: local checkout page (see providers/fake.js)
+if (payments.router) {
+    app.use('/api/fake-pay', payments.router);
+}
 
 /**
- * Hold safety watchdog:
- * - On weak networks or iOS Safari, "release" packets can be dropped.
- * - If a release does NOT arrive within MAX_HOLD_MS, auto-release server-side.
- * - This prevents stuck claw movement.
+ * Intent-first checkout:
+ * 1) create the intent (saved in SQLite)
+ * 2) create the payment tied to intentId
+ * 3) attach the payment id to the intent
  */
-const MAX_HOLD_MS = 1200;
-const holdTimers = new Map();
+async function startCheckout({ name, email, amountRequestedEur, bundleId }) {
+    const { intentId } = createIntent({ name, email, amountRequestedEur, bundleId });
+
+    const payment = await payments.createPayment({
+        amountEur: amountRequestedEur,
+        description: `SweetControl donation by ${name}`,
+        redirectUrl: `${webUrl()}/play?intent=${intentId}`,
+        webhookUrl: `${apiUrl()}/api/mollie/webhook`,
+        metadata: { intentId },
+    });
 
-function armAutoRelease(direction) {
-    if (holdTimers.has(direction)) {
-        clearTimeout(holdTimers.get(direction));
+    attachPaymentToIntent(intentId, payment.id);
+
+    return { checkoutUrl: payment.checkoutUrl, intentId };
+}
+
+/**
+ * Apply a provider payment status to its intent (webhook + claim fallback):
+ * - paid/authorized => credits + queue (also rescues an intent the sweeper expired)
+ * - failed/canceled/expired => terminal status, only while the intent is still open
+ */
+function applyPaymentStatus(intentId, payment) {
+    const outcome = paymentOutcome(payment.status);
+
+    if (outcome === 'paid') {
+        game.handlePaidDonation({
+            intentId,
+            molliePaymentId: payment.id,
+            amountEur: payment.amountEur,
+        });
+    } else if (outcome) {
+        closeIntent(intentId, outcome);
     }
+}
+
+/**
+ * Credit bundles for the donate form
+ */
+app.get('/api/pricing', (req, res) => {
+    return res.json(getPricing());
+});
 
-    const t = setTimeout(() => {
-        gpio.release(direction);
-        holdTimers.delete(direction);
-    }, MAX_HOLD_MS);
+/**
+ * Fundraising: all campaigns with progress + all-time totals
+ */
+app.get('/api/campaigns', (req, res) => {
+    return res.json(campaigns.getOverview());
+});
 
-    holdTimers.set(direction, t);
+/**
+ * Progress of the campaign running now ({ campaign: null } when there is none)
+ */
+app.get('/api/campaigns/current', (req, res) => {
+    return res.json({ campaign: campaigns.getCurrentProgress() });
+});
+
+app.get('/api/campaigns/:id', (req, res) => {
+    const campaign = campaigns.getCampaignProgress(Number(req.params.id));
+    if (!campaign) return res.status(404).json({ error: 'not_found' });
+
+    return res.json({ campaign });
+});
+
+/**
+ * Machine mode for the banners: { mode, message, acceptDonations, since, hours }
+ * (see mode.js; hours = opening hours status, see schedule.js)
+ */
+app.get('/api/machine/mode', (req, res) => {
+    const { by, ...state } = machineMode.get();
+    return res.json({ ...state, hours: schedule.getStatus() });
+});
+
+// New players only join while the machine mode accepts donations, within opening hours
+function refuseWhenClosed(res) {
+    const state = machineMode.get();
+    if (!state.acceptDonations) {
+        res.status(503).json({ error: 'donations_closed', mode: state.mode, message: state.message });
+        return true;
+    }
+
+    const hours = schedule.getStatus();
+    if (!hours.open) {
+        res.status(503).json({ error: 'outside_opening_hours', nextOpenAt: hours.nextOpenAt, timeZone: hours.timeZone });
+        return true;
+    }
+    return false;
 }
 
 /**
- * Create a Mollie payment (Intent-first)
- * Body: { name, amountEuros, email? }
+ * Create a payment (Intent-first)
+ * Body: { name, bundleId, email? } (or amountEuros matching a bundle price)
+ * - 503 donations_closed while the machine mode doesn't take donations,
+ *   503 outside_opening_hours (with nextOpenAt) outside the opening hours
  */
 app.post('/api/donations/create', async (req, res) => {
     try {
-        const { name, amountEuros, email } = req.body;
+        if (refuseWhenClosed(res)) return;
+
+        const { name, bundleId, amountEuros, email } = req.body;
 
-        if (!name || !amountEuros) {
-            return res.status(400).json({ error: 'name and amountEuros are required' });
+        if (!name || (!bundleId && !amountEuros)) {
+            return res.status(400).json({ error: 'name and bundleId are required' });
         }
 
-        const amountRequestedEur = Number(amountEuros);
-        if (Number.isNaN(amountRequestedEur) || amountRequestedEur <= 0) {
-            return res.status(400).json({ error: 'amountEuros must be a positive number' });
+        // Only bundles are sold: the amount always comes from the bundle
+        const bundle = findBundle({ bundleId, amountEur: Number(amountEuros) });
+        if (!bundle) {
+            return res.status(400).json({ error: 'invalid_bundle' });
         }
 
-        // 1) Create intent first (saved in SQLite)
-        const { intentId } = createIntent({
+        const checkout = await startCheckout({
             name: name.trim(),
             email: email?.trim() || null,
-            amountRequestedEur,
+            amountRequestedEur: bundle.amountEur,
+            bundleId: bundle.id,
         });
 
-        // 2) Create Mollie payment tied to intentId
-        const payment = await mollie.payments.create({
-            amount: { currency: 'EUR', value: amountRequestedEur.toFixed(2) },
-            description: `SweetControl donation by ${name}`,
-            redirectUrl: `${process.env.PUBLIC_WEB_URL}/play?intent=${intentId}`,
-            webhookUrl: `${process.env.PUBLIC_API_URL}/api/mollie/webhook`,
-            metadata: { intentId },
-        });
+        return res.json(checkout);
+    } catch (err) {
+        console.error('Create payment error:', err);
+        return res.status(500).json({ error: 'payment_create_failed' });
+    }
+});
 
-        // 3) Attach Mollie payment id to intent
-        attachPaymentToIntent(intentId, payment.id);
+/**
+ * Retry a payment that failed, was canceled or expired
+ * Body: { intentId }
+ * - Starts a new checkout for the same name/email/amount (the old intent stays as it was)
+ */
+app.post('/api/donations/retry', async (req, res) => {
+    try {
+        if (refuseWhenClosed(res)) return;
 
-        return res.json({
-            checkoutUrl: payment.getCheckoutUrl(),
-            intentId,
+        const { intentId } = req.body;
+        if (!intentId) return res.status(400).json({ error: 'intentId required' });
+
+        const donation = getIntent(intentId);
+        if (!donation) return res.status(404).json({ error: 'not_found' });
+
+        if (!FAILED_STATUSES.includes(donation.status)) {
+            return res.status(409).json({ error: 'not_retryable', status: donation.status });
+        }
+
+        const checkout = await startCheckout({
+            name: donation.name,
+            email: donation.email,
+            amountRequestedEur: donation.amount_requested_eur,
+            bundleId: donation.bundle_id,
         });
+
+        return res.json(checkout);
     } catch (err) {
-        console.error('Create payment error:', err);
+        console.error('Retry payment error:', err);
         return res.status(500).json({ error: 'payment_create_failed' });
     }
 });
 
+/**
+ * Redeem a voucher code for free play (no payment)
+ * Body: { code, name, email? }
+ * - Queues a donation right away; the player continues at /play?intent=<intentId>
+ */
+app.post('/api/vouchers/redeem', (req, res) => {
+    if (refuseWhenClosed(res)) return;
+
+    const { code, name, email } = req.body;
+    if (!code || !name?.trim()) {
+        return res.status(400).json({ error: 'code and name are required' });
+    }
+
+    const result = vouchers.redeem({ code, name: name.trim(), email: email?.trim() || null });
+    if (!result.ok) {
+        return res.status(result.error === 'invalid_code' ? 404 : 409).json({ error: result.error });
+    }
+
+    game.maybeStartNext();
+    game.broadcastQueue();
+
+    return res.json({ ok: true, intentId: result.intentId });
+});
+
 /**
  * Mollie webhook (source of truth)
  * Mollie sends: id=tr_xxx
@@ -130,27 +261,19 @@ app.post('/api/mollie/webhook', async (req, res) => {
         const paymentId = req.body.id;
         if (!paymentId) return res.status(400).send('missing id');
 
-        const payment = await mollie.payments.get(paymentId);
+        const payment = await payments.getPayment(paymentId);
         const intentId = payment.metadata?.intentId;
 
         // If no intentId, ignore safely
         if (!intentId) return res.status(200).send('ok');
 
-        // Idempotency: ignore if already processed
+        // Idempotency: ignore once paid (an expired intent can still be paid late)
         const existing = getDonationByPaymentId(paymentId);
-        if (existing && existing.status !== 'created') {
+        if (existing && !['created', 'expired'].includes(existing.status)) {
             return res.status(200).send('ok');
         }
 
-        if (payment.status === 'paid' || payment.status === 'authorized') {
-            const amountEur = Number(payment.amount.value);
-
-            game.handlePaidDonation({
-                intentId,
-                molliePaymentId: paymentId,
-                amountEur,
-            });
-        }
+        applyPaymentStatus(intentId, payment);
 
         return res.status(200).send('ok');
     } catch (err) {
@@ -163,8 +286,9 @@ app.post('/api/mollie/webhook', async (req, res) => {
  * Claim a play session using intentId
  * Body: { intentId }
  * - If paid already => returns token
- * - If webhook late => fallback checks Mollie status
+ * - If webhook late => fallback checks the payment status
  * - If still not paid => pending (202)
+ * - If failed/canceled/expired => terminal (410) with that status
  */
 app.post('/api/play/claim', async (req, res) => {
     try {
@@ -174,26 +298,22 @@ app.post('/api/play/claim', async (req, res) => {
         let donation = getIntent(intentId);
         if (!donation) return res.status(403).json({ error: 'not_found' });
 
-        // Fallback: if webhook didn’t arrive yet, re-check Mollie
+        // Fallback: if webhook didn’t arrive yet, re-check the payment provider
         if (donation.status === 'created' && donation.mollie_payment_id) {
-            const payment = await mollie.payments.get(donation.mollie_payment_id);
-            if (payment.status === 'paid' || payment.status === 'authorized') {
-                const amountEur = Number(payment.amount.value);
-
-                game.handlePaidDonation({
-                    intentId,
-                    molliePaymentId: donation.mollie_payment_id,
-                    amountEur,
-                });
-
-                donation = getIntent(intentId);
-            }
+            const payment = await payments.getPayment(donation.mollie_payment_id);
+            applyPaymentStatus(intentId, payment);
+            donation = getIntent(intentId);
         }
 
         if (donation.status === 'created') {
             return res.status(202).json({ ok: false, status: 'pending' });
         }
 
+        // Payment ended without money => terminal, the player can retry
+        if (FAILED_STATUSES.includes(donation.status)) {
+            return res.status(410).json({ ok: false, status: donation.status });
+        }
+
         // ✅ Ensure queue is started even if webhook was late or nodemon restarted.
         game.maybeStartNext();
         game.broadcastQueue();
@@ -243,27 +363,33 @@ app.get('/api/queue', (req, res) => {
 /**
  * Control press (hold direction)
  * Body: { token, direction } direction: up|down|left|right
+ * (HTTP fallback: the arcade normally sends controls over the WebSocket, see socket.js)
  */
 app.post('/api/control/press', (req, res) => {
     const { token, direction } = req.body;
-    const donation = getDonationByToken(token);
+    const result = control.press(token, direction);
 
-    if (!game.isActiveTokenDonation(donation)) {
-        return res.status(403).json({ error: 'not_active_player' });
-    }
-
-    if (!['up', 'down', 'left', 'right'].includes(direction)) {
-        return res.status(400).json({ error: 'invalid_direction' });
+    if (!result.ok) {
+        const status = { not_active_player: 403, invalid_direction: 400 }[result.error] || 409;
+        return res.status(status).json({ error: result.error });
     }
 
-    // Timer starts on first movement
-    game.startCreditTimerIfNeeded();
+    return res.json({ ok: true });
+});
 
-    // Start holding the direction
-    gpio.hold(direction);
+/**
+ * Control keep-alive (still holding; see HOLD_GRACE_MS in control.js)
+ * Body: { token, direction }
+ * - 409 not_held once the direction was released (the client stops sending them)
+ */
+app.post('/api/control/keepalive', (req, res) => {
+    const { token, direction } = req.body;
+    const result = control.keepAlive(token, direction);
 
-    // Safety watchdog: auto-release if release packet is lost
-    armAutoRelease(direction);
+    if (!result.ok) {
+        const status = { not_active_player: 403, invalid_direction: 400 }[result.error] || 409;
+        return res.status(status).json({ error: result.error });
+    }
 
     return res.json({ ok: true });
 });
@@ -274,23 +400,12 @@ app.post('/api/control/press', (req, res) => {
  */
 app.post('/api/control/release', (req, res) => {
     const { token, direction } = req.body;
-    const donation = getDonationByToken(token);
+    const result = control.release(token, direction);
 
-    if (!game.isActiveTokenDonation(donation)) {
-        return res.status(403).json({ error: 'not_active_player' });
-    }
-
-    if (!['up', 'down', 'left', 'right'].includes(direction)) {
-        return res.status(400).json({ error: 'invalid_direction' });
-    }
-
-    // Cancel watchdog timer for this direction
-    if (holdTimers.has(direction)) {
-        clearTimeout(holdTimers.get(direction));
-        holdTimers.delete(direction);
+    if (!result.ok) {
+        return res.status(result.error === 'invalid_direction' ? 400 : 403).json({ error: result.error });
     }
 
-    gpio.release(direction);
     return res.json({ ok: true });
 });
 
@@ -300,13 +415,7 @@ app.post('/api/control/release', (req, res) => {
  */
 app.post('/api/control/grab', (req, res) => {
     const { token } = req.body;
-    const donation = getDonationByToken(token);
-
-    if (!game.isActiveTokenDonation(donation)) {
-        return res.status(403).json({ error: 'not_active_player' });
-    }
-
-    const result = game.handleGrabIfAllowed();
+    const result = control.grab(token);
 
     if (!result.ok) {
         return res.status(403).json({ error: result.error });
@@ -341,15 +450,41 @@ app.get('/api/me', (req, res) => {
         creditsTotal: donation.credits_total,
         creditsUsed: donation.credits_used,
         creditsRemaining,
+        prizesWon: donation.prizes_won || 0,
     });
 });
 
 
 app.use('/api/admin', createAdminRouter(game));
 
+/**
+ * Intent sweeper:
+ * - Abandoned checkouts never get a webhook, so intents still open after
+ *   INTENT_TTL_MS are marked expired (a late "paid" webhook still credits them).
+ */
+const INTENT_TTL_MS = 60 * 60 * 1000;
+const INTENT_SWEEP_MS = 5 * 60 * 1000;
+
+function sweepStaleIntents() {
+    try {
+        const cutoff = new Date(Date.now() - INTENT_TTL_MS).toISOString();
+        const expired = expireStaleIntents(cutoff);
+        if (expired) console.log(`Expired ${expired} stale payment intent(s)`);
+    } catch (err) {
+        console.error('Intent sweeper error:', err);
+    }
+}
+
+setInterval(sweepStaleIntents, INTENT_SWEEP_MS);
+
 
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`API listening on port ${PORT}`);
+    sweepStaleIntents();
+    auth.ensureFirstOwner().catch(err => console.error('Admin bootstrap error:', err));
     game.maybeStartNext();
 });
+
+// Low-latency player controls (see socket.js); the /api/control/* routes remain the fallback
+controlSocket.attach(server, { allowedOrigins });
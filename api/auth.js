@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const {
+    getAdminUser,
+    getAdminUserForLogin,
+    countAdminUsers,
+    createAdminUser,
+    updateAdminUser,
+    createAdminSession,
+    getAdminSession,
+    deleteAdminSession,
+    deleteAdminSessions,
+} = require('./db');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS || 12);
+const MIN_PASSWORD_LENGTH = 10;
+
+// Failed logins from one client address before it has to wait out the window
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Each role can do everything the roles before it can
+const ROLES = ['operator', 'owner'];
+
+/**
+ * Admin accounts:
+ * - operator: runs the machine during an event (queue, turns, credits)
+ * - owner:    also deletes data, refunds, changes machine/pricing, vouchers, campaigns and users
+ *
+ * Login gives a random session token (valid ADMIN_SESSION_HOURS, default 12) that the
+ * admin page sends as "Authorization: Bearer <token>". Only its SHA-256 is stored.
+ *
+ * The first owner comes from ADMIN_USERNAME / ADMIN_PASSWORD, only while no account exists.
+ */
+function hasRole(user, role) {
+    return ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the username doesn't exist, so both cases take as long
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+function validateUsername(username) {
+    return typeof username === 'string' && /^[a-zA-Z0-9._-]{2,32}$/.test(username);
+}
+
+function validatePassword(password) {
+    return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+}
+
+const failures = new Map(); // client -> { count, since } (in memory, a restart forgets them)
+
+// Failed attempts of a client in its current window (0 once the window is over)
+function failedAttempts(client, now = Date.now()) {
+    const entry = failures.get(client);
+    if (!entry || now - entry.since >= LOGIN_WINDOW_MS) return 0;
+    return entry.count;
+}
+
+function noteFailure(client) {
+    const now = Date.now();
+    for (const [key, entry] of failures) {
+        if (now - entry.since >= LOGIN_WINDOW_MS) failures.delete(key);
+    }
+
+    const entry = failures.get(client) || { count: 0, since: now };
+    entry.count += 1;
+    failures.set(client, entry);
+    return entry;
+}
+
+function failed(client) {
+    const { count, since } = noteFailure(client);
+    return { ok: false, error: 'invalid_credentials', attempts: count, blocked: count >= LOGIN_MAX_FAILURES, retryAt: since + LOGIN_WINDOW_MS };
+}
+
+/**
+ * Returns { ok: true, token, expiresAt, user } or { ok: false, error, ... }:
+ * - invalid_credentials: also { attempts, blocked, retryAt } for this client's current window
+ * - too_many_attempts:   LOGIN_MAX_FAILURES failures within LOGIN_WINDOW_MS, the password
+ *                        isn't even checked until retryAt
+ * client is who is trying (the request's address); failures are counted per client.
+ */
+async function login({ username, password }, { client = 'unknown' } = {}) {
+    if (failedAttempts(client) >= LOGIN_MAX_FAILURES) {
+        return { ok: false, error: 'too_many_attempts', retryAt: failures.get(client).since + LOGIN_WINDOW_MS };
+    }
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return failed(client);
+    }
+
+    const row = getAdminUserForLogin(username.trim());
+    const valid = await verifyPassword(password, row?.password_hash || DUMMY_HASH);
+    if (!row || !valid || row.disabled) return failed(client);
+
+    failures.delete(client);
+
+    deleteAdminSessions({ expired: true });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_HOURS * 3600 * 1000).toISOString();
+    createAdminSession({ tokenHash: hashToken(token), userId: row.id, expiresAt });
+
+    return { ok: true, token, expiresAt, user: getAdminUser(row.id) };
+}
+
+/**
+ * Session token -> { id, username, role, expires_at }, or null when unknown/expired/disabled.
+ */
+function authenticate(token) {
+    if (!token) return null;
+    return getAdminSession(hashToken(token)) || null;
+}
+
+function logout(token) {
+    if (token) deleteAdminSession(hashToken(token));
+}
+
+/**
+ * Owner: add an account. Returns { ok: true, user } or { ok: false, error }.
+ */
+async function createUser({ username, password, role }) {
+    if (!validateUsername(username)) return { ok: false, error: 'invalid_username' };
+    if (!ROLES.includes(role)) return { ok: false, error: 'invalid_role' };
+    if (!validatePassword(password)) return { ok: false, error: 'weak_password' };
+    if (getAdminUserForLogin(username)) return { ok: false, error: 'username_taken' };
+
+    return { ok: true, user: createAdminUser({ username, passwordHash: await hashPassword(password), role }) };
+}
+
+/**
+ * Owner: change role, (re)enable, or reset the password of an account.
+ * - There is always at least one enabled owner left.
+ * - Disabling or a new password signs the account out everywhere.
+ */
+async function updateUser(id, { role, disabled, password }) {
+    const user = getAdminUser(id);
+    if (!user) return { ok: false, error: 'not_found' };
+    if (role !== undefined && !ROLES.includes(role)) return { ok: false, error: 'invalid_role' };
+    if (password !== undefined && !validatePassword(password)) return { ok: false, error: 'weak_password' };
+
+    const losesOwner = user.role === 'owner' && !user.disabled
+        && ((role !== undefined && role !== 'owner') || disabled === true);
+    if (losesOwner && countAdminUsers({ role: 'owner' }) <= 1) return { ok: false, error: 'last_owner' };
+
+    const updated = updateAdminUser(id, {
+        role,
+        disabled,
+        passwordHash: password !== undefined ? await hashPassword(password) : undefined,
+    });
+    if (disabled === true || password !== undefined) deleteAdminSessions({ userId: id });
+
+    return { ok: true, user: updated };
+}
+
+/**
+ * Any admin: change their own password (needs the current one). Other sessions are signed out.
+ */
+async function changeOwnPassword(id, { currentPassword, newPassword }, currentToken) {
+    const user = getAdminUser(id);
+    const row = user && getAdminUserForLogin(user.username);
+    if (!row || !(await verifyPassword(String(currentPassword || ''), row.password_hash))) {
+        return { ok: false, error: 'invalid_credentials' };
+    }
+    if (!validatePassword(newPassword)) return { ok: false, error: 'weak_password' };
+
+    updateAdminUser(id, { passwordHash: await hashPassword(newPassword) });
+    deleteAdminSessions({ userId: id, keepTokenHash: hashToken(currentToken) });
+
+    return { ok: true };
+}
+
+/**
+ * Startup: create the first owner from ADMIN_USERNAME / ADMIN_PASSWORD when there are no accounts.
+ */
+async function ensureFirstOwner() {
+    if (countAdminUsers() > 0) return;
+
+    const { ADMIN_USERNAME: username, ADMIN_PASSWORD: password } = process.env;
+    if (!username || !password) {
+        console.warn('No admin accounts yet: set ADMIN_USERNAME and ADMIN_PASSWORD to create the first owner');
+        return;
+    }
+
+    const result = await createUser({ username, password, role: 'owner' });
+    if (result.ok) {
+        console.log(`Created admin owner "${username}"`);
+    } else {
+        console.error(`Could not create admin owner "${username}": ${result.error}`);
+    }
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    login,
+    authenticate,
+    logout,
+    createUser,
+    updateUser,
+    changeOwnPassword,
+    ensureFirstOwner,
+};
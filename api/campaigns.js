@@ -0,0 +1,124 @@
+const {
+    getCampaign,
+    getCurrentCampaign,
+    listCampaigns,
+    getRaisedTotals,
+    createCampaign,
+    updateCampaign,
+    setActiveCampaign,
+} = require('./db');
+
+/**
+ * Fundraising campaigns (what the claw is raising money for):
+ * - Paid donations are linked to the campaign running at payment time.
+ * - Raised = paid minus refunded; voucher plays (€0) don't count as donations.
+ * - Progress is public (home page, big screen); managing campaigns is admin only.
+ */
+function roundEur(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function toProgress(campaign) {
+    if (!campaign) return null;
+
+    const totals = getRaisedTotals(campaign.id);
+    const raisedEur = roundEur(totals.raised_eur);
+
+    return {
+        id: campaign.id,
+        name: campaign.name,
+        description: campaign.description,
+        goalEur: campaign.goal_eur,
+        startsAt: campaign.starts_at,
+        endsAt: campaign.ends_at,
+        active: !!campaign.active,
+        raisedEur,
+        donations: totals.donations,
+        percent: campaign.goal_eur > 0 ? Math.min(100, Math.floor((raisedEur / campaign.goal_eur) * 100)) : 0,
+    };
+}
+
+function getCurrentProgress() {
+    return toProgress(getCurrentCampaign());
+}
+
+function getCampaignProgress(id) {
+    return toProgress(getCampaign(id));
+}
+
+/**
+ * All campaigns with their progress, plus all-time totals.
+ */
+function getOverview() {
+    const allTime = getRaisedTotals();
+
+    return {
+        totals: { raisedEur: roundEur(allTime.raised_eur), donations: allTime.donations },
+        current: getCurrentProgress(),
+        campaigns: listCampaigns().map(toProgress),
+    };
+}
+
+/**
+ * Check admin input; returns { fields } or { error }.
+ */
+function parseCampaign({ name, description, goalEur, startsAt, endsAt }) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'name_required' };
+
+    const goal = Number(goalEur);
+    if (!Number.isFinite(goal) || goal <= 0) return { error: 'invalid_goal' };
+
+    const start = startsAt ? Date.parse(startsAt) : Date.now();
+    const end = endsAt ? Date.parse(endsAt) : null;
+    if (Number.isNaN(start) || Number.isNaN(end)) return { error: 'invalid_dates' };
+    if (end !== null && end <= start) return { error: 'ends_before_start' };
+
+    return {
+        fields: {
+            name: name.trim(),
+            description: description?.trim() || null,
+            goalEur: roundEur(goal),
+            startsAt: new Date(start).toISOString(),
+            endsAt: end === null ? null : new Date(end).toISOString(),
+        },
+    };
+}
+
+/**
+ * Admin: create a campaign (optionally making it the active one).
+ * Returns { ok: true, campaign } or { ok: false, error }.
+ */
+function create(input) {
+    const { fields, error } = parseCampaign(input);
+    if (error) return { ok: false, error };
+
+    const campaign = createCampaign(fields);
+    if (input.active) setActiveCampaign(campaign.id);
+
+    return { ok: true, campaign: getCampaignProgress(campaign.id) };
+}
+
+/**
+ * Admin: edit a campaign; `active` true/false switches it on or off.
+ */
+function update(id, input) {
+    const existing = getCampaign(id);
+    if (!existing) return { ok: false, error: 'not_found' };
+
+    const { fields, error } = parseCampaign({
+        name: input.name ?? existing.name,
+        description: input.description ?? existing.description,
+        goalEur: input.goalEur ?? existing.goal_eur,
+        startsAt: input.startsAt ?? existing.starts_at,
+        endsAt: input.endsAt === undefined ? existing.ends_at : input.endsAt,
+    });
+    if (error) return { ok: false, error };
+
+    updateCampaign(id, fields);
+    if (input.active === true) setActiveCampaign(id);
+    if (input.active === false && existing.active) setActiveCampaign(null);
+
+    return { ok: true, campaign: getCampaignProgress(id) };
+}
+
+module.exports = { getCurrentProgress, getCampaignProgress, getOverview, create, update };
@@ -0,0 +1,116 @@
+const gpio = require('./gpio');
+const game = require('./game');
+const { getDonationByToken } = require('./db');
+
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+/**
+ * Player controls, shared by the HTTP routes (/api/control/*) and the WebSocket
+ * channel (socket.js). Every action checks the token belongs to the active player.
+ * Returns { ok: true } or { ok: false, error }.
+ *
+ * Hold keep-alive:
+ * - On weak networks or iOS Safari, "release" packets can be dropped.
+ * - While a direction is held the arcade repeats keepAlive() (every 150ms, see Controls.js);
+ *   each one extends the hold by HOLD_GRACE_MS.
+ * - When they stop (lost release, closed tab, dead network) the direction is released
+ *   at most HOLD_GRACE_MS after the last one, so a hold lasts exactly as long as the player
+ *   keeps the button down.
+ * - Each keep-alive also restarts the line's max-hold timer (gpio.keepAlive()): holds are
+ *   unlimited while the player is there, and the grace window is what makes them fail-safe.
+ */
+// Several keep-alive round trips (same as the client's ack timeout, ACK_TIMEOUT_MS in
+// controlChannel.js): one slow request over HTTP or a weak mobile link must not drop the hold
+const HOLD_GRACE_MS = 1500;
+const holdTimers = new Map();
+
+function armAutoRelease(direction) {
+    if (holdTimers.has(direction)) {
+        clearTimeout(holdTimers.get(direction));
+    }
+
+    const t = setTimeout(() => {
+        gpio.release(direction);
+        holdTimers.delete(direction);
+    }, HOLD_GRACE_MS);
+
+    holdTimers.set(direction, t);
+}
+
+function cancelAutoRelease(direction) {
+    if (holdTimers.has(direction)) {
+        clearTimeout(holdTimers.get(direction));
+        holdTimers.delete(direction);
+    }
+}
+
+function check(token, direction) {
+    if (!game.isActiveTokenDonation(getDonationByToken(token))) {
+        return { ok: false, error: 'not_active_player' };
+    }
+    if (direction !== undefined && !DIRECTIONS.includes(direction)) {
+        return { ok: false, error: 'invalid_direction' };
+    }
+    return { ok: true };
+}
+
+/**
+ * Start holding a direction.
+ */
+function press(token, direction) {
+    const allowed = check(token, direction);
+    if (!allowed.ok) return allowed;
+
+    // Timer starts on first movement (refused while the claw travels back home or the machine is paused)
+    const moved = game.move();
+    if (!moved.ok) return moved;
+
+    // Start holding the direction (safety rules may refuse it)
+    const held = gpio.hold(direction);
+    if (!held.ok) return held;
+
+    // Released unless keep-alives follow
+    armAutoRelease(direction);
+    return { ok: true };
+}
+
+/**
+ * Still holding: extend the hold by HOLD_GRACE_MS. Never asserts a line itself, so a
+ * keep-alive that arrives after the release (or after a safety stop) changes nothing.
+ */
+function keepAlive(token, direction) {
+    const allowed = check(token, direction);
+    if (!allowed.ok) return allowed;
+
+    if (!gpio.keepAlive(direction)) {
+        cancelAutoRelease(direction);
+        return { ok: false, error: 'not_held' };
+    }
+
+    armAutoRelease(direction);
+    return { ok: true };
+}
+
+/**
+ * Stop holding a direction.
+ */
+function release(token, direction) {
+    const allowed = check(token, direction);
+    if (!allowed.ok) return allowed;
+
+    cancelAutoRelease(direction);
+    gpio.release(direction);
+    return { ok: true };
+}
+
+/**
+ * Grab = one per credit, ends credit early.
+ */
+function grab(token) {
+    const allowed = check(token);
+    if (!allowed.ok) return allowed;
+
+    return game.grab();
+}
+
+module.exports = { DIRECTIONS, press, keepAlive, release, grab };
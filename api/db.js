@@ -1,69 +1,14 @@
 const Database = require('better-sqlite3');
-const path = require('path');
 const crypto = require('crypto');
+const { DB_PATH, migrate } = require('./migrate');
 
-const dbPath = path.join(__dirname, 'data', 'sweet.db');
-const db = new Database(dbPath);
+const db = new Database(DB_PATH);
 
 // Better durability
 db.exec(`PRAGMA journal_mode = WAL;`);
 
-/**
- * Base table definition
- * - For fresh installs this creates the full schema
- * - For existing DBs this is ignored and migration below fixes missing cols/indexes
- */
-db.exec(`
-  CREATE TABLE IF NOT EXISTS donations (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    intent_id TEXT,
-    mollie_payment_id TEXT,
-    name TEXT NOT NULL,
-    email TEXT,
-    amount_requested_eur REAL NOT NULL DEFAULT 0,
-    amount_eur REAL,                    -- set when paid
-    credits_total INTEGER NOT NULL DEFAULT 0,
-    credits_used INTEGER NOT NULL DEFAULT 0,
-    credits_pulsed INTEGER NOT NULL DEFAULT 0, -- credits pressed on machine once
-    status TEXT NOT NULL DEFAULT 'created',    -- created | waiting | active | done
-    session_token TEXT,
-    created_at TEXT NOT NULL,
-    updated_at TEXT NOT NULL
-  );
-`);
-
-/**
- * Simple migration for older DBs
- * - SQLite does NOT allow "ADD COLUMN ... UNIQUE", so we:
- *   1) Add columns without UNIQUE
- *   2) Create UNIQUE INDEXes separately
- */
-function ensureColumn(name, typeSql) {
-  const cols = db.prepare(`PRAGMA table_info(donations)`).all().map(c => c.name);
-  if (!cols.includes(name)) {
-    db.exec(`ALTER TABLE donations ADD COLUMN ${name} ${typeSql};`);
-  }
-}
-
-// Add missing columns (if any) WITHOUT UNIQUE
-ensureColumn('intent_id', 'TEXT');
-ensureColumn('mollie_payment_id', 'TEXT');
-ensureColumn('amount_requested_eur', 'REAL NOT NULL DEFAULT 0');
-ensureColumn('amount_eur', 'REAL');
-ensureColumn('credits_total', 'INTEGER NOT NULL DEFAULT 0');
-ensureColumn('credits_used', 'INTEGER NOT NULL DEFAULT 0');
-ensureColumn('credits_pulsed', 'INTEGER NOT NULL DEFAULT 0');
-ensureColumn('status', "TEXT NOT NULL DEFAULT 'created'");
-ensureColumn('session_token', 'TEXT');
-ensureColumn('created_at', "TEXT NOT NULL DEFAULT ''");
-ensureColumn('updated_at', "TEXT NOT NULL DEFAULT ''");
-
-// Enforce uniqueness with indexes (safe if already exist)
-db.exec(`
-  CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_intent_id ON donations(intent_id);
-  CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_mollie_payment_id ON donations(mollie_payment_id);
-  CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_session_token ON donations(session_token);
-`);
+// Schema lives in migrations/ (see migrate.js), applied before anything else touches the DB
+migrate(db);
 
 function nowIso() {
   return new Date().toISOString();
@@ -80,20 +25,21 @@ function newSessionToken() {
 /**
  * Create donation intent BEFORE Mollie payment
  */
-function createIntent({ name, email, amountRequestedEur }) {
+function createIntent({ name, email, amountRequestedEur, bundleId }) {
   const intentId = newIntentId();
   const sessionToken = newSessionToken();
 
   db.prepare(`
     INSERT INTO donations
-      (intent_id, name, email, amount_requested_eur, status, session_token, created_at, updated_at)
+      (intent_id, name, email, amount_requested_eur, bundle_id, status, session_token, created_at, updated_at)
     VALUES
-      (?, ?, ?, ?, 'created', ?, ?, ?)
+      (?, ?, ?, ?, ?, 'created', ?, ?, ?)
   `).run(
     intentId,
     name,
     email || null,
     amountRequestedEur,
+    bundleId || null,
     sessionToken,
     nowIso(),
     nowIso()
@@ -102,6 +48,12 @@ function createIntent({ name, email, amountRequestedEur }) {
   return { intentId, sessionToken };
 }
 
+/**
+ * Queue order: queue_position is set while a donation is waiting or active (NULL otherwise).
+ * Newcomers get the position after the last one; admins can reorder with moveInQueue.
+ */
+const NEXT_QUEUE_POSITION = `(SELECT COALESCE(MAX(queue_position), 0) + 1 FROM donations)`;
+
 function attachPaymentToIntent(intentId, molliePaymentId) {
   db.prepare(`
     UPDATE donations
@@ -122,43 +74,175 @@ function getDonationByPaymentId(molliePaymentId) {
   return db.prepare(`SELECT * FROM donations WHERE mollie_payment_id = ?`).get(molliePaymentId);
 }
 
-function markIntentPaid({ intentId, molliePaymentId, amountEur, creditsTotal }) {
+/**
+ * Credit ledger: every credit change is appended here (never updated or deleted).
+ * credits_total / credits_used on donations are derived from it: they are recomputed
+ * from the ledger with every entry, in the same transaction.
+ */
+const LEDGER_BALANCE = {
+  purchase: 'total',
+  voucher: 'total',
+  admin_grant: 'total',
+  admin_revoke: 'total',
+  refund: 'total',
+  refund_reversed: 'total',
+  consumed_timeout: 'used',
+  consumed_grab: 'used',
+  consumed_admin: 'used',
+  admin_used: 'used',
+};
+
+const recordCredits = db.transaction(({ donationId, kind, credits, reason, actor }) => {
+  const balance = LEDGER_BALANCE[kind];
+  if (!balance) throw new Error(`Unknown credit ledger kind ${kind}`);
+
+  const now = nowIso();
+  db.prepare(`
+    INSERT INTO credit_ledger (donation_id, kind, balance, credits, reason, actor, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(donationId, kind, balance, credits, reason || null, actor, now);
+
+  db.prepare(`
+    UPDATE donations SET
+      credits_total = (SELECT COALESCE(SUM(credits), 0) FROM credit_ledger WHERE donation_id = @id AND balance = 'total'),
+      credits_used = (SELECT COALESCE(SUM(credits), 0) FROM credit_ledger WHERE donation_id = @id AND balance = 'used'),
+      updated_at = @now
+    WHERE id = @id
+  `).run({ id: donationId, now });
+});
+
+/**
+ * Credits a donation paid for: its purchase entry (or, for donations from before the
+ * ledger, the paid part of their opening balance). Vouchers and admin grants don't count.
+ */
+function getPaidCredits(donationId) {
+  return db.prepare(`
+    SELECT COALESCE(SUM(credits), 0) AS credits FROM credit_ledger
+    WHERE donation_id = ? AND kind IN ('purchase', 'migrated_purchase')
+  `).get(donationId).credits;
+}
+
+/**
+ * Admin: a donation's credit history, oldest first.
+ */
+function listCreditLedger(donationId) {
+  return db.prepare(`
+    SELECT * FROM credit_ledger WHERE donation_id = ? ORDER BY id ASC
+  `).all(donationId);
+}
+
+const markIntentPaid = db.transaction(({ intentId, molliePaymentId, amountEur, creditsTotal, campaignId }) => {
   const now = nowIso();
   db.prepare(`
     UPDATE donations SET
       mollie_payment_id = COALESCE(mollie_payment_id, ?),
       amount_eur = ?,
-      credits_total = ?,
+      campaign_id = COALESCE(campaign_id, ?),
+      queue_position = CASE
+        WHEN status IN ('waiting', 'active') THEN queue_position
+        ELSE ${NEXT_QUEUE_POSITION}
+      END,
       status = 'waiting',
-      created_at = ?,       -- payment time defines queue order
+      paid_at = COALESCE(paid_at, ?),
       updated_at = ?
     WHERE intent_id = ?
-  `).run(molliePaymentId, amountEur, creditsTotal, now, now, intentId);
+  `).run(molliePaymentId, amountEur, campaignId ?? null, now, now, intentId);
+
+  // A payment buys its credits once, however often the provider reports it
+  const donation = getIntent(intentId);
+  if (!donation) return;
+
+  const bought = db.prepare(`
+    SELECT 1 FROM credit_ledger WHERE donation_id = ? AND kind = 'purchase'
+  `).get(donation.id);
+
+  if (!bought) {
+    recordCredits({
+      donationId: donation.id,
+      kind: 'purchase',
+      credits: creditsTotal,
+      reason: `payment ${donation.mollie_payment_id} (€${amountEur}${donation.bundle_id ? `, ${donation.bundle_id}` : ''})`,
+      actor: 'payment',
+    });
+  }
+});
+
+/**
+ * Payment ended without money (failed | canceled | expired).
+ * Only open intents change, so a late webhook can't undo a paid donation.
+ */
+function closeIntent(intentId, status) {
+  db.prepare(`
+    UPDATE donations
+    SET status = ?, updated_at = ?
+    WHERE intent_id = ? AND status = 'created'
+  `).run(status, nowIso(), intentId);
 }
 
+/**
+ * Sweeper: intents still open that were created before `createdBefore` (ISO) expire.
+ * Returns how many rows changed.
+ */
+function expireStaleIntents(createdBefore) {
+  return db.prepare(`
+    UPDATE donations
+    SET status = 'expired', updated_at = ?
+    WHERE status = 'created' AND created_at < ?
+  `).run(nowIso(), createdBefore).changes;
+}
+
+/**
+ * Leaving the queue clears queue_position; (re)entering it goes to the end.
+ */
 function setDonationStatus(id, status) {
   db.prepare(`
     UPDATE donations
-    SET status = ?, updated_at = ?
-    WHERE id = ?
-  `).run(status, nowIso(), id);
+    SET queue_position = CASE
+          WHEN @status NOT IN ('waiting', 'active') THEN NULL
+          WHEN queue_position IS NULL THEN ${NEXT_QUEUE_POSITION}
+          ELSE queue_position
+        END,
+        status = @status,
+        updated_at = @now
+    WHERE id = @id
+  `).run({ id, status, now: nowIso() });
 }
 
 /**
  * Move player to the end of queue (used when they don't move in time).
- * We keep status waiting but refresh created_at so they go last.
  */
 function requeueToEnd(id) {
-  const now = nowIso();
   db.prepare(`
     UPDATE donations
     SET status = 'waiting',
-        created_at = ?,
+        queue_position = ${NEXT_QUEUE_POSITION},
         updated_at = ?
     WHERE id = ?
-  `).run(now, now, id);
+  `).run(nowIso(), id);
 }
 
+/**
+ * Admin: move a waiting donation to `position` (1 = next to play) among the waiting players.
+ * The active player always stays in front. Positions are renumbered 1..n.
+ * Returns the new queue (listQueue), or null when the donation isn't waiting.
+ */
+const moveInQueue = db.transaction((id, position) => {
+  const queue = listQueue();
+  const moving = queue.find(q => q.id === id && q.status === 'waiting');
+  if (!moving) return null;
+
+  const active = queue.filter(q => q.status === 'active');
+  const waiting = queue.filter(q => q.status === 'waiting' && q.id !== id);
+  const slot = Math.max(0, Math.min(waiting.length, Math.trunc(position) - 1));
+  waiting.splice(slot, 0, moving);
+
+  const setPosition = db.prepare(`UPDATE donations SET queue_position = ?, updated_at = ? WHERE id = ?`);
+  const now = nowIso();
+  [...active, ...waiting].forEach((q, idx) => setPosition.run(idx + 1, now, q.id));
+
+  return listQueue();
+});
+
 /**
  * Mark that machine credits were already pulsed for this donation.
  * This prevents double-crediting if player gets re-queued and becomes active again.
@@ -171,97 +255,606 @@ function markCreditsPulsed(id) {
   `).run(nowIso(), id);
 }
 
-function useOneCredit(id) {
+// Why a credit was played -> ledger entry
+const CONSUME_CAUSES = {
+  grab: { kind: 'consumed_grab', reason: 'credit ended by the grab' },
+  timeout: { kind: 'consumed_timeout', reason: 'credit time ran out' },
+  admin: { kind: 'consumed_admin', reason: 'turn ended by an admin while the credit was running' },
+};
+
+/**
+ * One credit played. cause: timeout | grab | admin (see CONSUME_CAUSES)
+ */
+function useOneCredit(id, cause) {
+  const row = getDonationById(id);
+  if (!row || row.credits_used >= row.credits_total) return;
+
+  const { kind, reason } = CONSUME_CAUSES[cause] || CONSUME_CAUSES.timeout;
+  recordCredits({ donationId: id, kind, credits: 1, reason, actor: 'game' });
+}
+
+/**
+ * Prize-chute sensor attributed a win to this donation.
+ */
+function addPrizeWon(id) {
   db.prepare(`
     UPDATE donations
-    SET credits_used =
-      CASE
-        WHEN credits_used + 1 > credits_total THEN credits_total
-        ELSE credits_used + 1
-      END,
-      updated_at = ?
+    SET prizes_won = prizes_won + 1, updated_at = ?
     WHERE id = ?
   `).run(nowIso(), id);
 }
 
+function saveActiveSession({ donationId, timerStarted, creditEndsAt, hasMoved, grabUsed, creditConsumed }) {
+  db.prepare(`
+    INSERT INTO active_session
+      (id, donation_id, timer_started, credit_ends_at, has_moved, grab_used, credit_consumed, last_seen_at, updated_at)
+    VALUES
+      (1, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      donation_id = excluded.donation_id,
+      timer_started = excluded.timer_started,
+      credit_ends_at = excluded.credit_ends_at,
+      has_moved = excluded.has_moved,
+      grab_used = excluded.grab_used,
+      credit_consumed = excluded.credit_consumed,
+      last_seen_at = excluded.last_seen_at,
+      updated_at = excluded.updated_at
+  `).run(
+    donationId,
+    timerStarted ? 1 : 0,
+    creditEndsAt || null,
+    hasMoved ? 1 : 0,
+    grabUsed ? 1 : 0,
+    creditConsumed ? 1 : 0,
+    Date.now(),
+    nowIso()
+  );
+}
+
+/**
+ * Heartbeat: the server is alive and the snapshot is still current.
+ */
+function touchActiveSession() {
+  db.prepare(`UPDATE active_session SET last_seen_at = ? WHERE id = 1`).run(Date.now());
+}
+
+function getActiveSession() {
+  return db.prepare(`SELECT * FROM active_session WHERE id = 1`).get();
+}
+
+function clearActiveSession() {
+  db.prepare(`DELETE FROM active_session`).run();
+}
+
+/**
+ * Machine mode (see mode.js): one row, missing until the mode is first changed.
+ */
+function getMachineMode() {
+  return db.prepare(`SELECT * FROM machine_mode WHERE id = 1`).get();
+}
+
+function saveMachineMode({ mode, message, acceptDonations, updatedBy }) {
+  db.prepare(`
+    INSERT INTO machine_mode (id, mode, message, accept_donations, updated_by, updated_at)
+    VALUES (1, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      mode = excluded.mode,
+      message = excluded.message,
+      accept_donations = excluded.accept_donations,
+      updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at
+  `).run(
+    mode,
+    message || null,
+    acceptDonations === null || acceptDonations === undefined ? null : (acceptDonations ? 1 : 0),
+    updatedBy || null,
+    nowIso()
+  );
+  return getMachineMode();
+}
 
 function getDonationByToken(token) {
   return db.prepare(`SELECT * FROM donations WHERE session_token = ?`).get(token);
 }
 
+/**
+ * Players in queue order: the active one first, then waiting by queue_position.
+ */
 function listQueue() {
   return db.prepare(`
-    SELECT id, name, credits_total, credits_used, credits_pulsed, status, created_at
+    SELECT id, name, credits_total, credits_used, credits_pulsed, status, queue_position, created_at
     FROM donations
     WHERE status IN ('waiting','active')
-    ORDER BY created_at ASC
+    ORDER BY status = 'active' DESC, queue_position ASC, id ASC
   `).all();
 }
 
 /**
- * Admin: full list for dashboard.
+ * Admin: full list for dashboard (+ euros refunded so far, voucher code for free plays).
  */
 function listAllDonations() {
   return db.prepare(`
-    SELECT *
-    FROM donations
-    ORDER BY created_at DESC
+    SELECT d.*,
+      (SELECT COALESCE(SUM(r.amount_eur), 0) FROM refunds r
+       WHERE r.donation_id = d.id AND r.status != 'failed') AS refunded_eur,
+      (SELECT v.code FROM voucher_redemptions vr JOIN vouchers v ON v.id = vr.voucher_id
+       WHERE vr.donation_id = d.id) AS voucher_code
+    FROM donations d
+    ORDER BY d.created_at DESC
   `).all();
 }
 
 /**
- * Admin: add/subtract credits safely.
- * - credits_total is clamped to >= credits_used and >= 0.
+ * Credits + euros already refunded for a donation (failed refunds don't count).
  */
-function adjustCredits(id, delta) {
-  const row = getDonationById(id);
-  if (!row) return null;
+function getRefundTotals(donationId) {
+  return db.prepare(`
+    SELECT COALESCE(SUM(credits), 0) AS credits, COALESCE(SUM(amount_eur), 0) AS amountEur
+    FROM refunds
+    WHERE donation_id = ? AND status != 'failed'
+  `).get(donationId);
+}
 
-  const nextTotal = Math.max(0, (row.credits_total || 0) + delta);
-  const clampedTotal = Math.max(nextTotal, row.credits_used || 0);
+/**
+ * Same totals per refund reason (machine_fault, closing_time, admin), oldest reason first.
+ */
+function getRefundTotalsByReason(donationId) {
+  return db.prepare(`
+    SELECT reason, SUM(credits) AS credits, SUM(amount_eur) AS amountEur
+    FROM refunds
+    WHERE donation_id = ? AND status != 'failed'
+    GROUP BY reason
+    ORDER BY MIN(id)
+  `).all(donationId);
+}
+
+/**
+ * Admin: create a voucher worth `credits` free credits, usable `maxUses` times.
+ * Returns the stored row.
+ */
+function createVoucher({ code, credits, maxUses, expiresAt, note }) {
+  const id = db.prepare(`
+    INSERT INTO vouchers (code, credits, max_uses, expires_at, note, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(code, credits, maxUses, expiresAt || null, note || null, nowIso()).lastInsertRowid;
+
+  return db.prepare(`SELECT * FROM vouchers WHERE id = ?`).get(id);
+}
+
+function getVoucherByCode(code) {
+  return db.prepare(`SELECT * FROM vouchers WHERE code = ?`).get(code);
+}
+
+function disableVoucher(id) {
+  return db.prepare(`UPDATE vouchers SET disabled = 1 WHERE id = ?`).run(id).changes > 0;
+}
+
+/**
+ * Redeem a voucher: use it once and queue a free donation, atomically.
+ * Returns { ok: true, intentId } or { ok: false, error } (invalid_code | expired | used_up).
+ */
+const redeemVoucher = db.transaction(({ code, name, email }) => {
+  const voucher = getVoucherByCode(code);
+  if (!voucher || voucher.disabled) return { ok: false, error: 'invalid_code' };
+
+  const now = nowIso();
+  if (voucher.expires_at && voucher.expires_at <= now) return { ok: false, error: 'expired' };
+
+  const used = db.prepare(`
+    UPDATE vouchers SET uses = uses + 1
+    WHERE id = ? AND uses < max_uses
+  `).run(voucher.id).changes;
+  if (!used) return { ok: false, error: 'used_up' };
+
+  const intentId = newIntentId();
+  const donationId = db.prepare(`
+    INSERT INTO donations
+      (intent_id, name, email, amount_requested_eur, amount_eur, status, queue_position, session_token, created_at, updated_at)
+    VALUES
+      (?, ?, ?, 0, 0, 'waiting', ${NEXT_QUEUE_POSITION}, ?, ?, ?)
+  `).run(intentId, name, email || null, newSessionToken(), now, now).lastInsertRowid;
+
+  recordCredits({
+    donationId,
+    kind: 'voucher',
+    credits: voucher.credits,
+    reason: `voucher ${voucher.code}`,
+    actor: 'player',
+  });
 
   db.prepare(`
-    UPDATE donations
-    SET credits_total = ?, updated_at = ?
+    INSERT INTO voucher_redemptions (voucher_id, donation_id, name, created_at)
+    VALUES (?, ?, ?, ?)
+  `).run(voucher.id, donationId, name, now);
+
+  return { ok: true, intentId };
+});
+
+/**
+ * Admin: all vouchers (newest first) with their redemptions.
+ */
+function listVouchers() {
+  const vouchers = db.prepare(`SELECT * FROM vouchers ORDER BY created_at DESC, id DESC`).all();
+  const redemptions = db.prepare(`
+    SELECT voucher_id, donation_id, name, created_at
+    FROM voucher_redemptions
+    ORDER BY created_at ASC
+  `).all();
+
+  return vouchers.map(v => ({
+    ...v,
+    redemptions: redemptions.filter(r => r.voucher_id === v.id),
+  }));
+}
+
+function getCampaign(id) {
+  return db.prepare(`SELECT * FROM campaigns WHERE id = ?`).get(id);
+}
+
+/**
+ * The campaign collecting donations right now (active and within its dates), or undefined.
+ */
+function getCurrentCampaign() {
+  const now = nowIso();
+  return db.prepare(`
+    SELECT * FROM campaigns
+    WHERE active = 1 AND starts_at <= ? AND (ends_at IS NULL OR ends_at > ?)
+  `).get(now, now);
+}
+
+function listCampaigns() {
+  return db.prepare(`SELECT * FROM campaigns ORDER BY starts_at DESC, id DESC`).all();
+}
+
+function createCampaign({ name, description, goalEur, startsAt, endsAt }) {
+  const now = nowIso();
+  const id = db.prepare(`
+    INSERT INTO campaigns (name, description, goal_eur, starts_at, ends_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(name, description || null, goalEur, startsAt, endsAt || null, now, now).lastInsertRowid;
+
+  return getCampaign(id);
+}
+
+function updateCampaign(id, { name, description, goalEur, startsAt, endsAt }) {
+  db.prepare(`
+    UPDATE campaigns
+    SET name = ?, description = ?, goal_eur = ?, starts_at = ?, ends_at = ?, updated_at = ?
     WHERE id = ?
-  `).run(clampedTotal, nowIso(), id);
+  `).run(name, description || null, goalEur, startsAt, endsAt || null, nowIso(), id);
 
-  return getDonationById(id);
+  return getCampaign(id);
+}
+
+/**
+ * Make one campaign the active one (id = null: no active campaign).
+ */
+const setActiveCampaign = db.transaction((id) => {
+  const now = nowIso();
+  db.prepare(`UPDATE campaigns SET active = 0, updated_at = ? WHERE active = 1`).run(now);
+  if (id) db.prepare(`UPDATE campaigns SET active = 1, updated_at = ? WHERE id = ?`).run(now, id);
+});
+
+/**
+ * Money raised (paid minus refunded) and number of paid donations.
+ * campaignId = undefined: all time.
+ */
+function getRaisedTotals(campaignId) {
+  const allTime = campaignId === undefined;
+
+  const stmt = db.prepare(`
+    SELECT
+      COUNT(*) AS donations,
+      COALESCE(SUM(d.amount_eur), 0) - COALESCE(SUM(
+        (SELECT SUM(r.amount_eur) FROM refunds r WHERE r.donation_id = d.id AND r.status != 'failed')
+      ), 0) AS raised_eur
+    FROM donations d
+    WHERE ${allTime ? '' : 'd.campaign_id = ? AND'} d.status IN ('waiting', 'active', 'done') AND d.amount_eur > 0
+  `);
+
+  return allTime ? stmt.get() : stmt.get(campaignId);
+}
+
+/**
+ * Claim the right to send `kind` to a donation. Returns the log id, or null when it was already sent.
+ */
+function reserveMail({ donationId, kind, recipient }) {
+  const now = nowIso();
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO mail_log (donation_id, kind, recipient, status, created_at, updated_at)
+    VALUES (?, ?, ?, 'sending', ?, ?)
+  `).run(donationId, kind, recipient, now, now);
+
+  return result.changes ? result.lastInsertRowid : null;
+}
+
+function finishMail(id, { status, error }) {
+  db.prepare(`
+    UPDATE mail_log SET status = ?, error = ?, updated_at = ? WHERE id = ?
+  `).run(status, error || null, nowIso(), id);
+}
+
+function hasMail(donationId, kind) {
+  return !!db.prepare(`SELECT 1 FROM mail_log WHERE donation_id = ? AND kind = ?`).get(donationId, kind);
+}
+
+/**
+ * Take `credits` unused credits off a donation and record a pending refund, atomically.
+ * Returns the refund id, or null if the donation no longer has that many unused credits.
+ */
+const reserveRefund = db.transaction(({ donationId, credits, amountEur, reason, automatic }) => {
+  const row = getDonationById(donationId);
+  if (!row || row.credits_total - row.credits_used < credits) return null;
+
+  const now = nowIso();
+  const refundId = db.prepare(`
+    INSERT INTO refunds
+      (donation_id, credits, amount_eur, reason, automatic, status, created_at, updated_at)
+    VALUES
+      (?, ?, ?, ?, ?, 'pending', ?, ?)
+  `).run(donationId, credits, amountEur, reason, automatic ? 1 : 0, now, now).lastInsertRowid;
+
+  recordCredits({
+    donationId,
+    kind: 'refund',
+    credits: -credits,
+    reason: `refund #${refundId}: ${reason}`,
+    actor: automatic ? 'system' : 'admin',
+  });
+
+  return refundId;
+});
+
+function completeRefund(id, { providerRefundId, status }) {
+  db.prepare(`
+    UPDATE refunds
+    SET provider_refund_id = ?, status = ?, updated_at = ?
+    WHERE id = ?
+  `).run(providerRefundId, status, nowIso(), id);
+}
+
+/**
+ * Provider refused: mark failed and give the credits back to the donation.
+ */
+const failRefund = db.transaction((id, error) => {
+  const refund = getRefund(id);
+  if (!refund || refund.status === 'failed') return;
+
+  db.prepare(`
+    UPDATE refunds
+    SET status = 'failed', error = ?, updated_at = ?
+    WHERE id = ?
+  `).run(error, nowIso(), id);
+
+  recordCredits({
+    donationId: refund.donation_id,
+    kind: 'refund_reversed',
+    credits: refund.credits,
+    reason: `refund #${id} failed: ${error}`,
+    actor: 'system',
+  });
+});
+
+function getRefund(id) {
+  return db.prepare(`SELECT * FROM refunds WHERE id = ?`).get(id);
+}
+
+/**
+ * Admin: all refunds, newest first.
+ */
+function listRefunds() {
+  return db.prepare(`
+    SELECT r.*, d.name
+    FROM refunds r
+    LEFT JOIN donations d ON d.id = r.donation_id
+    ORDER BY r.created_at DESC, r.id DESC
+  `).all();
+}
+
+/**
+ * Admin audit log: append one privileged action (before/after are stored as JSON).
+ */
+function writeAudit({ actor, action, targetType, targetId, before, after, ip }) {
+  db.prepare(`
+    INSERT INTO admin_audit (actor, action, target_type, target_id, before_json, after_json, ip, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    actor,
+    action,
+    targetType || null,
+    targetId === undefined || targetId === null ? null : String(targetId),
+    before === undefined ? null : JSON.stringify(before),
+    after === undefined ? null : JSON.stringify(after),
+    ip || null,
+    nowIso()
+  );
+}
+
+/**
+ * Admin: audit entries, newest first, filtered and paginated.
+ * - filters: actor, action (prefix match: "credits" matches "credits.add"), targetType, targetId, from/to (ISO)
+ * - excludeActions: exact action names left out (e.g. failed logins in the default view)
+ * Returns { entries, total }.
+ */
+function listAudit({ actor, action, excludeActions = [], targetType, targetId, from, to, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = {};
+
+  if (actor) { where.push('actor = @actor'); params.actor = actor; }
+  if (action) { where.push("(action = @action OR action LIKE @actionPrefix)"); params.action = action; params.actionPrefix = `${action}.%`; }
+  if (excludeActions.length) {
+    where.push(`action NOT IN (${excludeActions.map((_, i) => `@exclude${i}`).join(', ')})`);
+    excludeActions.forEach((name, i) => { params[`exclude${i}`] = name; });
+  }
+  if (targetType) { where.push('target_type = @targetType'); params.targetType = targetType; }
+  if (targetId) { where.push('target_id = @targetId'); params.targetId = String(targetId); }
+  if (from) { where.push('created_at >= @from'); params.from = from; }
+  if (to) { where.push('created_at < @to'); params.to = to; }
+
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM admin_audit ${whereSql}`).get(params).n;
+  const entries = db.prepare(`
+    SELECT * FROM admin_audit ${whereSql}
+    ORDER BY id DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit, offset }).map(({ before_json, after_json, ...row }) => ({
+    ...row,
+    before: before_json ? JSON.parse(before_json) : null,
+    after: after_json ? JSON.parse(after_json) : null,
+  }));
+
+  return { entries, total };
+}
+
+/**
+ * Admin accounts (password hashing and sessions live in auth.js).
+ * Users are listed without their password hash.
+ */
+const ADMIN_USER_COLUMNS = 'id, username, role, disabled, created_at, updated_at, last_login_at';
+
+function getAdminUser(id) {
+  return db.prepare(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = ?`).get(id);
+}
+
+/**
+ * Login lookup: the only query that returns password_hash.
+ */
+function getAdminUserForLogin(username) {
+  return db.prepare(`SELECT * FROM admin_users WHERE username = ?`).get(username);
+}
+
+function listAdminUsers() {
+  return db.prepare(`SELECT ${ADMIN_USER_COLUMNS} FROM admin_users ORDER BY username`).all();
+}
+
+function countAdminUsers({ role } = {}) {
+  return role
+    ? db.prepare(`SELECT COUNT(*) AS n FROM admin_users WHERE role = ? AND disabled = 0`).get(role).n
+    : db.prepare(`SELECT COUNT(*) AS n FROM admin_users`).get().n;
+}
+
+function createAdminUser({ username, passwordHash, role }) {
+  const info = db.prepare(`
+    INSERT INTO admin_users (username, password_hash, role, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(username, passwordHash, role, nowIso(), nowIso());
+
+  return getAdminUser(info.lastInsertRowid);
 }
 
 /**
- * Admin: set total credits safely.
+ * Change role / disabled / password (only the given fields).
  */
-function setCreditsTotal(id, creditsTotal) {
+function updateAdminUser(id, { role, disabled, passwordHash }) {
+  db.prepare(`
+    UPDATE admin_users
+    SET role = COALESCE(@role, role),
+        disabled = COALESCE(@disabled, disabled),
+        password_hash = COALESCE(@passwordHash, password_hash),
+        updated_at = @now
+    WHERE id = @id
+  `).run({
+    id,
+    role: role ?? null,
+    disabled: disabled === undefined ? null : (disabled ? 1 : 0),
+    passwordHash: passwordHash ?? null,
+    now: nowIso(),
+  });
+
+  return getAdminUser(id);
+}
+
+function createAdminSession({ tokenHash, userId, expiresAt }) {
+  db.prepare(`
+    INSERT INTO admin_sessions (token_hash, user_id, created_at, expires_at)
+    VALUES (?, ?, ?, ?)
+  `).run(tokenHash, userId, nowIso(), expiresAt);
+  db.prepare(`UPDATE admin_users SET last_login_at = ? WHERE id = ?`).run(nowIso(), userId);
+}
+
+/**
+ * Session + its user, only while unexpired and the user is enabled.
+ */
+function getAdminSession(tokenHash) {
+  return db.prepare(`
+    SELECT s.expires_at, u.id, u.username, u.role
+    FROM admin_sessions s
+    JOIN admin_users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > ? AND u.disabled = 0
+  `).get(tokenHash, nowIso());
+}
+
+function deleteAdminSession(tokenHash) {
+  db.prepare(`DELETE FROM admin_sessions WHERE token_hash = ?`).run(tokenHash);
+}
+
+/**
+ * Sign a user out everywhere (password change, disabled account), except `keepTokenHash`,
+ * or drop expired sessions.
+ */
+function deleteAdminSessions({ userId, keepTokenHash, expired } = {}) {
+  if (userId) {
+    db.prepare(`DELETE FROM admin_sessions WHERE user_id = ? AND token_hash != ?`).run(userId, keepTokenHash || '');
+  }
+  if (expired) db.prepare(`DELETE FROM admin_sessions WHERE expires_at <= ?`).run(nowIso());
+}
+
+/**
+ * Admin: add/subtract credits safely.
+ * - credits_total is clamped to >= credits_used and >= 0.
+ * - audit: { actor, reason } for the ledger entry
+ */
+function adjustCredits(id, delta, audit) {
+  const row = getDonationById(id);
+  if (!row) return null;
+
+  return setCreditsTotal(id, (row.credits_total || 0) + delta, audit);
+}
+
+/**
+ * Admin: set total credits safely (recorded as a grant or revoke of the difference).
+ */
+function setCreditsTotal(id, creditsTotal, { actor = 'admin', reason } = {}) {
   const row = getDonationById(id);
   if (!row) return null;
 
   const nextTotal = Math.max(0, creditsTotal);
   const clampedTotal = Math.max(nextTotal, row.credits_used || 0);
-
-  db.prepare(`
-    UPDATE donations
-    SET credits_total = ?, updated_at = ?
-    WHERE id = ?
-  `).run(clampedTotal, nowIso(), id);
+  const diff = clampedTotal - (row.credits_total || 0);
+
+  if (diff) {
+    recordCredits({
+      donationId: id,
+      kind: diff > 0 ? 'admin_grant' : 'admin_revoke',
+      credits: diff,
+      reason: reason || 'admin adjustment',
+      actor,
+    });
+  }
 
   return getDonationById(id);
 }
 
 /**
- * Admin: set used credits safely.
+ * Admin: set used credits safely (recorded as a correction of the difference).
  */
-function setCreditsUsed(id, creditsUsed) {
+function setCreditsUsed(id, creditsUsed, { actor = 'admin', reason } = {}) {
   const row = getDonationById(id);
   if (!row) return null;
 
   const nextUsed = Math.max(0, Math.min(creditsUsed, row.credits_total || 0));
-
-  db.prepare(`
-    UPDATE donations
-    SET credits_used = ?, updated_at = ?
-    WHERE id = ?
-  `).run(nextUsed, nowIso(), id);
+  const diff = nextUsed - (row.credits_used || 0);
+
+  if (diff) {
+    recordCredits({
+      donationId: id,
+      kind: 'admin_used',
+      credits: diff,
+      reason: reason || 'admin correction',
+      actor,
+    });
+  }
 
   return getDonationById(id);
 }
@@ -288,15 +881,62 @@ module.exports = {
   getDonationById,
   getDonationByPaymentId,
   markIntentPaid,
+  closeIntent,
+  expireStaleIntents,
   setDonationStatus,
   requeueToEnd,
+  moveInQueue,
   markCreditsPulsed,
   useOneCredit,
+  addPrizeWon,
+  saveActiveSession,
+  touchActiveSession,
+  getActiveSession,
+  clearActiveSession,
+  getMachineMode,
+  saveMachineMode,
   getDonationByToken,
   listQueue,
 
+  getRefundTotals,
+  getRefundTotalsByReason,
+  reserveRefund,
+  completeRefund,
+  failRefund,
+  getRefund,
+  redeemVoucher,
+  getCampaign,
+  getCurrentCampaign,
+  listCampaigns,
+  getRaisedTotals,
+  reserveMail,
+  finishMail,
+  hasMail,
+
   // Admin exports
   listAllDonations,
+  listRefunds,
+  listCreditLedger,
+  getPaidCredits,
+  writeAudit,
+  listAudit,
+  getAdminUser,
+  getAdminUserForLogin,
+  listAdminUsers,
+  countAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  createAdminSession,
+  getAdminSession,
+  deleteAdminSession,
+  deleteAdminSessions,
+  createVoucher,
+  getVoucherByCode,
+  disableVoucher,
+  listVouchers,
+  createCampaign,
+  updateCampaign,
+  setActiveCampaign,
   adjustCredits,
   setCreditsTotal,
   setCreditsUsed,
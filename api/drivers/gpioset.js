@@ -0,0 +1,122 @@
+const { spawn, execSync } = require('child_process');
+const readline = require('readline');
+
+/**
+ * gpioset driver (real hardware, libgpiod command line tools).
+ * - Asserting a line spawns `gpioset --mode=signal` which keeps it HIGH
+ *   until the process is killed.
+ * - Deasserting kills that process and forces the line LOW.
+ * - Inputs are read once with `gpioget`, then followed with one `gpiomon` per line.
+ */
+function createGpiosetDriver({ chip = 'gpiochip0', onError } = {}) {
+    const holds = new Map();    // line name -> child process
+    const monitors = new Map(); // input name -> gpiomon child process
+    let pins = {};
+
+    function setOnce(pin, value) {
+        execSync(`gpioset ${chip} ${pin}=${value}`);
+    }
+
+    /**
+     * Initialize all pins LOW safely.
+     * Never throws: a missing gpioset binary is logged once instead of crashing boot.
+     */
+    function setup(pinMap) {
+        pins = { ...pinMap };
+
+        let failed = false;
+        for (const pin of Object.values(pins)) {
+            try {
+                setOnce(pin, 0);
+            } catch (_) {
+                failed = true;
+            }
+        }
+
+        if (failed) {
+            console.error(`gpioset driver: could not initialize lines on ${chip} (is gpiod installed?)`);
+        }
+    }
+
+    /**
+     * Call onChange(name, level) with the initial level and on every edge after that.
+     */
+    function setupInputs(inputMap, onChange) {
+        for (const [name, { pin }] of Object.entries(inputMap)) {
+            try {
+                const level = Number(execSync(`gpioget ${chip} ${pin}`).toString().trim());
+                onChange(name, level ? 1 : 0);
+            } catch (_) {
+                console.error(`gpioset driver: could not read input ${name} (pin ${pin})`);
+            }
+
+            // %e = event type: 1 rising, 0 falling
+            const child = spawn('gpiomon', ['--format=%e', chip, String(pin)], {
+                stdio: ['ignore', 'pipe', 'ignore'],
+            });
+
+            child.on('error', (err) => {
+                console.error(`gpioset driver: failed to monitor ${name}:`, err?.message || err);
+            });
+
+            readline.createInterface({ input: child.stdout }).on('line', (line) => {
+                onChange(name, line.trim() === '1' ? 1 : 0);
+            });
+
+            monitors.set(name, child);
+        }
+    }
+
+    function write(name, value) {
+        const pin = pins[name];
+        if (pin === undefined) return;
+
+        if (value) {
+            if (holds.has(name)) return; // already asserted
+
+            const child = spawn('gpioset', ['--mode=signal', chip, `${pin}=1`], {
+                stdio: 'ignore',
+            });
+
+            child.on('error', (err) => {
+                console.error(`gpioset driver: failed to assert ${name}:`, err?.message || err);
+                onError?.(name, err);
+            });
+
+            child.on('exit', () => {
+                if (holds.get(name) === child) holds.delete(name);
+            });
+
+            holds.set(name, child);
+            return;
+        }
+
+        const child = holds.get(name);
+        if (child) {
+            child.kill('SIGTERM');
+            holds.delete(name);
+        }
+
+        try {
+            setOnce(pin, 0);
+        } catch (err) {
+            console.error(`gpioset driver: failed to release ${name}:`, err?.message || err);
+            onError?.(name, err);
+        }
+    }
+
+    function close() {
+        for (const name of Object.keys(pins)) {
+            write(name, 0);
+        }
+
+        for (const child of monitors.values()) {
+            child.kill('SIGTERM');
+        }
+        monitors.clear();
+    }
+
+    return { name: 'gpioset', setup, setupInputs, write, close };
+}
+
+module.exports = createGpiosetDriver;
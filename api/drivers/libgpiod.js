@@ -0,0 +1,137 @@
+const POLL_MS = 5;
+
+/**
+ * Native libgpiod driver (character device, in-process).
+ * - Lines are requested ONCE in setup() and kept for the lifetime of the process.
+ * - write() is a plain setValue() call: no child process, no blocking exec.
+ * - Input lines are polled every POLL_MS and reported on change.
+ *
+ * Requires the optional "node-libgpiod" package (native addon, Linux only).
+ */
+function loadBinding() {
+    try {
+        return require('node-libgpiod');
+    } catch (_) {
+        return null;
+    }
+}
+
+// "gpiochip0" -> 0 (node-libgpiod takes the chip number)
+function chipNumber(chip) {
+    const m = /(\d+)$/.exec(String(chip));
+    return m ? Number(m[1]) : 0;
+}
+
+// Chip number -> open Chip, shared by isAvailable() and every driver instance, so probing
+// and re-configuring never open the same chip twice
+const chips = new Map();
+
+function openChip(binding, chip) {
+    const number = chipNumber(chip);
+    if (!chips.has(number)) chips.set(number, new binding.Chip(number));
+    return chips.get(number);
+}
+
+/**
+ * Usable here: the addon loads AND the chip opens (it may be missing, or not
+ * accessible to this user, even with node-libgpiod installed).
+ */
+function isAvailable({ chip = 'gpiochip0' } = {}) {
+    const binding = loadBinding();
+    if (!binding) return false;
+
+    try {
+        openChip(binding, chip);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+function createLibgpiodDriver({ chip = 'gpiochip0', onError } = {}) {
+    const binding = loadBinding();
+    if (!binding) {
+        throw new Error('libgpiod driver: node-libgpiod is not installed');
+    }
+
+    // Keep strong references: node-libgpiod releases lines when Chip/Line are garbage collected
+    const handles = {
+        chip: openChip(binding, chip),
+        lines: new Map(),  // output name -> Line
+        inputs: new Map(), // input name -> Line
+    };
+    let poller = null;
+
+    function setup(pinMap) {
+        for (const [name, pin] of Object.entries(pinMap)) {
+            const line = new binding.Line(handles.chip, pin);
+            line.requestOutputMode();
+            line.setValue(0);
+            handles.lines.set(name, line);
+        }
+    }
+
+    /**
+     * Request input lines and call onChange(name, level) with the initial level
+     * and on every change after that.
+     */
+    function setupInputs(inputMap, onChange) {
+        const last = new Map();
+
+        for (const [name, { pin }] of Object.entries(inputMap)) {
+            const line = new binding.Line(handles.chip, pin);
+            line.requestInputMode();
+            handles.inputs.set(name, line);
+        }
+
+        poller = setInterval(() => {
+            for (const [name, line] of handles.inputs) {
+                let level;
+                try {
+                    level = line.getValue();
+                } catch (_) {
+                    continue;
+                }
+
+                if (last.get(name) !== level) {
+                    last.set(name, level);
+                    onChange(name, level);
+                }
+            }
+        }, POLL_MS);
+    }
+
+    function write(name, value) {
+        const line = handles.lines.get(name);
+        if (!line) return;
+
+        try {
+            line.setValue(value ? 1 : 0);
+        } catch (err) {
+            console.error(`libgpiod driver: failed to set ${name}=${value}:`, err?.message || err);
+            onError?.(name, err);
+        }
+    }
+
+    function close() {
+        if (poller) clearInterval(poller);
+        poller = null;
+
+        for (const [name, line] of handles.lines) {
+            write(name, 0);
+            try { line.release(); } catch (_) { }
+        }
+        handles.lines.clear();
+
+        for (const line of handles.inputs.values()) {
+            try { line.release(); } catch (_) { }
+        }
+        handles.inputs.clear();
+    }
+
+    return { name: 'libgpiod', setup, setupInputs, write, close };
+}
+
+createLibgpiodDriver.isAvailable = isAvailable;
+
+module.exports = createLibgpiodDriver;
@@ -0,0 +1,179 @@
+const TICK_MS = 20;
+
+// Limit switch input -> is the claw at that edge?
+const LIMITS = {
+    limitUp: (s, dims) => s.y >= dims.depth,
+    limitDown: (s) => s.y <= 0,
+    limitLeft: (s) => s.x <= 0,
+    limitRight: (s, dims) => s.x >= dims.width,
+};
+
+/**
+ * Simulated claw driver (no hardware needed).
+ * - Models the gantry as a point on a table: x grows to the right, y grows "up" (away from the player).
+ * - While a direction line is asserted the claw moves at a constant speed, clamped to the table edges.
+ * - Rising edges on grab/credit are counted like the real cabinet would.
+ * - After a grab the claw drops for returnDelayMs, then travels back home (front-left corner).
+ * - Limit switch inputs follow the position; other sensors sit idle until setInput() drives them.
+ *
+ * Position is integrated on every write/read, plus a TICK_MS ticker that only runs while moving.
+ */
+function createSimDriver({
+    width = 600,           // mm
+    depth = 400,           // mm
+    speed = 150,           // mm per second
+    returnDelayMs = 3000,  // claw drop + close before it travels home
+    verbose = false,
+} = {}) {
+    const lines = {};  // output name -> 0 | 1
+    const inputs = {}; // input name -> 0 | 1 (raw level)
+    const activeLow = {}; // input name -> bool
+    let notifyInput = () => { };
+    const state = {
+        x: 0,
+        y: 0,
+        grabs: 0,
+        credits: 0,
+        lastGrabAt: null,
+        lastCreditAt: null,
+        returningHome: false,
+    };
+    let lastTick = Date.now();
+    let ticker = null;
+
+    function clamp(v, max) {
+        return Math.max(0, Math.min(max, v));
+    }
+
+    function isMoving() {
+        return !!(lines.up || lines.down || lines.left || lines.right || state.returningHome);
+    }
+
+    function updateTicker() {
+        if (isMoving() && !ticker) {
+            ticker = setInterval(advance, TICK_MS);
+        } else if (!isMoving() && ticker) {
+            clearInterval(ticker);
+            ticker = null;
+        }
+    }
+
+    // Move the claw for the time elapsed since the last tick.
+    function advance() {
+        const now = Date.now();
+        const dist = ((now - lastTick) / 1000) * speed;
+        lastTick = now;
+
+        if (lines.right) state.x += dist;
+        if (lines.left) state.x -= dist;
+        if (lines.up) state.y += dist;
+        if (lines.down) state.y -= dist;
+
+        if (state.returningHome && now - state.lastGrabAt >= returnDelayMs) {
+            state.x -= dist;
+            state.y -= dist;
+            if (state.x <= 0 && state.y <= 0) state.returningHome = false;
+        }
+
+        state.x = clamp(state.x, width);
+        state.y = clamp(state.y, depth);
+
+        updateLimits();
+        updateTicker();
+    }
+
+    function setActive(name, active) {
+        setInput(name, active !== activeLow[name] ? 1 : 0);
+    }
+
+    function updateLimits() {
+        for (const [name, atEdge] of Object.entries(LIMITS)) {
+            if (name in inputs) setActive(name, atEdge(state, { width, depth }));
+        }
+    }
+
+    function setup(pinMap) {
+        for (const name of Object.keys(pinMap)) {
+            lines[name] = 0;
+        }
+        lastTick = Date.now();
+    }
+
+    function setupInputs(inputMap, onChange) {
+        notifyInput = onChange;
+
+        for (const [name, cfg] of Object.entries(inputMap)) {
+            activeLow[name] = cfg.activeLow;
+            inputs[name] = cfg.activeLow ? 1 : 0; // idle = not active
+            onChange(name, inputs[name]);
+        }
+
+        updateLimits();
+    }
+
+    // Drive a simulated sensor to a raw level
+    function setInput(name, level) {
+        if (!(name in inputs)) return false;
+
+        const next = level ? 1 : 0;
+        if (inputs[name] !== next) {
+            inputs[name] = next;
+            if (verbose) console.log(`[gpio-sim] input ${name}=${next}`);
+            notifyInput(name, next);
+        }
+        return true;
+    }
+
+    function write(name, value) {
+        if (!(name in lines)) return;
+
+        advance();
+
+        const next = value ? 1 : 0;
+        const prev = lines[name];
+        lines[name] = next;
+
+        if (prev === 0 && next === 1) {
+            if (name === 'grab') {
+                state.grabs += 1;
+                state.lastGrabAt = Date.now();
+                state.returningHome = true;
+            }
+            if (name === 'credit') {
+                state.credits += 1;
+                state.lastCreditAt = Date.now();
+            }
+        }
+
+        if (verbose && prev !== next) {
+            console.log(`[gpio-sim] ${name}=${next} pos=(${Math.round(state.x)},${Math.round(state.y)})`);
+        }
+
+        updateTicker();
+    }
+
+    function getState() {
+        advance();
+        return {
+            ...state,
+            x: Math.round(state.x),
+            y: Math.round(state.y),
+            width,
+            depth,
+            lines: { ...lines },
+            inputs: { ...inputs },
+        };
+    }
+
+    function close() {
+        for (const name of Object.keys(lines)) {
+            write(name, 0);
+        }
+        state.returningHome = false;
+        updateTicker();
+    }
+
+    return { name: 'sim', setup, setupInputs, setInput, write, getState, close };
+}
+
+module.exports = createSimDriver;
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+const SYSFS_ROOT = '/sys/class/gpio';
+const POLL_MS = 5;
+
+/**
+ * Legacy sysfs driver (in-process fallback when node-libgpiod is unavailable).
+ * - Each pin is exported and set to "out" once in setup().
+ * - The value file stays open, so write() is a single synchronous 1-byte write.
+ * - Input lines are polled every POLL_MS and reported on change.
+ *
+ * Newer kernels number sysfs GPIOs from a chip base (e.g. 512 on Pi 5),
+ * set gpio.sysfsBase in the machine profile when BCM numbers do not line up.
+ */
+function isAvailable() {
+    try {
+        fs.accessSync(path.join(SYSFS_ROOT, 'export'), fs.constants.W_OK);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+function createSysfsDriver({ base = 0, onError } = {}) {
+    const fds = new Map();      // output name -> fd of gpioN/value
+    const inputFds = new Map(); // input name -> fd of gpioN/value
+    let poller = null;
+
+    /**
+     * direction "low" = output + initial value 0 in one step (no glitch HIGH),
+     * direction "in" = input.
+     */
+    function exportPin(gpio, direction = 'low') {
+        const dir = path.join(SYSFS_ROOT, `gpio${gpio}`);
+        if (!fs.existsSync(dir)) {
+            fs.writeFileSync(path.join(SYSFS_ROOT, 'export'), String(gpio));
+        }
+        fs.writeFileSync(path.join(dir, 'direction'), direction);
+        return fs.openSync(path.join(dir, 'value'), direction === 'in' ? 'r' : 'r+');
+    }
+
+    function setup(pinMap) {
+        for (const [name, pin] of Object.entries(pinMap)) {
+            try {
+                fds.set(name, exportPin(base + pin));
+            } catch (err) {
+                console.error(`sysfs driver: could not export ${name} (gpio${base + pin}):`, err?.message || err);
+            }
+        }
+    }
+
+    /**
+     * Export input lines and call onChange(name, level) with the initial level
+     * and on every change after that.
+     */
+    function setupInputs(inputMap, onChange) {
+        const last = new Map();
+        const buf = Buffer.alloc(1);
+
+        for (const [name, { pin }] of Object.entries(inputMap)) {
+            try {
+                inputFds.set(name, exportPin(base + pin, 'in'));
+            } catch (err) {
+                console.error(`sysfs driver: could not export input ${name} (gpio${base + pin}):`, err?.message || err);
+            }
+        }
+
+        poller = setInterval(() => {
+            for (const [name, fd] of inputFds) {
+                try {
+                    fs.readSync(fd, buf, 0, 1, 0);
+                } catch (_) {
+                    continue;
+                }
+
+                const level = buf[0] === 0x31 ? 1 : 0; // '1'
+                if (last.get(name) !== level) {
+                    last.set(name, level);
+                    onChange(name, level);
+                }
+            }
+        }, POLL_MS);
+    }
+
+    function write(name, value) {
+        const fd = fds.get(name);
+        if (fd === undefined) return;
+
+        try {
+            fs.writeSync(fd, value ? '1' : '0', 0);
+        } catch (err) {
+            console.error(`sysfs driver: failed to set ${name}=${value}:`, err?.message || err);
+            onError?.(name, err);
+        }
+    }
+
+    function close() {
+        if (poller) clearInterval(poller);
+        poller = null;
+
+        for (const [name, fd] of fds) {
+            write(name, 0);
+            try { fs.closeSync(fd); } catch (_) { }
+        }
+        fds.clear();
+
+        for (const fd of inputFds.values()) {
+            try { fs.closeSync(fd); } catch (_) { }
+        }
+        inputFds.clear();
+    }
+
+    return { name: 'sysfs', setup, setupInputs, write, close };
+}
+
+createSysfsDriver.isAvailable = isAvailable;
+
+module.exports = createSysfsDriver;
@@ -1,4 +1,12 @@
 const gpio = require('./gpio');
+const machine = require('./machine');
+const machineMode = require('./mode');
+const schedule = require('./schedule');
+const { createTurnMachine } = require('./turn');
+const { isAutomaticRefund, refundUnusedCredits } = require('./refunds');
+const { creditsForPayment } = require('./pricing');
+const { getCampaignProgress } = require('./campaigns');
+const { sendReceipt, notifyQueue, sendSessionSummary } = require('./notifications');
 const Pusher = require('pusher');
 
 const {
@@ -8,7 +16,15 @@ const {
     useOneCredit,
     requeueToEnd,
     markCreditsPulsed,
-    db, // use db only for boot recovery
+    addPrizeWon,
+    getDonationById,
+    getIntent,
+    getCurrentCampaign,
+    saveActiveSession,
+    touchActiveSession,
+    getActiveSession,
+    clearActiveSession,
+    db, // boot recovery + multi-statement transactions
 } = require('./db');
 
 const pusher = new Pusher({
@@ -38,35 +54,153 @@ function safeTrigger(channel, event, data) {
     }
 }
 
-const CREDIT_MS = 35 * 1000;     // 35s per credit
-const FIRST_MOVE_MS = 15 * 1000; // must move within 15s if others are waiting
-const GRAB_FINISH_MS = 7 * 1000; // after grab, wait 7s then end credit
-
-let active = null;
-// active = {
-//   donationId,
-//   creditsRemaining,
-//   timer,
-//   timerStarted,
-//   creditEndsAt,
-//   firstMoveDeadline,
-//   firstMoveTimer,
-//   hasMoved,
-//   grabUsed,
-//   creditSeq,        // increments per credit to invalidate stale timers
-//   creditConsumed,   // ensures one DB consume per credit
-// };
+/**
+ * GPIO safety violations are reported to the admin dashboard in realtime.
+ */
+gpio.events.on('violation', (violation) => {
+    safeTrigger('public-chat', 'safety-violation', violation);
+});
+
+/**
+ * The GPIO driver failed to write a line: end the turn as a machine fault (the credit in
+ * play is not spent), which refunds the unused credits.
+ */
+gpio.events.on('fault', () => {
+    if (turn.getSnapshot().donationId) forceEndActive('machine_fault', { settle: 'return' });
+});
+
+/**
+ * Game timings + pulse widths come from the machine profile and are read
+ * at use time, so an edited profile applies from the next credit on.
+ * - game.creditMs:     time per credit (35s on the default cabinet)
+ * - game.firstMoveMs:  must move within this window if others are waiting
+ * - game.grabFinishMs: after grab, wait this long then end credit
+ * - game.prizeWindowMs: a prize-chute drop this long after a grab belongs to that grab
+ * - game.resumeMinMs:   after a restart, a running credit only continues if this much time was left
+ */
+function timings() {
+    return machine.get().game;
+}
+
+function pulses() {
+    return machine.get().pulses;
+}
+
+// Last grab (survives the end of the credit/turn so late drops are still attributed)
+let lastGrab = null; // { donationId, at }
+
+// Set by forceActivateDonation: this donation starts next, whatever its queue position
+let forcedNextId = null;
+
+/**
+ * The active player's turn (see turn.js), wired to the real clock, GPIO, Soketi and SQLite.
+ */
+const turn = createTurnMachine({
+    gpio,
+    broadcast: (event, data) => safeTrigger('public-chat', event, data),
+    store: {
+        someoneWaiting: exceptId => listQueue().some(q => q.status === 'waiting' && q.id !== exceptId),
+        // Credit + snapshot together: a crash in between must not consume twice
+        consumeCredit: (donationId, cause) => db.transaction(() => {
+            useOneCredit(donationId, cause);
+            saveActiveSession({ ...toSession(turn.getSnapshot()), creditConsumed: true });
+        })(),
+        // A preempted player with credits left goes back to waiting, keeping their queue position
+        finishTurn: (donationId, { preempted }) => db.transaction(() => {
+            const donation = getDonationById(donationId);
+            const creditsLeft = donation && donation.credits_total - donation.credits_used > 0;
+            setDonationStatus(donationId, preempted && creditsLeft ? 'waiting' : 'done');
+            clearActiveSession();
+        })(),
+    },
+    config: () => machine.get(),
+});
+
+turn.events.on('transition', (t) => {
+    if (t.type === 'grabbed') lastGrab = { donationId: t.donationId, at: t.at };
+
+    if (t.to === 'ended') {
+        if (isAutomaticRefund(t.reason)) refundAfterFault(t.donationId, t.reason);
+        // Wait out the prize window so a late drop still makes it into the summary
+        if (!t.preempted) setTimeout(() => sendSessionSummary(t.donationId, t.reason), timings().prizeWindowMs);
+        maybeStartNext();
+        return;
+    }
+
+    persistTurn();
+    broadcastQueue();
+});
+
+turn.events.on('update', () => broadcastQueue());
+
+/**
+ * Machine-side failure ended a turn: hand the unused credits back automatically.
+ */
+function refundAfterFault(donationId, reason) {
+    refundUnusedCredits(donationId, { reason, automatic: true })
+        .then((result) => {
+            if (!result.ok) {
+                if (result.error !== 'nothing_to_refund') {
+                    console.error(`Automatic refund for donation ${donationId} failed: ${result.error}`);
+                }
+                return;
+            }
+
+            safeTrigger('public-chat', 'refund-issued', {
+                donationId,
+                credits: result.refund.credits,
+                amountEur: result.refund.amount_eur,
+                automatic: true,
+                reason,
+            });
+        })
+        .catch(err => console.error('Automatic refund error:', err));
+}
+
+// Turn snapshot -> active_session row
+function toSession(snapshot) {
+    const creditRunning = snapshot.state === 'credit_running' || snapshot.state === 'grab_settling';
+    return {
+        donationId: snapshot.donationId,
+        timerStarted: creditRunning,
+        creditEndsAt: snapshot.creditEndsAt,
+        hasMoved: creditRunning,
+        grabUsed: snapshot.state === 'grab_settling',
+        creditConsumed: false,
+    };
+}
+
+/**
+ * Write the active turn to SQLite (or clear it when nobody is active).
+ */
+function persistTurn() {
+    const snapshot = turn.getSnapshot();
+    if (snapshot.donationId) {
+        saveActiveSession(toSession(snapshot));
+    } else {
+        clearActiveSession();
+    }
+}
 
 /**
  * Boot recovery:
- * - If server restarts while someone was active, DB still says active.
- *   Move them back to waiting to avoid a "ghost active" blocking queue.
+ * - The turn that was active when the server stopped is resumed from active_session:
+ *   - credit not started yet (or already consumed): fresh credit, new first-move window.
+ *   - credit running, no grab yet: the clock is paused over the downtime. If at least
+ *     game.resumeMinMs was left when the server was last seen, the credit continues with
+ *     that time; otherwise the player gets the credit back and it restarts on their next move.
+ *   - grab already fired: the credit is spent, so it is consumed and the turn moves on.
+ * - Any other row still marked active goes back to waiting,
+ *   to avoid a "ghost active" blocking the queue.
  * - Also mark waiting rows with 0 credits as done.
  */
 function recoverAfterRestart() {
     try {
+        const session = getActiveSession();
+
         const actives = db.prepare(`SELECT id FROM donations WHERE status = 'active'`).all();
         for (const a of actives) {
+            if (session && a.id === session.donation_id) continue;
             setDonationStatus(a.id, 'waiting');
         }
 
@@ -82,17 +216,48 @@ function recoverAfterRestart() {
                 setDonationStatus(w.id, 'done');
             }
         }
+
+        if (session) resumeActiveSession(session);
     } catch (err) {
         console.error('recoverAfterRestart error:', err);
     }
 }
-recoverAfterRestart();
+
+function resumeActiveSession(session) {
+    const donation = getDonationById(session.donation_id);
+    const creditsRemaining = donation ? donation.credits_total - donation.credits_used : 0;
+
+    if (!donation || donation.status !== 'active' || creditsRemaining <= 0) {
+        if (donation?.status === 'active') setDonationStatus(donation.id, 'done');
+        clearActiveSession();
+        return;
+    }
+
+    const creditRunning = !!session.timer_started && !session.credit_consumed;
+    const leftMs = creditRunning ? session.credit_ends_at - session.last_seen_at : 0;
+
+    if (creditRunning && session.grab_used) {
+        console.log(`Resumed turn ${donation.id}: grab already used, consuming credit`);
+        turn.resume({ donationId: donation.id, creditsRemaining, grabUsed: true });
+    } else if (creditRunning && leftMs >= timings().resumeMinMs) {
+        console.log(`Resumed turn ${donation.id}: continuing credit with ${Math.round(leftMs / 1000)}s left`);
+        turn.resume({ donationId: donation.id, creditsRemaining, creditLeftMs: leftMs });
+    } else {
+        if (creditRunning) {
+            console.log(`Resumed turn ${donation.id}: only ${Math.round(leftMs / 1000)}s left, credit handed back`);
+        }
+        turn.resume({ donationId: donation.id, creditsRemaining });
+    }
+}
 
 /**
  * Broadcast queue + active state for realtime UI.
  */
 function broadcastQueue() {
-    const queue = listQueue().map((d, idx) => ({
+    const rows = listQueue();
+    notifyQueue(rows);
+
+    const queue = rows.map((d, idx) => ({
         id: d.id,
         name: d.name,
         creditsRemaining: d.credits_total - d.credits_used,
@@ -100,22 +265,37 @@ function broadcastQueue() {
         position: idx + 1,
     }));
 
+    const snapshot = turn.getSnapshot();
     safeTrigger('public-chat', 'queue-update', {
-        activeDonationId: active?.donationId || null,
-        creditEndsAt: active?.creditEndsAt || null,
-        firstMoveDeadline: active?.firstMoveDeadline || null,
+        activeDonationId: snapshot.donationId,
+        creditEndsAt: snapshot.creditEndsAt,
+        firstMoveDeadline: snapshot.firstMoveDeadline,
+        awaitingHome: snapshot.awaitingHome,
+        paused: snapshot.paused,
+        mode: machineMode.get().mode,
+        hoursOpen: schedule.isOpen(),
         queue,
     });
 }
 
 /**
- * Start next waiting player if no one is active.
+ * Why no turn may start right now: 'machine_paused' (mode.js), 'outside_opening_hours'
+ * (schedule.js), or null when turns can start.
+ */
+function turnsBlockedBy() {
+    if (!machineMode.isOpen()) return 'machine_paused';
+    if (!schedule.isOpen()) return 'outside_opening_hours';
+    return null;
+}
+
+/**
+ * Start next waiting player if no one is active and turns may start (see turnsBlockedBy).
  * Credits are pulsed ONCE per donation.
  */
 function maybeStartNext() {
-    if (active) return;
+    if (turn.getSnapshot().donationId) return;
 
-    // Cleanup any waiting rows with no credits left
+    // Cleanup any waiting rows with no credits left (refunded ones too, even while turns are blocked)
     const queueNow = listQueue();
     for (const q of queueNow) {
         const remaining = q.credits_total - q.credits_used;
@@ -124,8 +304,15 @@ function maybeStartNext() {
         }
     }
 
+    if (turnsBlockedBy()) {
+        broadcastQueue();
+        return;
+    }
+
     const freshQueue = listQueue();
-    const next = freshQueue.find(q => q.status === 'waiting');
+    const next = freshQueue.find(q => q.status === 'waiting' && q.id === forcedNextId)
+        || freshQueue.find(q => q.status === 'waiting');
+    forcedNextId = null;
 
     if (!next) {
         broadcastQueue();
@@ -140,264 +327,244 @@ function maybeStartNext() {
         return maybeStartNext();
     }
 
-    active = {
-        donationId: next.id,
-        creditsRemaining,
-        timer: null,
-        timerStarted: false,
-        creditEndsAt: null,
-        firstMoveDeadline: Date.now() + FIRST_MOVE_MS,
-        firstMoveTimer: null,
-        hasMoved: false,
-        grabUsed: false,
-        creditSeq: 0,
-        creditConsumed: false,
-    };
-
     setDonationStatus(next.id, 'active');
 
     // Pulse credits only once per donation
     if (!next.credits_pulsed && creditsRemaining > 0) {
+        const { creditMs, creditSpacingMs } = pulses();
         for (let i = 0; i < creditsRemaining; i++) {
-            setTimeout(() => gpio.pulse('credit', 200), i * 400);
+            setTimeout(() => gpio.pulse('credit', creditMs), i * creditSpacingMs);
         }
         markCreditsPulsed(next.id);
     }
 
-    scheduleFirstMoveTimeout();
-    broadcastQueue();
-
-    safeTrigger('public-chat', 'player-start', {
-        donationId: next.id,
-        name: next.name,
-        creditsRemaining,
-        firstMoveDeadline: active.firstMoveDeadline,
-    });
-}
-
-/**
- * If player doesn't move within FIRST_MOVE_MS while others wait,
- * requeue them to the end.
- */
-function scheduleFirstMoveTimeout() {
-    if (!active) return;
-
-    if (active.firstMoveTimer) clearTimeout(active.firstMoveTimer);
-
-    active.firstMoveDeadline = Date.now() + FIRST_MOVE_MS;
-
-    active.firstMoveTimer = setTimeout(() => {
-        if (!active) return;
-        if (active.hasMoved) return;
-
-        const queueNow = listQueue();
-        const someoneWaiting = queueNow.some(
-            q => q.status === 'waiting' && q.id !== active.donationId
-        );
-
-        if (someoneWaiting) {
-            // Player did not move within the first-move window
-            // while someone else is already waiting.
-            // Instead of pushing them to the back of the queue,
-            // we end their session to avoid "stuck queue" and
-            // weird requeue behaviour.
-            const timedOutDonationId = active.donationId;
-
-            endActivePlayer(); // sets status = 'done' and starts next player
-
-            safeTrigger('public-chat', 'player-timeout', {
-                donationId: timedOutDonationId,
-                reason: 'no_first_move',
-            });
-
-            return;
-        }
-
-        // Nobody waiting => keep active and re-check later
-        scheduleFirstMoveTimeout();
-        broadcastQueue();
-    }, FIRST_MOVE_MS);
+    turn.start({ donationId: next.id, name: next.name, creditsRemaining });
 }
 
 /**
- * Start the 35s credit timer on FIRST real action.
+ * Rows marked active without a running turn (a crash between the two, or an old admin fallback)
+ * would sit at the head of the queue forever.
  */
-function startCreditTimerIfNeeded() {
-    if (!active || active.timerStarted) return;
-
-    active.hasMoved = true;
-
-    if (active.firstMoveTimer) {
-        clearTimeout(active.firstMoveTimer);
-        active.firstMoveTimer = null;
+function clearGhostActives() {
+    for (const q of listQueue()) {
+        if (q.status === 'active' && !turn.isActive(q.id)) setDonationStatus(q.id, 'done');
     }
-
-    active.timerStarted = true;
-    active.creditEndsAt = Date.now() + CREDIT_MS;
-
-    // New credit cycle => bump sequence and reset consume flag
-    active.creditSeq += 1;
-    const mySeq = active.creditSeq;
-    active.creditConsumed = false;
-
-    safeTrigger('public-chat', 'credit-start', {
-        donationId: active.donationId,
-        creditEndsAt: active.creditEndsAt,
-        creditsRemaining: active.creditsRemaining,
-    });
-
-    active.timer = setTimeout(() => {
-        if (!active || active.creditSeq !== mySeq) return;
-        finishCreditNormally();
-    }, CREDIT_MS);
 }
 
 /**
- * Consume one credit safely (idempotent per credit).
+ * Admin: end the running turn now (reason is an admin_* code, kept on the "turn-ended" transition).
+ * - settle: what happens to a credit in play, see SETTLE_POLICIES in turn.js
+ * - Timers stop and GPIO is released by the turn machine; the next player starts as usual.
+ * Returns whether a turn was running.
  */
-function consumeOneCreditSafely() {
-    if (!active) return false;
-    if (active.creditConsumed) return false;
+function forceEndActive(reason = 'admin_end', { settle = 'auto' } = {}) {
+    const ended = turn.forceEnd(reason, { settle });
 
-    active.creditConsumed = true;
-    useOneCredit(active.donationId);
-    active.creditsRemaining -= 1;
-
-    return true;
+    clearGhostActives();
+    if (!ended) maybeStartNext();
+    broadcastQueue();
+    return ended;
 }
 
 /**
- * Called when credit ends normally by timeout (35s).
+ * Admin: make this donation the active player now.
+ * - The current player is preempted: their credit in play is settled by `settle`, and they
+ *   go back to waiting (same queue position, so they are next once this turn is over).
+ * - Only while turns may start (machine open, within opening hours).
+ * - Returns { ok: true } or { ok: false, error: 'not_found' | 'no_credits' | 'machine_paused' | 'outside_opening_hours' }.
  */
-function finishCreditNormally() {
-    if (!active) return;
-
-    const consumed = consumeOneCreditSafely();
-    if (!consumed) return;
-
-    if (active.creditsRemaining > 0) {
-        active.timerStarted = false;
-        active.creditEndsAt = null;
-        active.hasMoved = false;
-        active.grabUsed = false;
-
-        scheduleFirstMoveTimeout();
-    } else {
-        endActivePlayer();
+function forceActivateDonation(donationId, { reason = 'admin_preempt', settle = 'auto' } = {}) {
+    const donation = getDonationById(donationId);
+    if (!donation) return { ok: false, error: 'not_found' };
+    if (turn.isActive(donationId)) return { ok: true };
+    const blocked = turnsBlockedBy();
+    if (blocked) return { ok: false, error: blocked };
+    if (donation.credits_total - donation.credits_used <= 0) return { ok: false, error: 'no_credits' };
+
+    setDonationStatus(donationId, 'waiting');
+    forcedNextId = donationId;
+
+    // Ending the current turn starts the next one ("turn-ended" listener), which is now this donation
+    if (!turn.forceEnd(reason, { settle, preempted: true })) {
+        clearGhostActives();
+        maybeStartNext();
     }
+    forcedNextId = null;
 
     broadcastQueue();
+    return turn.isActive(donationId) ? { ok: true } : { ok: false, error: 'not_started' };
 }
 
 /**
- * Grab handler:
- * - Only one grab per credit.
- * - After grab, shorten remaining time to GRAB_FINISH_MS.
+ * Prize-chute sensor fired:
+ * - Attribute the drop to the credit that grabbed within game.prizeWindowMs.
+ * - Drops outside any grab window (restocking, a shaken cabinet) are only logged.
  */
-function handleGrabIfAllowed() {
-    if (!active) return { ok: false, error: 'no_active' };
-    if (active.grabUsed) return { ok: false, error: 'grab_already_used' };
+function handlePrizeDrop(at) {
+    const { prizeWindowMs } = timings();
 
-    if (!active.timerStarted) {
-        startCreditTimerIfNeeded();
+    if (!lastGrab || at - lastGrab.at > prizeWindowMs) {
+        console.warn('Prize drop detected outside a grab window, ignoring');
+        return;
     }
 
-    if (active.timer) clearTimeout(active.timer);
+    addPrizeWon(lastGrab.donationId);
+    const donation = getDonationById(lastGrab.donationId);
 
-    active.grabUsed = true;
-    active.creditEndsAt = Date.now() + GRAB_FINISH_MS;
-
-    active.creditSeq += 1;
-    const mySeq = active.creditSeq;
-    active.creditConsumed = false;
-
-    safeTrigger('public-chat', 'credit-start', {
-        donationId: active.donationId,
-        creditEndsAt: active.creditEndsAt,
-        creditsRemaining: active.creditsRemaining,
+    safeTrigger('public-chat', 'prize-won', {
+        donationId: lastGrab.donationId,
+        name: donation?.name || null,
+        prizesWon: donation?.prizes_won || 1,
+        at,
     });
+}
 
-    gpio.pulse('grab', 300);
-
-    active.timer = setTimeout(() => {
-        if (!active || active.creditSeq !== mySeq) return;
-
-        const consumed = consumeOneCreditSafely();
-        if (!consumed) return;
-
-        if (active.creditsRemaining > 0) {
-            active.timerStarted = false;
-            active.creditEndsAt = null;
-            active.hasMoved = false;
-            active.grabUsed = false;
-            scheduleFirstMoveTimeout();
-        } else {
-            endActivePlayer();
-        }
+gpio.events.on('input', ({ line, active: isOn, at, initial }) => {
+    if (line === 'prize') {
+        if (isOn && !initial) handlePrizeDrop(at);
+    } else {
+        turn.homingChanged();
+    }
+});
 
-        broadcastQueue();
-    }, GRAB_FINISH_MS);
+function isActiveTokenDonation(donation) {
+    return !!donation && turn.isActive(donation.id);
+}
 
-    return { ok: true };
+function getActiveState() {
+    const snapshot = turn.getSnapshot();
+    return {
+        turnState: snapshot.state,
+        activeDonationId: snapshot.donationId,
+        creditEndsAt: snapshot.creditEndsAt,
+        firstMoveDeadline: snapshot.firstMoveDeadline,
+        awaitingHome: snapshot.awaitingHome,
+        homeOverdue: snapshot.homeOverdue,
+        paused: snapshot.paused,
+        mode: machineMode.get().mode,
+        hoursOpen: schedule.isOpen(),
+    };
 }
 
 /**
- * End the active player session and start next.
+ * Machine mode (see mode.js):
+ * - Leaving "open" freezes the active turn (credit timer, first-move window, homing timers)
+ *   and releases the claw; back to "open" it carries on and the queue moves again.
+ * - Players and the home page get "machine-mode" for their banner.
  */
-function endActivePlayer() {
-    if (!active) return;
-
-    if (active.timer) clearTimeout(active.timer);
-    if (active.firstMoveTimer) clearTimeout(active.firstMoveTimer);
-
-    gpio.releaseAll();
-    setDonationStatus(active.donationId, 'done');
-
-    safeTrigger('public-chat', 'player-end', {
-        donationId: active.donationId,
-    });
-
-    active = null;
-    maybeStartNext();
+function applyMachineMode({ mode }) {
+    const changed = mode === 'open' ? turn.unpause() : turn.pause();
+    if (changed) persistTurn();
 }
 
-function isActiveTokenDonation(donation) {
-    return active && donation && donation.id === active.donationId;
-}
-
-function getActiveState() {
-    return active
-        ? {
-            activeDonationId: active.donationId,
-            creditEndsAt: active.creditEndsAt,
-            firstMoveDeadline: active.firstMoveDeadline,
-        }
-        : {
-            activeDonationId: null,
-            creditEndsAt: null,
-            firstMoveDeadline: null,
-        };
-}
+machineMode.events.on('change', (state) => {
+    applyMachineMode(state);
+    maybeStartNext();
+    safeTrigger('public-chat', 'machine-mode', state);
+    broadcastQueue();
+});
 
 /**
  * Called when Mollie confirms payment.
+ * - Credits follow the bundle picked at checkout (see pricing.js).
+ * - The donation counts towards the campaign running now (see campaigns.js).
+ * - The player gets a receipt if they left an email (see notifications.js).
  */
 function handlePaidDonation({ intentId, molliePaymentId, amountEur }) {
-    const creditsTotal = Math.min(5, Math.floor(amountEur));
+    const intent = getIntent(intentId);
+    const creditsTotal = creditsForPayment({ amountEur, bundleId: intent?.bundle_id });
 
     markIntentPaid({
         intentId,
         molliePaymentId,
         amountEur,
         creditsTotal,
+        campaignId: getCurrentCampaign()?.id,
     });
 
+    const donation = getIntent(intentId);
+    if (donation) sendReceipt(donation.id);
+
     maybeStartNext();
     broadcastQueue();
 
+    if (donation?.campaign_id) {
+        safeTrigger('public-chat', 'campaign-progress', {
+            ...getCampaignProgress(donation.campaign_id),
+            donation: { name: intent?.name || null, amountEur },
+        });
+    }
+
     return { creditsTotal };
 }
 
+/**
+ * Opening hours (see schedule.js):
+ * - Opening time: the queue starts moving again.
+ * - Closing time: the running turn finishes, nobody new starts. With waitingAtClose "refund"
+ *   the paid players still waiting get their unused credits back (one by one); free voucher
+ *   plays, and players whose refund failed, stay queued for the next opening.
+ */
+async function refundWaitingAtClose() {
+    const waiting = listQueue().filter(q => q.status === 'waiting');
+
+    for (const { id } of waiting) {
+        const result = await refundUnusedCredits(id, { reason: 'closing_time', automatic: true });
+        if (!result.ok) {
+            if (!['nothing_to_refund', 'donation_active'].includes(result.error)) {
+                console.error(`Closing time refund for donation ${id} failed: ${result.error}`);
+            }
+            continue;
+        }
+
+        // Out of the queue now, even while the last turn of the day is still running
+        const donation = getDonationById(id);
+        if (donation?.status === 'waiting' && donation.credits_total - donation.credits_used <= 0) {
+            setDonationStatus(id, 'done');
+        }
+
+        safeTrigger('public-chat', 'refund-issued', {
+            donationId: id,
+            credits: result.refund.credits,
+            amountEur: result.refund.amount_eur,
+            automatic: true,
+            reason: 'closing_time',
+        });
+    }
+
+    broadcastQueue();
+}
+
+schedule.events.on('change', (status) => {
+    safeTrigger('public-chat', 'machine-hours', status);
+
+    if (status.open) {
+        maybeStartNext();
+    } else if (machine.get().schedule.waitingAtClose === 'refund') {
+        refundWaitingAtClose().catch(err => console.error('Closing time refund error:', err));
+    }
+    broadcastQueue();
+});
+
+recoverAfterRestart();
+applyMachineMode(machineMode.get());
+
+/**
+ * Keep active_session.last_seen_at fresh, so a crash costs the player
+ * at most SESSION_TOUCH_MS of credit time.
+ * - Not while paused: last_seen_at then stays at the moment the credit was frozen.
+ */
+const SESSION_TOUCH_MS = 2000;
+
+setInterval(() => {
+    try {
+        const snapshot = turn.getSnapshot();
+        if (snapshot.donationId && !snapshot.paused) touchActiveSession();
+    } catch (err) {
+        console.error('Session touch error:', err);
+    }
+}, SESSION_TOUCH_MS);
+
 /**
  * Realtime heartbeat:
  * - Fixes first-player late-join issue (missed initial events).
@@ -410,7 +577,7 @@ setInterval(() => {
     try {
         const q = listQueue();
         const hasState =
-            !!active || q.some(d => d.status === 'waiting' || d.status === 'active');
+            !!turn.getSnapshot().donationId || q.some(d => d.status === 'waiting' || d.status === 'active');
 
         if (hasState) {
             broadcastQueue();
@@ -424,8 +591,10 @@ setInterval(() => {
 module.exports = {
     handlePaidDonation,
     maybeStartNext,
-    startCreditTimerIfNeeded,
-    handleGrabIfAllowed,
+    forceEndActive,
+    forceActivateDonation,
+    move: turn.move,
+    grab: turn.grab,
     isActiveTokenDonation,
     broadcastQueue,
     getActiveState,
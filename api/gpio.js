@@ -1,66 +1,166 @@
-const { spawn, execSync } = require("child_process");
-
-// BCM pins used
-const pins = {
-    up: 22,
-    down: 27,
-    left: 23,
-    right: 24,
-    grab: 17,
-    credit: 25,
-};
+const createLibgpiodDriver = require("./drivers/libgpiod");
+const createSysfsDriver = require("./drivers/sysfs");
+const createGpiosetDriver = require("./drivers/gpioset");
+const createSimDriver = require("./drivers/sim");
+const { EventEmitter } = require("events");
+const { createSafety, OPPOSITE } = require("./safety");
+const machine = require("./machine");
+
+// BCM pins used (filled from the machine profile, see configure())
+const pins = {};
 
-const CHIP = "gpiochip0";
-const holds = new Map(); // direction -> child process
+// Limit switch input -> direction it stops
+const LIMIT_DIRECTION = Object.fromEntries(
+    Object.entries(machine.LIMIT_INPUTS).map(([direction, input]) => [input, direction])
+);
 
-function gpiosetOnce(pin, value) {
-    execSync(`gpioset ${CHIP} ${pin}=${value}`);
+/**
+ * Driver selection (GPIO_DRIVER env, else gpio.driver in the machine profile):
+ * - auto (default): libgpiod if node-libgpiod is installed and the chip opens, else sysfs, else gpioset
+ * - libgpiod: native line handles on the character device, requested once at startup
+ * - sysfs: legacy /sys/class/gpio, value files kept open
+ * - gpioset: spawns libgpiod command line tools (one process per hold)
+ * - sim: in-memory claw for laptops and CI
+ *
+ * A driver only knows how to set a named line HIGH/LOW and report raw input levels:
+ *   { name, setup(pins), setupInputs(inputs, onChange), write(line, value), close(), getState?() }
+ * and calls onError(line, err) when writing a line fails (hardware drivers only).
+ */
+function createDriver(kind, { chip, sysfsBase, onError }) {
+    switch (kind) {
+        case "auto":
+            if (createLibgpiodDriver.isAvailable({ chip })) return createDriver("libgpiod", { chip, sysfsBase, onError });
+            if (createSysfsDriver.isAvailable()) return createDriver("sysfs", { chip, sysfsBase, onError });
+            return createDriver("gpioset", { chip, sysfsBase, onError });
+        case "libgpiod":
+            return createLibgpiodDriver({ chip, onError });
+        case "sysfs":
+            return createSysfsDriver({ base: sysfsBase, onError });
+        case "gpioset":
+            return createGpiosetDriver({ chip, onError });
+        case "sim":
+            return createSimDriver({ verbose: process.env.GPIO_SIM_VERBOSE === "1" });
+        default:
+            throw new Error(`Unknown GPIO_DRIVER "${kind}" (expected auto | libgpiod | sysfs | gpioset | sim)`);
+    }
 }
 
-// Initialize all pins LOW safely
-for (const pin of Object.values(pins)) {
-    try { gpiosetOnce(pin, 0); } catch (_) { }
+let driver = null;
+let configured = null; // profile the lines are set up from
+const safety = createSafety();
+const inputs = new Map(); // input name -> { activeLow, debounceMs, raw, stable, timer }
+
+/**
+ * Events:
+ * - "violation" { rule, at, ... }     safety rule triggered
+ * - "input"     { line, active, at, initial? }  debounced sensor edge (initial = starting level)
+ * - "fault"     { line, error, at }      the driver failed to write a line: the claw can't be trusted
+ */
+const events = new EventEmitter();
+safety.events.on("violation", (violation) => events.emit("violation", violation));
+
+function onDriverError(line, err) {
+    const error = String(err?.message || err);
+    safety.report("driver_error", { line, error });
+    events.emit("fault", { line, error, at: Date.now() });
 }
+const holds = new Map();   // direction -> max-hold timer (line is HIGH)
+const pending = new Map(); // direction -> timer (waiting out a reversal cool-down)
+
+// (Re)start the max-hold timer of a HIGH line
+function armMaxHold(direction) {
+    clearTimeout(holds.get(direction));
 
-// Hold direction HIGH until released
+    const { maxHoldMs } = safety.getLimits();
+    const timer = setTimeout(() => {
+        safety.report("max_hold_exceeded", { direction, maxHoldMs });
+        release(direction);
+    }, maxHoldMs);
+
+    holds.set(direction, timer);
+}
+
+function assertLine(direction) {
+    armMaxHold(direction);
+    driver.write(direction, 1);
+}
+
+/**
+ * Hold direction HIGH until released (subject to safety rules).
+ * Returns { ok: true } or { ok: false, error } when a rule blocks it.
+ */
 function hold(direction) {
-    const pin = pins[direction];
-    if (!pin) return;
-    if (holds.has(direction)) return; // already holding
+    if (!pins[direction]) return { ok: false, error: "invalid_line" };
+    if (holds.has(direction) || pending.has(direction)) return { ok: true }; // already holding
 
-    // --mode=signal keeps the line asserted until process is killed
-    const child = spawn("gpioset", ["--mode=signal", CHIP, `${pin}=1`], {
-        stdio: "ignore",
-    });
+    // Claw already at that edge: nothing to move
+    if (isInputActive(machine.LIMIT_INPUTS[direction])) return { ok: false, error: "limit_reached" };
 
-    holds.set(direction, child);
+    const check = safety.checkHold(direction, holds);
+    if (!check.ok) return check;
 
-    child.on("exit", () => {
-        holds.delete(direction);
-    });
+    // Reversal too fast: assert once the cool-down is over (a release cancels it)
+    if (check.delayMs) {
+        const timer = setTimeout(() => {
+            pending.delete(direction);
+            hold(direction);
+        }, check.delayMs);
+
+        pending.set(direction, timer);
+        return { ok: true, delayed: true };
+    }
+
+    assertLine(direction);
+    return { ok: true };
+}
+
+/**
+ * The holder is still there: restart the max-hold timer of a held direction, so a
+ * hold that keeps being refreshed is never cut off (see control.js keepAlive()).
+ * Never asserts a line itself. Returns false when the direction is not held (anymore).
+ */
+function keepAlive(direction) {
+    if (pending.has(direction)) return true;
+    if (!holds.has(direction)) return false;
+
+    armMaxHold(direction);
+    return true;
 }
 
 // Release direction (stop hold + force LOW)
 function release(direction) {
-    const pin = pins[direction];
-    if (!pin) return;
+    if (!pins[direction]) return;
+
+    if (pending.has(direction)) {
+        clearTimeout(pending.get(direction));
+        pending.delete(direction);
+    }
 
-    const child = holds.get(direction);
-    if (child) {
-        child.kill("SIGTERM");
+    if (holds.has(direction)) {
+        clearTimeout(holds.get(direction));
         holds.delete(direction);
+        safety.noteRelease(direction);
     }
 
-    gpiosetOnce(pin, 0);
+    driver.write(direction, 0);
 }
 
-// Pulse HIGH for ms then LOW (grab/credit)
+/**
+ * Pulse HIGH for ms then LOW (grab/credit).
+ * A grab pulse drops every held direction and locks movement until it is over.
+ */
 function pulse(direction, ms = 250) {
-    const pin = pins[direction];
-    if (!pin) return;
+    if (!pins[direction]) return;
+
+    if (direction === "grab") {
+        for (const dir of Object.keys(OPPOSITE)) {
+            release(dir);
+        }
+        safety.lockForGrab(ms);
+    }
 
-    gpiosetOnce(pin, 1);
-    setTimeout(() => gpiosetOnce(pin, 0), ms);
+    driver.write(direction, 1);
+    setTimeout(() => driver.write(direction, 0), ms);
 }
 
 // Safety: release everything
@@ -70,9 +170,167 @@ function releaseAll() {
     }
 }
 
+function isActiveLevel(input, level) {
+    return input.activeLow ? level === 0 : level === 1;
+}
+
+/**
+ * Raw level from the driver -> debounced "input" event.
+ * The first level a driver reports is the starting state (emitted with initial: true).
+ */
+function onRawInput(name, level) {
+    const input = inputs.get(name);
+    if (!input) return;
+
+    input.raw = level ? 1 : 0;
+
+    if (input.stable === null) {
+        input.stable = input.raw;
+        events.emit("input", { line: name, active: isActiveLevel(input, input.stable), at: Date.now(), initial: true });
+        return;
+    }
+
+    if (input.timer) clearTimeout(input.timer);
+    input.timer = setTimeout(() => {
+        input.timer = null;
+        if (input.raw === input.stable) return; // bounced back
+
+        input.stable = input.raw;
+        const active = isActiveLevel(input, input.stable);
+
+        // Limit switch closed: stop driving into the edge right away
+        const direction = LIMIT_DIRECTION[name];
+        if (direction && active && (holds.has(direction) || pending.has(direction))) {
+            console.log(`GPIO: ${name} reached, releasing ${direction}`);
+            release(direction);
+        }
+
+        events.emit("input", { line: name, active, at: Date.now() });
+    }, input.debounceMs);
+}
+
+// Is a (debounced) sensor currently active? Unfitted sensors never are.
+function isInputActive(name) {
+    const input = inputs.get(name);
+    if (!input || input.stable === null) return false;
+    return isActiveLevel(input, input.stable);
+}
+
+/**
+ * Is the claw parked? Home = every limit switch listed in homing.directions is closed.
+ * Returns null when the cabinet has no homing configured.
+ */
+function isHome() {
+    const { directions } = machine.get().homing;
+    if (!directions.length) return null;
+    return directions.every(direction => isInputActive(machine.LIMIT_INPUTS[direction]));
+}
+
+/**
+ * Drive a sensor on the simulator (active = beam broken / switch closed).
+ * Returns false when the driver is not simulated or the input is not fitted.
+ */
+function simulateInput(name, active) {
+    const input = inputs.get(name);
+    if (!input || !driver.setInput) return false;
+
+    const level = active ? !input.activeLow : input.activeLow;
+    return driver.setInput(name, level ? 1 : 0);
+}
+
+/**
+ * (Re)apply wiring, sensors and safety limits from the machine profile.
+ * The old driver drops every line LOW before the new one requests them.
+ */
+function configure(profile) {
+    if (driver) {
+        releaseAll();
+        driver.close();
+    }
+
+    for (const name of Object.keys(pins)) delete pins[name];
+    Object.assign(pins, profile.gpio.pins);
+
+    safety.configure(profile.safety);
+
+    driver = createDriver(process.env.GPIO_DRIVER || profile.gpio.driver, { ...profile.gpio, onError: onDriverError });
+    console.log(`GPIO driver: ${driver.name}`);
+
+    // Initialize all pins LOW safely
+    driver.setup(pins);
+
+    for (const input of inputs.values()) {
+        if (input.timer) clearTimeout(input.timer);
+    }
+    inputs.clear();
+
+    // Sensors with pin null are not fitted on this cabinet
+    const fitted = {};
+    for (const [name, cfg] of Object.entries(profile.inputs)) {
+        if (cfg.pin === null) continue;
+        fitted[name] = cfg;
+        inputs.set(name, { ...cfg, raw: null, stable: null, timer: null });
+    }
+    driver.setupInputs(fitted, onRawInput);
+    configured = profile;
+}
+
+/**
+ * Saved profile: apply it, or keep the previous wiring when the driver can't be set up
+ * with it (line busy, chip gone...). The failure is reported like a driver fault, so the
+ * admin sees it; the profile itself stays saved.
+ */
+function reconfigure(profile) {
+    const previous = configured;
+    try {
+        configure(profile);
+    } catch (err) {
+        const error = String(err?.message || err);
+        console.error("GPIO: could not apply the saved profile, keeping the previous wiring:", error);
+        safety.report("driver_error", { line: null, error });
+
+        try {
+            driver?.close();
+        } catch (_) { }
+        driver = null;
+        if (previous) configure(previous);
+    }
+}
+
+configure(machine.get());
+machine.events.on("change", reconfigure);
+
+/**
+ * Debug snapshot (driver name, held lines, simulator position if any).
+ */
+function getState() {
+    return {
+        driver: driver.name,
+        holds: [...holds.keys()],
+        grabLocked: safety.isGrabLocked(),
+        inputs: Object.fromEntries([...inputs.keys()].map(name => [name, isInputActive(name)])),
+        home: isHome(),
+        sim: driver.getState ? driver.getState() : null,
+    };
+}
+
 process.on("SIGINT", () => {
     releaseAll();
+    driver.close();
     process.exit();
 });
 
-module.exports = { hold, release, pulse, releaseAll, pins };
+module.exports = {
+    hold,
+    keepAlive,
+    release,
+    pulse,
+    releaseAll,
+    getState,
+    isInputActive,
+    isHome,
+    simulateInput,
+    getViolations: safety.getViolations,
+    events,
+    pins,
+};
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+/**
+ * Machine profile (one JSON file per cabinet model):
+ * - wiring (GPIO driver, chip, BCM pins, sensor inputs)
+ * - homing (which limit switches are closed when the claw is parked)
+ * - pulse widths sent to the cabinet
+ * - motion safety limits
+ * - game timings
+ * - pricing (credit bundles, per-player cap)
+ * - opening hours (see schedule.js)
+ *
+ * profiles/default.json ships the original SweetControl cabinet and provides
+ * defaults for any setting a profile leaves out. The active profile lives in
+ * data/machine.json (or MACHINE_PROFILE) and is written by the admin API.
+ */
+const DEFAULT_PROFILE_PATH = path.join(__dirname, 'profiles', 'default.json');
+const PROFILE_PATH = process.env.MACHINE_PROFILE || path.join(__dirname, 'data', 'machine.json');
+
+const DRIVERS = ['auto', 'libgpiod', 'sysfs', 'gpioset', 'sim'];
+
+// Direction -> limit switch input that closes at that edge
+const LIMIT_INPUTS = {
+    up: 'limitUp',
+    down: 'limitDown',
+    left: 'limitLeft',
+    right: 'limitRight',
+};
+
+// ---- Schema ----
+
+function str() {
+    return { check: v => (typeof v === 'string' && v.trim() ? null : 'must be a non-empty string') };
+}
+
+function oneOf(values) {
+    return { check: v => (values.includes(v) ? null : `must be one of ${values.join(', ')}`) };
+}
+
+function pattern(re, hint) {
+    return { check: v => (typeof v === 'string' && re.test(v) ? null : `must look like ${hint}`) };
+}
+
+function int(min, max) {
+    return {
+        check: v => (Number.isInteger(v) && v >= min && v <= max
+            ? null
+            : `must be an integer between ${min} and ${max}`),
+    };
+}
+
+function bool() {
+    return { check: v => (typeof v === 'boolean' ? null : 'must be true or false') };
+}
+
+function listOf(rule) {
+    return {
+        check: (v) => {
+            if (!Array.isArray(v)) return 'must be a list';
+            const problems = v.map(rule.check).filter(Boolean);
+            return problems.length ? `items ${problems[0]}` : null;
+        },
+    };
+}
+
+// Euros with at most 2 decimals
+function money(min, max) {
+    return {
+        check: v => (typeof v === 'number' && v >= min && v <= max && Math.abs(Math.round(v * 100) - v * 100) < 1e-6
+            ? null
+            : `must be an amount between ${min} and ${max} with at most 2 decimals`),
+    };
+}
+
+// Object with fixed fields (used inside lists)
+function shape(fields) {
+    return {
+        check: (v) => {
+            if (!isPlainObject(v)) return 'must be an object';
+
+            for (const [key, rule] of Object.entries(fields)) {
+                const problem = rule.check(v[key]);
+                if (problem) return `${key} ${problem}`;
+            }
+
+            const unknown = Object.keys(v).find(key => !(key in fields));
+            return unknown ? `${unknown} is not a known setting` : null;
+        },
+    };
+}
+
+// IANA zone the opening hours are written in
+function timeZone() {
+    return {
+        check: (v) => {
+            try {
+                if (typeof v !== 'string') throw new Error();
+                new Intl.DateTimeFormat('en-GB', { timeZone: v });
+                return null;
+            } catch {
+                return 'must be a time zone like "Europe/Brussels"';
+            }
+        },
+    };
+}
+
+// null = not fitted on this cabinet
+function optional(rule) {
+    return { check: v => (v === null ? null : rule.check(v)) };
+}
+
+const PIN = int(0, 63);
+
+// Opening hours of one day: [] = closed; "24:00" closes at midnight
+const HOURS = listOf(shape({
+    open: pattern(/^([01]\d|2[0-3]):[0-5]\d$/, '"10:00"'),
+    close: pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, '"18:30"'),
+}));
+
+function input() {
+    return {
+        pin: optional(PIN),
+        activeLow: bool(),
+        debounceMs: int(0, 1000),
+    };
+}
+
+const SCHEMA = {
+    model: str(),
+    gpio: {
+        driver: oneOf(DRIVERS),
+        chip: pattern(/^gpiochip\d+$/, '"gpiochip0"'),
+        sysfsBase: int(0, 4096),
+        pins: {
+            up: PIN,
+            down: PIN,
+            left: PIN,
+            right: PIN,
+            grab: PIN,
+            credit: PIN,
+        },
+    },
+    inputs: {
+        prize: input(), // beam at the prize chute
+        limitUp: input(),
+        limitDown: input(),
+        limitLeft: input(),
+        limitRight: input(),
+    },
+    homing: {
+        directions: listOf(oneOf(Object.keys(LIMIT_INPUTS))), // limits closed at home ([] = no homing)
+        timeoutMs: int(1000, 5 * 60 * 1000),               // alert the admin after this
+        faultMs: int(1000, 30 * 60 * 1000),                // end the turn as a machine fault after this
+    },
+    pulses: {
+        creditMs: int(20, 5000),
+        creditSpacingMs: int(50, 10000),
+        grabMs: int(20, 5000),
+    },
+    safety: {
+        maxHoldMs: int(1000, 10 * 60 * 1000),
+        reversalCooldownMs: int(0, 5000),
+    },
+    game: {
+        creditMs: int(5000, 10 * 60 * 1000),
+        firstMoveMs: int(3000, 10 * 60 * 1000),
+        grabFinishMs: int(1000, 60 * 1000),
+        prizeWindowMs: int(1000, 60 * 1000),
+        resumeMinMs: int(0, 10 * 60 * 1000),
+    },
+    pricing: {
+        bundles: listOf(shape({
+            id: pattern(/^[a-z0-9-]+$/, '"five-pack"'),
+            label: str(),
+            amountEur: money(0.5, 500),
+            credits: int(1, 100),
+        })),
+        maxCreditsPerPlayer: int(1, 100),
+        creditPriceEur: money(0.1, 100),      // amounts that match no bundle: amount / price
+        rounding: oneOf(['floor', 'round', 'ceil']),
+    },
+    schedule: {
+        enabled: bool(),                               // false = always open
+        timeZone: timeZone(),
+        weekly: {
+            mon: HOURS,
+            tue: HOURS,
+            wed: HOURS,
+            thu: HOURS,
+            fri: HOURS,
+            sat: HOURS,
+            sun: HOURS,
+        },
+        exceptions: listOf(shape({                     // replace the weekly hours on that date
+            date: pattern(/^\d{4}-\d{2}-\d{2}$/, '"2026-12-24"'),
+            hours: HOURS,
+        })),
+        waitingAtClose: oneOf(['keep', 'refund']),     // players still waiting at closing time
+    },
+};
+
+function isPlainObject(v) {
+    return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function validateSection(value, schema, prefix, errors) {
+    if (!isPlainObject(value)) {
+        errors.push(`${prefix || 'profile'} must be an object`);
+        return;
+    }
+
+    for (const [key, rule] of Object.entries(schema)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+
+        if (typeof rule.check === 'function') {
+            const problem = rule.check(value[key]);
+            if (problem) errors.push(`${keyPath} ${problem}`);
+        } else {
+            validateSection(value[key], rule, keyPath, errors);
+        }
+    }
+
+    for (const key of Object.keys(value)) {
+        if (!(key in schema)) {
+            errors.push(`${prefix ? `${prefix}.${key}` : key} is not a known setting`);
+        }
+    }
+}
+
+/**
+ * Validate a complete profile.
+ * Returns a list of human readable errors (empty = valid).
+ */
+function validateProfile(profile) {
+    const errors = [];
+    validateSection(profile, SCHEMA, '', errors);
+
+    // Two functions on one wire would fire both
+    const pins = profile?.gpio?.pins;
+    const inputs = profile?.inputs;
+    const used = [
+        ...Object.entries(isPlainObject(pins) ? pins : {}).map(([name, pin]) => [`gpio.pins.${name}`, pin]),
+        ...Object.entries(isPlainObject(inputs) ? inputs : {}).map(([name, cfg]) => [`inputs.${name}.pin`, cfg?.pin]),
+    ];
+
+    const seen = new Map();
+    for (const [keyPath, pin] of used) {
+        if (pin === null || pin === undefined) continue;
+        if (seen.has(pin)) {
+            errors.push(`${keyPath} uses pin ${pin} which is already used by ${seen.get(pin)}`);
+        } else {
+            seen.set(pin, keyPath);
+        }
+    }
+
+    // Home can only be detected with a switch on every homing edge
+    const homing = profile?.homing?.directions;
+    if (Array.isArray(homing) && isPlainObject(inputs)) {
+        for (const direction of homing) {
+            const key = LIMIT_INPUTS[direction];
+            if (key && isPlainObject(inputs[key]) && inputs[key].pin === null) {
+                errors.push(`homing.directions includes ${direction} but inputs.${key}.pin is not set`);
+            }
+        }
+    }
+
+    // Every paid amount must point at exactly one bundle
+    const bundles = profile?.pricing?.bundles;
+    if (Array.isArray(bundles)) {
+        if (!bundles.length) errors.push('pricing.bundles must list at least one bundle');
+
+        const ids = new Set();
+        const amounts = new Set();
+        for (const bundle of bundles.filter(isPlainObject)) {
+            if (ids.has(bundle.id)) errors.push(`pricing.bundles has two bundles with id ${bundle.id}`);
+            if (amounts.has(bundle.amountEur)) errors.push(`pricing.bundles has two bundles costing ${bundle.amountEur}`);
+            ids.add(bundle.id);
+            amounts.add(bundle.amountEur);
+
+            const cap = profile.pricing.maxCreditsPerPlayer;
+            if (Number.isInteger(cap) && bundle.credits > cap) {
+                errors.push(`pricing.bundles ${bundle.id} gives more credits than pricing.maxCreditsPerPlayer`);
+            }
+        }
+    }
+
+    // Opening hours must close after they open, and an exception date can only be listed once
+    const schedule = profile?.schedule;
+    const days = [
+        ...Object.entries(isPlainObject(schedule?.weekly) ? schedule.weekly : {}).map(([day, hours]) => [`schedule.weekly.${day}`, hours]),
+        ...(Array.isArray(schedule?.exceptions) ? schedule.exceptions : [])
+            .filter(isPlainObject)
+            .map(e => [`schedule.exceptions ${e.date}`, e.hours]),
+    ];
+    for (const [keyPath, hours] of days) {
+        for (const h of Array.isArray(hours) ? hours.filter(isPlainObject) : []) {
+            if (typeof h.open === 'string' && typeof h.close === 'string' && h.close <= h.open) {
+                errors.push(`${keyPath} closes at ${h.close}, before it opens at ${h.open}`);
+            }
+        }
+    }
+    if (Array.isArray(schedule?.exceptions)) {
+        const dates = schedule.exceptions.map(e => e?.date);
+        const duplicate = dates.find((d, i) => dates.indexOf(d) !== i);
+        if (duplicate) errors.push(`schedule.exceptions lists ${duplicate} twice`);
+    }
+
+    const { timeoutMs, faultMs } = profile?.homing || {};
+    if (Number.isInteger(timeoutMs) && Number.isInteger(faultMs) && faultMs <= timeoutMs) {
+        errors.push('homing.faultMs must be longer than homing.timeoutMs');
+    }
+
+    return errors;
+}
+
+// Overlay `override` on `base` (objects merge, everything else replaces)
+function deepMerge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return override === undefined ? base : override;
+    }
+
+    const out = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        out[key] = deepMerge(base[key], value);
+    }
+    return out;
+}
+
+// ---- Load / save ----
+
+const events = new EventEmitter();
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Machine profile ${file} is not valid JSON: ${err.message}`);
+    }
+}
+
+const defaults = readJson(DEFAULT_PROFILE_PATH);
+
+/**
+ * Load the active profile on boot.
+ * Throws with every problem listed: wrong wiring must never drive the cabinet.
+ */
+function loadProfile() {
+    const overrides = fs.existsSync(PROFILE_PATH) ? readJson(PROFILE_PATH) : {};
+    const profile = deepMerge(defaults, overrides);
+
+    const errors = validateProfile(profile);
+    if (errors.length) {
+        throw new Error(`Invalid machine profile ${PROFILE_PATH}:\n - ${errors.join('\n - ')}`);
+    }
+
+    return profile;
+}
+
+let current = loadProfile();
+
+function get() {
+    return current;
+}
+
+/**
+ * Validate and persist a new profile (missing settings fall back to defaults).
+ * Returns { ok: true, profile } or { ok: false, errors }.
+ */
+function save(next) {
+    const profile = deepMerge(defaults, next);
+
+    const errors = validateProfile(profile);
+    if (errors.length) return { ok: false, errors };
+
+    // Write then rename so a crash never leaves half a profile on disk
+    const tmp = `${PROFILE_PATH}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(profile, null, 4)}\n`);
+    fs.renameSync(tmp, PROFILE_PATH);
+
+    current = profile;
+    events.emit('change', current);
+
+    return { ok: true, profile };
+}
+
+module.exports = {
+    get,
+    save,
+    validateProfile,
+    events,
+    LIMIT_INPUTS,
+    PROFILE_PATH,
+};
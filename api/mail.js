@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, 'data', 'mail');
+
+/**
+ * Outgoing mail transport (MAIL_TRANSPORT env):
+ * - smtp: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for port 465), SMTP_USER, SMTP_PASS
+ * - file: every message is written as an .eml file to data/mail (or MAIL_DIR), for development
+ * - console: the text part is printed to the log
+ *
+ * Default: smtp when SMTP_HOST is set, console otherwise. MAIL_FROM is the sender.
+ */
+function createTransport(kind) {
+    switch (kind) {
+        case 'smtp':
+            return nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: Number(process.env.SMTP_PORT || 587),
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined,
+            });
+        case 'file':
+        case 'console':
+            return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${kind}" (expected smtp, file or console)`);
+    }
+}
+
+const kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+const transport = createTransport(kind);
+const from = process.env.MAIL_FROM || 'SweetControl <no-reply@sweetcontrol.be>';
+console.log(`Mail transport: ${kind}`);
+
+// Local transports: keep what would have been sent
+function keepLocally(message, info) {
+    if (kind === 'file') {
+        fs.mkdirSync(MAIL_DIR, { recursive: true });
+        const file = path.join(MAIL_DIR, `${Date.now()}-${info.messageId.replace(/[^a-z0-9]/gi, '')}.eml`);
+        fs.writeFileSync(file, info.message);
+        console.log(`Mail to ${message.to} written to ${file}`);
+    } else if (kind === 'console') {
+        console.log(`---- Mail to ${message.to}: ${message.subject}\n${message.text}\n----`);
+    }
+}
+
+/**
+ * Send one message. Never throws: mail problems must not break payments or turns.
+ * Returns { ok: true, messageId } or { ok: false, error }.
+ */
+async function send({ to, subject, text, html }) {
+    const message = { from, to, subject, text, html };
+
+    try {
+        const info = await transport.sendMail(message);
+        keepLocally(message, info);
+        return { ok: true, messageId: info.messageId };
+    } catch (err) {
+        console.error(`Mail to ${to} failed:`, err?.message || err);
+        return { ok: false, error: String(err?.message || err) };
+    }
+}
+
+module.exports = { send };
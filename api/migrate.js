@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'sweet.db');
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Schema migrations:
+ * - migrations/NNN_name.js exports { description, up(db) }, applied in NNN order.
+ * - Each migration runs in its own transaction together with its schema_migrations row,
+ *   so a failing migration leaves the database at the previous version.
+ * - Databases from before migrations have no schema_migrations table: every migration
+ *   runs on them too, which is why the early ones only create/add what is missing.
+ *
+ * CLI: node migrate.js [status|up]
+ */
+function ensureMigrationsTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        );
+    `);
+}
+
+/**
+ * Add a column unless the table already has it (for tables older than migrations).
+ */
+function addColumn(db, table, column, typeSql) {
+    const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (!cols.includes(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${typeSql};`);
+    }
+}
+
+function listMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => /^(\d+)_([\w-]+)\.js$/.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({
+            version: Number(version),
+            name,
+            ...require(path.join(MIGRATIONS_DIR, file)),
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    const versions = migrations.map(m => m.version);
+    const duplicate = versions.find((v, i) => versions.indexOf(v) !== i);
+    if (duplicate !== undefined) {
+        throw new Error(`Two migrations share version ${duplicate}`);
+    }
+
+    return migrations;
+}
+
+/**
+ * Every known migration with its applied_at (null = pending).
+ */
+function getStatus(db) {
+    ensureMigrationsTable(db);
+
+    const applied = new Map(
+        db.prepare(`SELECT version, applied_at FROM schema_migrations`).all().map(r => [r.version, r.applied_at])
+    );
+    const migrations = listMigrations();
+
+    // Applied by a newer build: running old code on a newer schema is not safe
+    const known = new Set(migrations.map(m => m.version));
+    const unknown = [...applied.keys()].filter(v => !known.has(v));
+
+    return {
+        migrations: migrations.map(m => ({
+            version: m.version,
+            name: m.name,
+            description: m.description || '',
+            appliedAt: applied.get(m.version) || null,
+        })),
+        unknown,
+    };
+}
+
+/**
+ * Apply every pending migration, oldest first.
+ * Returns the migrations that were applied.
+ */
+function migrate(db, { log = console.log } = {}) {
+    const { migrations, unknown } = getStatus(db);
+    if (unknown.length) {
+        throw new Error(`Database has migrations this build doesn't know (${unknown.join(', ')}): update the code first`);
+    }
+
+    const byVersion = new Map(listMigrations().map(m => [m.version, m]));
+    const pending = migrations.filter(m => !m.appliedAt);
+
+    for (const { version, name } of pending) {
+        const migration = byVersion.get(version);
+
+        db.transaction(() => {
+            migration.up(db);
+            db.prepare(`INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`)
+                .run(version, name, new Date().toISOString());
+        })();
+
+        log(`Migration ${version} ${name} applied`);
+    }
+
+    return pending;
+}
+
+module.exports = { DB_PATH, addColumn, getStatus, migrate };
+
+function printStatus(db) {
+    const { migrations, unknown } = getStatus(db);
+
+    for (const m of migrations) {
+        const state = m.appliedAt ? `applied ${m.appliedAt}` : 'pending';
+        console.log(`${String(m.version).padStart(3, '0')} ${m.name.padEnd(20)} ${state.padEnd(32)} ${m.description}`);
+    }
+    for (const version of unknown) {
+        console.log(`${String(version).padStart(3, '0')} (unknown to this build)`);
+    }
+}
+
+if (require.main === module) {
+    const Database = require('better-sqlite3');
+    const db = new Database(DB_PATH);
+    const command = process.argv[2] || 'status';
+
+    try {
+        if (command === 'status') {
+            printStatus(db);
+        } else if (command === 'up') {
+            const applied = migrate(db);
+            if (!applied.length) console.log('Database is up to date');
+        } else {
+            console.error('Usage: node migrate.js [status|up]');
+            process.exitCode = 1;
+        }
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
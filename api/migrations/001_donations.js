@@ -0,0 +1,49 @@
+const { addColumn } = require('../migrate');
+
+/**
+ * Baseline: the donations table.
+ * Databases from before migrations may miss some of these columns; they are added
+ * (SQLite can't "ADD COLUMN ... UNIQUE", so uniqueness comes from the indexes).
+ */
+module.exports = {
+    description: 'donations table',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS donations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                intent_id TEXT,
+                mollie_payment_id TEXT,
+                name TEXT NOT NULL,
+                email TEXT,
+                amount_requested_eur REAL NOT NULL DEFAULT 0,
+                amount_eur REAL,                    -- set when paid
+                credits_total INTEGER NOT NULL DEFAULT 0,
+                credits_used INTEGER NOT NULL DEFAULT 0,
+                credits_pulsed INTEGER NOT NULL DEFAULT 0, -- credits pressed on machine once
+                status TEXT NOT NULL DEFAULT 'created',    -- created | waiting | active | done | failed | canceled | expired
+                session_token TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+        `);
+
+        addColumn(db, 'donations', 'intent_id', 'TEXT');
+        addColumn(db, 'donations', 'mollie_payment_id', 'TEXT');
+        addColumn(db, 'donations', 'amount_requested_eur', 'REAL NOT NULL DEFAULT 0');
+        addColumn(db, 'donations', 'amount_eur', 'REAL');
+        addColumn(db, 'donations', 'credits_total', 'INTEGER NOT NULL DEFAULT 0');
+        addColumn(db, 'donations', 'credits_used', 'INTEGER NOT NULL DEFAULT 0');
+        addColumn(db, 'donations', 'credits_pulsed', 'INTEGER NOT NULL DEFAULT 0');
+        addColumn(db, 'donations', 'status', "TEXT NOT NULL DEFAULT 'created'");
+        addColumn(db, 'donations', 'session_token', 'TEXT');
+        addColumn(db, 'donations', 'created_at', "TEXT NOT NULL DEFAULT ''");
+        addColumn(db, 'donations', 'updated_at', "TEXT NOT NULL DEFAULT ''");
+
+        db.exec(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_intent_id ON donations(intent_id);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_mollie_payment_id ON donations(mollie_payment_id);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_donations_session_token ON donations(session_token);
+        `);
+    },
+};
@@ -0,0 +1,9 @@
+const { addColumn } = require('../migrate');
+
+module.exports = {
+    description: 'donations.prizes_won (prize-chute sensor)',
+
+    up(db) {
+        addColumn(db, 'donations', 'prizes_won', 'INTEGER NOT NULL DEFAULT 0');
+    },
+};
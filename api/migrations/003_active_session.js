@@ -0,0 +1,25 @@
+/**
+ * Active turn snapshot (at most one row, id = 1)
+ * - Written on every turn transition so a restart can resume the turn.
+ * - Times are ms epochs; last_seen_at is refreshed while the server runs,
+ *   so after a crash it tells how much credit time was really left.
+ */
+module.exports = {
+    description: 'active_session table (resume after restart)',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS active_session (
+                id INTEGER PRIMARY KEY CHECK (id = 1),
+                donation_id INTEGER NOT NULL,
+                timer_started INTEGER NOT NULL DEFAULT 0,
+                credit_ends_at INTEGER,
+                has_moved INTEGER NOT NULL DEFAULT 0,
+                grab_used INTEGER NOT NULL DEFAULT 0,
+                credit_consumed INTEGER NOT NULL DEFAULT 0,
+                last_seen_at INTEGER NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+        `);
+    },
+};
@@ -0,0 +1,27 @@
+/**
+ * Refunds of unused credits (see refunds.js)
+ * - Credits are taken off the donation when the row is written (status pending),
+ *   and given back if the provider refuses the refund (status failed).
+ */
+module.exports = {
+    description: 'refunds table',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS refunds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                donation_id INTEGER NOT NULL,
+                credits INTEGER NOT NULL,
+                amount_eur REAL NOT NULL,
+                reason TEXT NOT NULL,                 -- machine_fault | admin
+                automatic INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL,                 -- pending | failed | provider status (queued, refunded, ...)
+                provider_refund_id TEXT,
+                error TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_refunds_donation_id ON refunds(donation_id);
+        `);
+    },
+};
@@ -0,0 +1,9 @@
+const { addColumn } = require('../migrate');
+
+module.exports = {
+    description: 'donations.bundle_id (pricing bundle chosen at checkout)',
+
+    up(db) {
+        addColumn(db, 'donations', 'bundle_id', 'TEXT');
+    },
+};
@@ -0,0 +1,32 @@
+/**
+ * Vouchers (free play codes, see vouchers.js)
+ * - max_uses = 1 for single-use codes; uses counts redemptions so far.
+ * - Every redemption creates a queued donation and is kept in voucher_redemptions.
+ */
+module.exports = {
+    description: 'vouchers + voucher_redemptions tables',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS vouchers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT NOT NULL UNIQUE,
+                credits INTEGER NOT NULL,
+                max_uses INTEGER NOT NULL DEFAULT 1,
+                uses INTEGER NOT NULL DEFAULT 0,
+                expires_at TEXT,                      -- ISO, NULL = never
+                note TEXT,
+                disabled INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS voucher_redemptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                voucher_id INTEGER NOT NULL,
+                donation_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_voucher_id ON voucher_redemptions(voucher_id);
+        `);
+    },
+};
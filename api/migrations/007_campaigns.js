@@ -0,0 +1,30 @@
+const { addColumn } = require('../migrate');
+
+/**
+ * Fundraising campaigns (see campaigns.js)
+ * - At most one row has active = 1; it collects donations between starts_at and ends_at.
+ * - Dates are ISO strings, ends_at NULL = open ended.
+ * - donations.campaign_id: campaign running when the payment came in.
+ */
+module.exports = {
+    description: 'campaigns table + donations.campaign_id',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS campaigns (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                description TEXT,
+                goal_eur REAL NOT NULL,
+                starts_at TEXT NOT NULL,
+                ends_at TEXT,
+                active INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+        `);
+
+        addColumn(db, 'donations', 'campaign_id', 'INTEGER');
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_donations_campaign_id ON donations(campaign_id);`);
+    },
+};
@@ -0,0 +1,23 @@
+/**
+ * Outgoing mail per donation (see notifications.js)
+ * - One row per (donation, kind): the row is written before sending, so a message goes out once.
+ */
+module.exports = {
+    description: 'mail_log table',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS mail_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                donation_id INTEGER NOT NULL,
+                kind TEXT NOT NULL,                   -- receipt | turn_soon | session_summary
+                recipient TEXT NOT NULL,
+                status TEXT NOT NULL,                 -- sending | sent | failed | skipped
+                error TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_mail_log_donation_kind ON mail_log(donation_id, kind);
+        `);
+    },
+};
@@ -0,0 +1,71 @@
+/**
+ * Credit ledger (append-only, see db.js recordCredits)
+ * - Every change of a donation's credits is one row: `credits` moves either the
+ *   total (bought/granted) or the used balance, with the kind, reason and actor.
+ * - Existing donations get opening entries that reproduce their current counters,
+ *   with their refunds split out so the history shows them.
+ * - The opening total is split in what the payment bought (migrated_purchase, priced from
+ *   amount_eur and bundle_id like a new payment) and the rest (migrated: vouchers, admin
+ *   grants), so only paid credits are ever refunded.
+ */
+const { creditsForPayment } = require('../pricing');
+
+module.exports = {
+    description: 'credit_ledger table + opening balances',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS credit_ledger (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                donation_id INTEGER NOT NULL,
+                kind TEXT NOT NULL,        -- purchase | voucher | admin_grant | admin_revoke | refund | refund_reversed
+                                           -- | consumed_timeout | consumed_grab | admin_used
+                                           -- | migrated_purchase | migrated | migrated_used
+                balance TEXT NOT NULL,     -- total | used (which counter the entry moves)
+                credits INTEGER NOT NULL,  -- signed change of that counter
+                reason TEXT,
+                actor TEXT NOT NULL,       -- payment | player | game | admin | system
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_credit_ledger_donation_id ON credit_ledger(donation_id);
+        `);
+
+        const insert = db.prepare(`
+            INSERT INTO credit_ledger (donation_id, kind, balance, credits, reason, actor, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        const refundsOf = db.prepare(`
+            SELECT * FROM refunds WHERE donation_id = ? AND status != 'failed' ORDER BY id
+        `);
+
+        const donations = db.prepare(`
+            SELECT id, credits_total, credits_used, amount_eur, bundle_id, created_at FROM donations
+            WHERE credits_total > 0 OR credits_used > 0 OR id IN (SELECT donation_id FROM refunds)
+        `).all();
+
+        for (const d of donations) {
+            const refunds = refundsOf.all(d.id);
+            const refunded = refunds.reduce((sum, r) => sum + r.credits, 0);
+            const opening = 'balance before the credit ledger';
+            const total = d.credits_total + refunded;
+            const paid = d.amount_eur > 0
+                ? Math.min(total, creditsForPayment({ amountEur: d.amount_eur, bundleId: d.bundle_id }))
+                : 0;
+
+            if (paid) {
+                insert.run(d.id, 'migrated_purchase', 'total', paid,
+                    `${opening}: paid €${d.amount_eur}${d.bundle_id ? `, ${d.bundle_id}` : ''}`, 'system', d.created_at);
+            }
+            if (total - paid) {
+                insert.run(d.id, 'migrated', 'total', total - paid, opening, 'system', d.created_at);
+            }
+            for (const r of refunds) {
+                insert.run(d.id, 'refund', 'total', -r.credits, `refund #${r.id}: ${r.reason}`,
+                    r.automatic ? 'system' : 'admin', r.created_at);
+            }
+            if (d.credits_used) {
+                insert.run(d.id, 'migrated_used', 'used', d.credits_used, opening, 'system', d.created_at);
+            }
+        }
+    },
+};
@@ -0,0 +1,26 @@
+/**
+ * Admin audit log (see admin.js audit())
+ * - One row per privileged admin action, never updated or deleted.
+ * - before/after hold JSON snapshots of what the action changed (NULL when not applicable).
+ */
+module.exports = {
+    description: 'admin_audit table',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS admin_audit (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                actor TEXT NOT NULL,
+                action TEXT NOT NULL,          -- e.g. credits.add, donation.delete_all, machine.save
+                target_type TEXT,              -- donation | voucher | campaign | machine | gpio | queue
+                target_id TEXT,
+                before_json TEXT,
+                after_json TEXT,
+                ip TEXT,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_admin_audit_created_at ON admin_audit(created_at);
+            CREATE INDEX IF NOT EXISTS idx_admin_audit_action ON admin_audit(action);
+        `);
+    },
+};
@@ -0,0 +1,31 @@
+/**
+ * Named admin accounts (see auth.js)
+ * - admin_users: one row per person; password_hash is "scrypt$<salt>$<hash>", never the password.
+ * - admin_sessions: login sessions; only a SHA-256 of the session token is stored.
+ */
+module.exports = {
+    description: 'admin_users + admin_sessions tables',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS admin_users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL,            -- operator | owner
+                disabled INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                last_login_at TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS admin_sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES admin_users(id),
+                created_at TEXT NOT NULL,
+                expires_at TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(user_id);
+        `);
+    },
+};
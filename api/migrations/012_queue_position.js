@@ -0,0 +1,32 @@
+const { addColumn } = require('../migrate');
+
+/**
+ * Explicit queue order (see listQueue / moveInQueue in db.js)
+ * - donations.queue_position: set while a donation is waiting or active, NULL otherwise.
+ *   Admins can reorder it; new players get the next position at the end.
+ * - donations.paid_at: payment time, which used to overwrite created_at to define the order.
+ *   Rows paid before this migration only have that overwritten created_at, so it is copied.
+ */
+module.exports = {
+    description: 'donations.queue_position + donations.paid_at',
+
+    up(db) {
+        addColumn(db, 'donations', 'queue_position', 'INTEGER');
+        addColumn(db, 'donations', 'paid_at', 'TEXT');
+
+        db.exec(`
+            UPDATE donations SET paid_at = created_at
+            WHERE paid_at IS NULL AND mollie_payment_id IS NOT NULL AND amount_eur > 0;
+
+            UPDATE donations SET queue_position = (
+                SELECT COUNT(*) FROM donations q
+                WHERE q.status IN ('waiting', 'active')
+                  AND (q.created_at < donations.created_at
+                       OR (q.created_at = donations.created_at AND q.id <= donations.id))
+            )
+            WHERE status IN ('waiting', 'active');
+
+            CREATE INDEX IF NOT EXISTS idx_donations_queue_position ON donations(queue_position);
+        `);
+    },
+};
@@ -0,0 +1,21 @@
+/**
+ * Machine mode (see mode.js): open | paused | maintenance | closed
+ * - A single row (id = 1), so the mode survives restarts.
+ * - accept_donations NULL = the mode's default.
+ */
+module.exports = {
+    description: 'machine_mode table',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS machine_mode (
+                id INTEGER PRIMARY KEY CHECK (id = 1),
+                mode TEXT NOT NULL,
+                message TEXT,
+                accept_donations INTEGER,
+                updated_by TEXT,
+                updated_at TEXT NOT NULL
+            );
+        `);
+    },
+};
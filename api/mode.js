@@ -0,0 +1,87 @@
+const { EventEmitter } = require('events');
+const { getMachineMode, saveMachineMode } = require('./db');
+
+/**
+ * Machine mode, set by the admin and kept in SQLite (survives restarts):
+ * - open:        normal play
+ * - paused:      short break; the active player's credit timer is frozen and controls are refused
+ * - maintenance: staff working on the cabinet (restocking, unjamming)
+ * - closed:      the machine is not running (end of the event)
+ *
+ * Only "open" starts turns and accepts controls. Whether new donations and vouchers are
+ * accepted is a separate switch; left unset it follows the mode (DONATIONS_BY_DEFAULT).
+ *
+ * Emits "change" (state, previous) after every update.
+ */
+const MODES = ['open', 'paused', 'maintenance', 'closed'];
+
+// Players can keep joining the queue during a short pause, not while staff is at work
+const DONATIONS_BY_DEFAULT = {
+    open: true,
+    paused: true,
+    maintenance: false,
+    closed: false,
+};
+
+const MAX_MESSAGE_LENGTH = 200;
+
+const events = new EventEmitter();
+
+function toState(row) {
+    const mode = MODES.includes(row?.mode) ? row.mode : 'open';
+    const acceptDonations = row?.accept_donations === null || row?.accept_donations === undefined
+        ? DONATIONS_BY_DEFAULT[mode]
+        : !!row.accept_donations;
+
+    return {
+        mode,
+        message: row?.message || null,
+        acceptDonations,
+        since: row?.updated_at || null,
+        by: row?.updated_by || null,
+    };
+}
+
+/**
+ * { mode, message, acceptDonations, since, by } (open when it was never set)
+ */
+function get() {
+    return toState(getMachineMode());
+}
+
+function isOpen() {
+    return get().mode === 'open';
+}
+
+function acceptsDonations() {
+    return get().acceptDonations;
+}
+
+/**
+ * Admin: change the mode.
+ * - message: shown on the banner (null = the default text for the mode)
+ * - acceptDonations: true/false, or null to follow the mode
+ * Returns { ok: true, state } or { ok: false, error: 'invalid_mode' | 'invalid_message' | 'invalid_accept_donations' }.
+ */
+function set({ mode, message = null, acceptDonations = null }, actor) {
+    if (!MODES.includes(mode)) return { ok: false, error: 'invalid_mode' };
+    if (message !== null && (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) {
+        return { ok: false, error: 'invalid_message' };
+    }
+    if (acceptDonations !== null && typeof acceptDonations !== 'boolean') {
+        return { ok: false, error: 'invalid_accept_donations' };
+    }
+
+    const previous = get();
+    const state = toState(saveMachineMode({
+        mode,
+        message: message?.trim() || null,
+        acceptDonations,
+        updatedBy: actor,
+    }));
+
+    events.emit('change', state, previous);
+    return { ok: true, state };
+}
+
+module.exports = { MODES, events, get, isOpen, acceptsDonations, set };
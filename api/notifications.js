@@ -0,0 +1,172 @@
+const mail = require('./mail');
+const { webUrl } = require('./payments');
+const {
+    getDonationById,
+    getCampaign,
+    getRefundTotalsByReason,
+    listQueue,
+    reserveMail,
+    finishMail,
+    hasMail,
+} = require('./db');
+
+// "Your turn is coming" once at most this many players are ahead (the active one included)
+const TURN_SOON_AHEAD = 2;
+
+/**
+ * Player emails (only for donations that left an address):
+ * - receipt:         on payment (not for free voucher plays)
+ * - turn_soon:       when the player gets near the front of the queue
+ * - session_summary: after the turn, with credits used and prizes won
+ *
+ * Each kind goes out at most once per donation (mail_log), and sending never
+ * blocks or breaks the game: failures are only logged.
+ */
+function playUrl(donation) {
+    return `${webUrl()}/play?intent=${donation.intent_id}`;
+}
+
+function formatEur(value) {
+    return `€${Number(value || 0).toFixed(2)}`;
+}
+
+// Why the unused credits went back, per refund reason (refunds.js)
+const REFUND_REASONS = {
+    machine_fault: 'The machine had a problem',
+    admin_fault: 'The machine had a problem',
+    closing_time: 'The machine closed before you could use all your credits',
+    admin: 'Our staff refunded your unused credits',
+};
+
+function refundLine({ reason, credits, amountEur }) {
+    const why = REFUND_REASONS[reason] || 'Your unused credits were refunded';
+    return `${why}, so ${formatEur(amountEur)} for ${credits} unused credit(s) goes back to your payment method.`;
+}
+
+function playersAhead(ahead) {
+    return ahead === 1 ? 'is 1 player' : `are ${ahead} players`;
+}
+
+// Where the receipt finds the player: ahead = players in front, null when not in the queue
+function queueLine(ahead) {
+    if (ahead === null) return 'Open the arcade to see when you can play.';
+    return ahead > 0 ? `There ${playersAhead(ahead)} ahead of you in the queue.` : 'You are up right now!';
+}
+
+// Template: (donation, data) -> { subject, lines } (one paragraph per line)
+const TEMPLATES = {
+    receipt: (d, { campaign, ahead }) => ({
+        subject: 'Thank you for your donation to SweetControl',
+        lines: [
+            `Hi ${d.name},`,
+            `We received your donation of ${formatEur(d.amount_eur)}${campaign ? ` for ${campaign.name}` : ''}. Thank you!`,
+            `You get ${d.credits_total} credit(s) on the claw machine. ${queueLine(ahead)}`,
+            `Play here: ${playUrl(d)}`,
+            `Keep this email as your receipt. Payment reference: ${d.mollie_payment_id}`,
+        ],
+    }),
+
+    turn_soon: (d, { ahead }) => ({
+        subject: 'Your SweetControl turn is coming up',
+        lines: [
+            `Hi ${d.name},`,
+            `There ${playersAhead(ahead)} ahead of you: your turn on the claw machine starts soon.`,
+            `Open the arcade now so you don't miss it: ${playUrl(d)}`,
+            'Once your turn starts you have to move within a short time, or the next player goes first.',
+        ],
+    }),
+
+    session_summary: (d, { reason, refunded }) => {
+        const unused = Math.max(0, d.credits_total - d.credits_used);
+        return {
+            subject: 'Your SweetControl session',
+            lines: [
+                `Hi ${d.name},`,
+                `You played ${d.credits_used} credit(s) and won ${d.prizes_won} prize(s).${d.prizes_won ? ' Congratulations!' : ''}`,
+                ...(reason === 'no_first_move' && unused
+                    ? [`Your turn ended because the claw did not move in time, with ${unused} credit(s) left unused.`]
+                    : []),
+                ...refunded.filter(r => r.amountEur > 0).map(refundLine),
+                'Thank you for playing and for supporting SweetControl!',
+            ],
+        };
+    },
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function render({ subject, lines }) {
+    return {
+        subject,
+        text: lines.join('\n\n'),
+        html: lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n'),
+    };
+}
+
+/**
+ * Send `kind` to the donation's address (no-op without one, or when it already went out).
+ */
+function deliver(donation, kind, data) {
+    if (!donation?.email) return;
+
+    const logId = reserveMail({ donationId: donation.id, kind, recipient: donation.email });
+    if (!logId) return;
+
+    mail.send({ to: donation.email, ...render(TEMPLATES[kind](donation, data)) })
+        .then(result => finishMail(logId, result.ok
+            ? { status: 'sent' }
+            : { status: 'failed', error: result.error }))
+        .catch(err => console.error(`Mail ${kind} for donation ${donation.id} failed:`, err));
+}
+
+/**
+ * Payment confirmed (call before the queue moves on, so "ahead" is what the player paid into).
+ * A receipt that already says the turn is close replaces the turn_soon mail.
+ */
+function sendReceipt(donationId) {
+    const donation = getDonationById(donationId);
+    if (!donation?.email || !(donation.amount_eur > 0)) return;
+
+    // Not queued (yet): nothing to say about its place, and turn_soon still goes out later
+    const index = listQueue().findIndex(q => q.id === donationId);
+    const ahead = index === -1 ? null : index;
+
+    if (ahead !== null && ahead <= TURN_SOON_AHEAD) {
+        const logId = reserveMail({ donationId, kind: 'turn_soon', recipient: donation.email });
+        if (logId) finishMail(logId, { status: 'skipped' });
+    }
+
+    deliver(donation, 'receipt', {
+        campaign: donation.campaign_id ? getCampaign(donation.campaign_id) : null,
+        ahead,
+    });
+}
+
+/**
+ * Queue changed: warn waiting players that got near the front.
+ * @param {Array} queue - listQueue() rows, in queue order
+ */
+function notifyQueue(queue) {
+    queue.slice(1, TURN_SOON_AHEAD + 1).forEach((row, idx) => {
+        if (row.status !== 'waiting' || hasMail(row.id, 'turn_soon')) return;
+        deliver(getDonationById(row.id), 'turn_soon', { ahead: idx + 1 });
+    });
+}
+
+/**
+ * Turn over: credits used, prizes won (and the refunds so far, one line per reason).
+ */
+function sendSessionSummary(donationId, reason) {
+    const donation = getDonationById(donationId);
+    if (!donation) return;
+
+    deliver(donation, 'session_summary', { reason, refunded: getRefundTotalsByReason(donationId) });
+}
+
+module.exports = { sendReceipt, notifyQueue, sendSessionSummary };
@@ -0,0 +1,55 @@
+const createMollieProvider = require('./providers/mollie');
+const createFakeProvider = require('./providers/fake');
+
+/**
+ * Payment provider selection (PAYMENT_PROVIDER env):
+ * - mollie (default): live Mollie API, needs MOLLIE_API_KEY and a public PUBLIC_API_URL for webhooks
+ * - fake: in-process simulator with its own checkout page, for laptops and tests
+ *
+ * A provider speaks Mollie's status names (open, paid, authorized, failed, canceled, expired):
+ *   { name, createPayment({ amountEur, description, redirectUrl, webhookUrl, metadata }) -> { id, checkoutUrl },
+ *     getPayment(id) -> { id, status, amountEur, metadata },
+ *     createRefund(paymentId, { amountEur, description }) -> { id, status }, router? }
+ * `router` (fake only) is mounted by app.js at /api/fake-pay.
+ */
+function createProvider(kind) {
+    switch (kind) {
+        case 'mollie':
+            return createMollieProvider({ apiKey: process.env.MOLLIE_API_KEY });
+        case 'fake':
+            return createFakeProvider({ baseUrl: apiUrl() });
+        default:
+            throw new Error(`Unknown PAYMENT_PROVIDER "${kind}" (expected mollie or fake)`);
+    }
+}
+
+// Where Mollie (or the fake checkout) reaches this API
+function apiUrl() {
+    return process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 4000}`;
+}
+
+// The arcade (Next.js) players come back to: the local dev origin CORS allows when unset
+function webUrl() {
+    return process.env.PUBLIC_WEB_URL || 'http://localhost:3000';
+}
+
+// Provider status -> what happens to the donation (statuses not listed are still open)
+const PAYMENT_OUTCOMES = {
+    paid: 'paid',
+    authorized: 'paid',
+    failed: 'failed',
+    canceled: 'canceled',
+    expired: 'expired',
+};
+
+// Donation statuses of a payment that ended without money
+const FAILED_STATUSES = ['failed', 'canceled', 'expired'];
+
+function paymentOutcome(status) {
+    return PAYMENT_OUTCOMES[status] || null;
+}
+
+const provider = createProvider(process.env.PAYMENT_PROVIDER || 'mollie');
+console.log(`Payment provider: ${provider.name}`);
+
+module.exports = { provider, apiUrl, webUrl, paymentOutcome, FAILED_STATUSES };
@@ -0,0 +1,45 @@
+const machine = require('./machine');
+
+const ROUNDING = {
+    floor: Math.floor,
+    round: Math.round,
+    ceil: Math.ceil,
+};
+
+/**
+ * Pricing (from the "pricing" section of the machine profile):
+ * - Players buy named bundles (e.g. €5 = 6 credits); the web renders them from GET /api/pricing.
+ * - A payment credits its bundle when the paid amount matches it. Anything else (bundles edited
+ *   between checkout and payment, old intents) falls back to amount / creditPriceEur, rounded
+ *   with pricing.rounding.
+ * - No donation ever gets more than pricing.maxCreditsPerPlayer credits.
+ */
+function getPricing() {
+    const { bundles, maxCreditsPerPlayer } = machine.get().pricing;
+    return { currency: 'EUR', bundles, maxCreditsPerPlayer };
+}
+
+/**
+ * Bundle a checkout is for: by id, or by its exact price.
+ * Returns null when nothing matches (the server only sells bundles).
+ */
+function findBundle({ bundleId, amountEur }) {
+    const { bundles } = machine.get().pricing;
+
+    if (bundleId) return bundles.find(b => b.id === bundleId) || null;
+    return bundles.find(b => Math.abs(b.amountEur - amountEur) < 0.005) || null;
+}
+
+function creditsForPayment({ amountEur, bundleId }) {
+    const { bundles, maxCreditsPerPlayer, creditPriceEur, rounding } = machine.get().pricing;
+
+    const bundle = bundles.find(b => b.id === bundleId);
+    const units = Math.round((amountEur / creditPriceEur) * 1e6) / 1e6; // 0.3 / 0.1 = 2.9999999999999996
+    const credits = bundle && Math.abs(bundle.amountEur - amountEur) < 0.005
+        ? bundle.credits
+        : ROUNDING[rounding](units);
+
+    return Math.max(0, Math.min(maxCreditsPerPlayer, credits));
+}
+
+module.exports = { getPricing, findBundle, creditsForPayment };
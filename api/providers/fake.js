@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// Outcomes the checkout page offers (Mollie status names)
+const OUTCOMES = ['paid', 'failed', 'canceled', 'expired'];
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Fake Mollie provider (offline development, no API key or public webhook URL needed).
+ * - Payments live in memory (a restart forgets them, like an expired checkout).
+ * - checkoutUrl points at a tiny page served by this API where you pick the outcome.
+ * - Picking one posts `id=tr_fake_xxx` to webhookUrl like Mollie would, then redirects
+ *   the browser to redirectUrl.
+ * - Refunds are accepted at once (payments lost in a restart can't be checked).
+ */
+function createFakeProvider({ baseUrl }) {
+    const payments = new Map(); // id -> { id, status, amountEur, refundedEur, description, redirectUrl, webhookUrl, metadata }
+
+    async function createPayment({ amountEur, description, redirectUrl, webhookUrl, metadata }) {
+        const id = `tr_fake_${crypto.randomBytes(6).toString('hex')}`;
+        payments.set(id, {
+            id,
+            status: 'open',
+            amountEur,
+            refundedEur: 0,
+            description,
+            redirectUrl,
+            webhookUrl,
+            metadata: metadata || {},
+        });
+
+        return { id, checkoutUrl: `${baseUrl}/api/fake-pay/${id}` };
+    }
+
+    async function getPayment(id) {
+        const payment = payments.get(id);
+        if (!payment) return { id, status: 'expired', amountEur: 0, metadata: {} }; // lost in a restart
+
+        const { status, amountEur, metadata } = payment;
+        return { id, status, amountEur, metadata };
+    }
+
+    // Refunds settle instantly; like Mollie, never more than what was paid
+    async function createRefund(paymentId, { amountEur }) {
+        const payment = payments.get(paymentId);
+        if (payment) {
+            if (payment.status !== 'paid') throw new Error(`fake payment ${paymentId} is ${payment.status}`);
+            if (payment.refundedEur + amountEur > payment.amountEur + 0.001) {
+                throw new Error(`refund exceeds the remaining amount of ${paymentId}`);
+            }
+            payment.refundedEur += amountEur;
+        }
+
+        return { id: `re_fake_${crypto.randomBytes(6).toString('hex')}`, status: 'refunded' };
+    }
+
+    // Same request Mollie sends; failures are logged, the player can still claim via the fallback check
+    async function postWebhook(payment) {
+        try {
+            const res = await fetch(payment.webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({ id: payment.id }).toString(),
+            });
+            if (!res.ok) console.error(`Fake payment webhook returned ${res.status}`);
+        } catch (err) {
+            console.error('Fake payment webhook failed:', err?.message || err);
+        }
+    }
+
+    const router = express.Router();
+
+    router.get('/:id', (req, res) => {
+        const payment = payments.get(req.params.id);
+        if (!payment) return res.status(404).send('Unknown payment');
+
+        const buttons = OUTCOMES
+            .map(outcome => `<button name="status" value="${outcome}">${outcome}</button>`)
+            .join('\n      ');
+
+        return res.send(`<!doctype html>
+<html>
+  <head><meta charset="utf-8"><title>Fake checkout</title></head>
+  <body style="font-family: sans-serif; max-width: 28rem; margin: 3rem auto;">
+    <h1>Fake checkout</h1>
+    <p>${escapeHtml(payment.description)}</p>
+    <p><strong>&euro; ${payment.amountEur.toFixed(2)}</strong> &middot; ${payment.id} &middot; ${payment.status}</p>
+    <form method="post">
+      ${buttons}
+    </form>
+  </body>
+</html>`);
+    });
+
+    router.post('/:id', async (req, res) => {
+        const payment = payments.get(req.params.id);
+        if (!payment) return res.status(404).send('Unknown payment');
+
+        const { status } = req.body;
+        if (!OUTCOMES.includes(status)) return res.status(400).send('Invalid status');
+
+        if (payment.status === 'open') {
+            payment.status = status;
+            await postWebhook(payment);
+        }
+
+        return res.redirect(303, payment.redirectUrl);
+    });
+
+    return { name: 'fake', createPayment, getPayment, createRefund, router };
+}
+
+module.exports = createFakeProvider;
@@ -0,0 +1,50 @@
+const { createMollieClient } = require('@mollie/api-client');
+
+/**
+ * Live Mollie provider.
+ * Payments are created on Mollie's hosted checkout; Mollie calls webhookUrl on every status change.
+ */
+function createMollieProvider({ apiKey }) {
+    if (!apiKey) {
+        throw new Error('MOLLIE_API_KEY is not set (use PAYMENT_PROVIDER=fake for local development)');
+    }
+
+    const client = createMollieClient({ apiKey });
+
+    async function createPayment({ amountEur, description, redirectUrl, webhookUrl, metadata }) {
+        const payment = await client.payments.create({
+            amount: { currency: 'EUR', value: amountEur.toFixed(2) },
+            description,
+            redirectUrl,
+            webhookUrl,
+            metadata,
+        });
+
+        return { id: payment.id, checkoutUrl: payment.getCheckoutUrl() };
+    }
+
+    async function getPayment(id) {
+        const payment = await client.payments.get(id);
+
+        return {
+            id: payment.id,
+            status: payment.status,
+            amountEur: Number(payment.amount.value),
+            metadata: payment.metadata || {},
+        };
+    }
+
+    async function createRefund(paymentId, { amountEur, description }) {
+        const refund = await client.paymentRefunds.create({
+            paymentId,
+            amount: { currency: 'EUR', value: amountEur.toFixed(2) },
+            description,
+        });
+
+        return { id: refund.id, status: refund.status };
+    }
+
+    return { name: 'mollie', createPayment, getPayment, createRefund };
+}
+
+module.exports = createMollieProvider;
@@ -0,0 +1,84 @@
+const { provider: payments } = require('./payments');
+const {
+    getDonationById,
+    getRefundTotals,
+    getPaidCredits,
+    reserveRefund,
+    completeRefund,
+    failRefund,
+    getRefund,
+} = require('./db');
+
+// Turn-end reasons where the machine is to blame: unused credits go back without asking
+// - machine_fault: claw never got home (turn.js) or the GPIO driver failed (game.js)
+// - admin_fault:   an admin ended the turn because of a fault (POST /player/end-active)
+const AUTOMATIC_REASONS = ['machine_fault', 'admin_fault'];
+
+// Donation statuses that can be refunded (paid, and not on the machine right now)
+const REFUNDABLE_STATUSES = ['waiting', 'done'];
+
+/**
+ * Refund policy for credits a player paid for but could not use:
+ * - One credit is worth what was paid divided by the credits bought, so partial refunds
+ *   stay proportional (and earlier refunds don't change the price of the rest).
+ * - Free credits (admin grants) are counted as played first: only paid credits that are
+ *   still unused and not refunded yet can be refunded, and they never dilute the price.
+ * - Amounts are rounded down to the cent and never exceed what is left of the payment.
+ * - Automatic for machine-side failures (AUTOMATIC_REASONS); admins can refund by hand.
+ */
+function quoteRefund(donation) {
+    const none = { credits: 0, amountEur: 0 };
+    if (!donation || !donation.mollie_payment_id || !(donation.amount_eur > 0)) return none;
+
+    const refunded = getRefundTotals(donation.id);
+    const creditsBought = getPaidCredits(donation.id);
+    const unused = Math.max(0, donation.credits_total - donation.credits_used);
+    const credits = Math.min(unused, Math.max(0, creditsBought - refunded.credits));
+    if (!credits) return none;
+
+    const value = (credits * donation.amount_eur) / creditsBought;
+    const left = donation.amount_eur - refunded.amountEur;
+    const amountEur = Math.floor(Math.min(value, left) * 100 + 1e-6) / 100;
+
+    return amountEur > 0 ? { credits, amountEur } : none;
+}
+
+function isAutomaticRefund(reason) {
+    return AUTOMATIC_REASONS.includes(reason);
+}
+
+/**
+ * Refund the unused credits of a donation through the payment provider.
+ * Returns { ok: true, refund } or { ok: false, error }.
+ */
+async function refundUnusedCredits(donationId, { reason, automatic = false }) {
+    const donation = getDonationById(donationId);
+    if (!donation) return { ok: false, error: 'not_found' };
+    if (donation.status === 'active') return { ok: false, error: 'donation_active' };
+    if (!REFUNDABLE_STATUSES.includes(donation.status)) return { ok: false, error: 'not_paid' };
+
+    const { credits, amountEur } = quoteRefund(donation);
+    if (!credits) return { ok: false, error: 'nothing_to_refund' };
+
+    // Credits leave the donation before the provider call, so they can't be played meanwhile
+    const refundId = reserveRefund({ donationId, credits, amountEur, reason, automatic });
+    if (!refundId) return { ok: false, error: 'nothing_to_refund' };
+
+    try {
+        const refund = await payments.createRefund(donation.mollie_payment_id, {
+            amountEur,
+            description: `SweetControl refund: ${credits} unused credit(s)`,
+        });
+
+        completeRefund(refundId, { providerRefundId: refund.id, status: refund.status });
+        console.log(`Refunded €${amountEur.toFixed(2)} (${credits} credits) to donation ${donationId}: ${reason}`);
+
+        return { ok: true, refund: getRefund(refundId) };
+    } catch (err) {
+        console.error(`Refund for donation ${donationId} failed:`, err?.message || err);
+        failRefund(refundId, String(err?.message || err));
+        return { ok: false, error: 'refund_failed' };
+    }
+}
+
+module.exports = { quoteRefund, isAutomaticRefund, refundUnusedCredits };
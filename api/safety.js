@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+
+// Each direction and the one it must never be asserted together with
+const OPPOSITE = {
+    up: 'down',
+    down: 'up',
+    left: 'right',
+    right: 'left',
+};
+
+const HISTORY_SIZE = 50; // violations kept in memory for the admin
+
+/**
+ * Motion safety rules for the GPIO layer:
+ * - Opposing directions (up/down, left/right) are mutually exclusive.
+ * - A direction can't be asserted within reversalCooldownMs of releasing its opposite.
+ * - No line stays HIGH longer than maxHoldMs without being refreshed: a player hold is
+ *   refreshed by every keep-alive (gpio.keepAlive()), so only a forgotten one is cut off.
+ * - All movement is locked while a grab pulse is in flight.
+ *
+ * Limits come from the "safety" section of the machine profile.
+ * This module only decides and records; gpio.js owns the lines and timers.
+ * - The first three are hit by ordinary play (a quick reversal, pressing during the grab):
+ *   checkHold() refuses or delays the move quietly.
+ * - Faults (a hold cut off by maxHoldMs, a GPIO driver error) go through report(): logged,
+ *   kept in a small history and emitted as "violation" for the admin.
+ */
+function createSafety() {
+    const events = new EventEmitter();
+    const releasedAt = new Map(); // direction -> ms timestamp of last release
+    const violations = [];
+    let grabLockUntil = 0;
+    let limits = {
+        maxHoldMs: 15 * 1000,     // longest hold on one line without a refresh
+        reversalCooldownMs: 150,  // gap between releasing a direction and asserting its opposite
+    };
+
+    function configure({ maxHoldMs, reversalCooldownMs }) {
+        limits = { maxHoldMs, reversalCooldownMs };
+    }
+
+    function getLimits() {
+        return limits;
+    }
+
+    function report(rule, details = {}) {
+        const violation = { rule, at: Date.now(), ...details };
+
+        violations.unshift(violation);
+        if (violations.length > HISTORY_SIZE) violations.length = HISTORY_SIZE;
+
+        console.warn('GPIO safety violation:', violation);
+        events.emit('violation', violation);
+        return violation;
+    }
+
+    /**
+     * Can `direction` be asserted right now?
+     * Returns { ok: true }, { ok: true, delayMs } (reversal cool-down) or { ok: false, error }.
+     */
+    function checkHold(direction, held) {
+        const now = Date.now();
+        const opposite = OPPOSITE[direction];
+
+        if (now < grabLockUntil) {
+            return { ok: false, error: 'grab_in_progress' };
+        }
+
+        if (opposite && held.has(opposite)) {
+            return { ok: false, error: 'opposing_direction' };
+        }
+
+        const oppositeReleasedAt = releasedAt.get(opposite);
+        if (oppositeReleasedAt && now - oppositeReleasedAt < limits.reversalCooldownMs) {
+            return { ok: true, delayMs: limits.reversalCooldownMs - (now - oppositeReleasedAt) };
+        }
+
+        return { ok: true };
+    }
+
+    function noteRelease(direction) {
+        releasedAt.set(direction, Date.now());
+    }
+
+    // Lock movement for the duration of a grab pulse
+    function lockForGrab(ms) {
+        grabLockUntil = Math.max(grabLockUntil, Date.now() + ms);
+    }
+
+    function isGrabLocked() {
+        return Date.now() < grabLockUntil;
+    }
+
+    function getViolations() {
+        return [...violations];
+    }
+
+    return {
+        events,
+        configure,
+        getLimits,
+        checkHold,
+        noteRelease,
+        lockForGrab,
+        isGrabLocked,
+        report,
+        getViolations,
+    };
+}
+
+module.exports = { createSafety, OPPOSITE };
@@ -0,0 +1,163 @@
+const { EventEmitter } = require('events');
+const machine = require('./machine');
+
+/**
+ * Opening hours (machine profile "schedule"), in the profile's time zone:
+ * - weekly: hours per weekday; exceptions: other hours on one date ([] = closed that day)
+ * - Outside the hours new donations are refused and no new turn starts. A turn that is
+ *   running at closing time still finishes.
+ * - waitingAtClose: players still waiting at closing time are kept for the next opening,
+ *   or get their unused credits refunded (handled by game.js on the "change" event).
+ * - With schedule.enabled false the machine is always open.
+ *
+ * Emits "change" (status) when the machine opens or closes; checked every CHECK_MS
+ * and whenever the profile is saved.
+ */
+const CHECK_MS = 30 * 1000;
+
+// How far ahead the next opening is looked up
+const LOOKAHEAD_DAYS = 14;
+
+// Date.getUTCDay() order
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const events = new EventEmitter();
+const formatters = new Map();
+
+// Wall clock in `timeZone` at `at`: { year, month, day, hour, minute, second }
+function wallClock(at, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        }));
+    }
+
+    const parts = {};
+    for (const { type, value } of formatters.get(timeZone).formatToParts(at)) {
+        if (type !== 'literal') parts[type] = Number(value);
+    }
+    return parts;
+}
+
+// How far `timeZone` is ahead of UTC at `at`
+function offsetMs(at, timeZone) {
+    const w = wallClock(at, timeZone);
+    const seconds = Math.floor(at / 1000) * 1000;
+    return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second) - seconds;
+}
+
+// "2026-12-24" + "18:30" in `timeZone` -> epoch ms (the offset is checked twice around DST changes)
+function toInstant(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    const guess = wall - offsetMs(wall, timeZone);
+    return wall - offsetMs(guess, timeZone);
+}
+
+// Local date `days` after the one in `timeZone` at `at`, as "YYYY-MM-DD"
+function localDate(at, timeZone, days = 0) {
+    const w = wallClock(at, timeZone);
+    return new Date(Date.UTC(w.year, w.month - 1, w.day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function hoursOn(date, schedule) {
+    const exception = schedule.exceptions.find(e => e.date === date);
+    if (exception) return exception.hours;
+
+    return schedule.weekly[DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]] || [];
+}
+
+/**
+ * Opening periods from the day before `at` up to `days` days after it, as sorted
+ * [start, end] epoch ms pairs. Periods that touch (24:00 / 00:00) are merged.
+ */
+function periods(at, schedule, days) {
+    const list = [];
+    for (let i = -1; i <= days; i++) {
+        const date = localDate(at, schedule.timeZone, i);
+        for (const h of hoursOn(date, schedule)) {
+            list.push([toInstant(date, h.open, schedule.timeZone), toInstant(date, h.close, schedule.timeZone)]);
+        }
+    }
+
+    list.sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const p of list) {
+        const last = merged[merged.length - 1];
+        if (last && p[0] <= last[1]) {
+            last[1] = Math.max(last[1], p[1]);
+        } else {
+            merged.push([...p]);
+        }
+    }
+    return merged;
+}
+
+function iso(ms) {
+    return ms ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * { enabled, open, closesAt, nextOpenAt, timeZone } at `at`
+ * - closesAt: end of the current opening period (null when closed or not scheduled)
+ * - nextOpenAt: next opening when closed (null when open, or nothing within LOOKAHEAD_DAYS)
+ */
+function getStatus(at = Date.now()) {
+    const schedule = machine.get().schedule;
+    if (!schedule.enabled) {
+        return { enabled: false, open: true, closesAt: null, nextOpenAt: null, timeZone: schedule.timeZone };
+    }
+
+    const list = periods(at, schedule, LOOKAHEAD_DAYS);
+    const current = list.find(([start, end]) => start <= at && at < end);
+    const next = list.find(([start]) => start > at);
+
+    return {
+        enabled: true,
+        open: !!current,
+        closesAt: iso(current?.[1]),
+        nextOpenAt: current ? null : iso(next?.[0]),
+        timeZone: schedule.timeZone,
+    };
+}
+
+/**
+ * Open right now (cheaper than getStatus: only today and its neighbours are looked at).
+ */
+function isOpen(at = Date.now()) {
+    const schedule = machine.get().schedule;
+    if (!schedule.enabled) return true;
+
+    return periods(at, schedule, 1).some(([start, end]) => start <= at && at < end);
+}
+
+let lastOpen = isOpen();
+
+function check() {
+    try {
+        const open = isOpen();
+        if (open === lastOpen) return;
+
+        lastOpen = open;
+        events.emit('change', getStatus());
+    } catch (err) {
+        console.error('Opening hours check error:', err);
+    }
+}
+
+setInterval(check, CHECK_MS);
+machine.events.on('change', check);
+
+module.exports = { events, getStatus, isOpen };
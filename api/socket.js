@@ -0,0 +1,165 @@
+const { WebSocketServer } = require('ws');
+const control = require('./control');
+const { getDonationByToken } = require('./db');
+
+const PATH = '/api/control/ws';
+
+// Protocol-level ping: a connection that misses one is dropped (and its holds released)
+const PING_MS = 5000;
+
+// Time a new connection gets to send its "hello"
+const HELLO_TIMEOUT_MS = 5000;
+
+// Close codes (4000-4999 are free for applications)
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_HELLO_TIMEOUT = 4408;
+
+/**
+ * Player control channel: one WebSocket per arcade page, JSON messages.
+ *
+ *   client → { type: 'hello', token }                       server → { type: 'hello', ok, donationId }
+ *   client → { type: 'press' | 'release', seq, direction }  server → { type: 'ack', seq, ok, error? }
+ *   client → { type: 'keepalive', seq, direction }          server → { type: 'ack', seq, ok, error? }
+ *   client → { type: 'grab', seq }                          server → { type: 'ack', seq, ok, error? }
+ *   client → { type: 'ping', seq, t }                       server → { type: 'pong', seq, t }
+ *
+ * - The token goes in "hello", never in the URL (URLs end up in proxy logs). An unknown
+ *   token closes the socket with 4401.
+ * - seq increases with every message of a connection and comes back in the ack, so the
+ *   client can match (and time) its acks. A message whose seq is not higher than the last
+ *   one seen (a resend, a replay) is answered { ok: false, error: 'stale' } and ignored.
+ * - Round trips are measured by the client from its pongs; the server keeps no clock.
+ * - Same rules as the HTTP routes (see control.js), which stay available as a fallback.
+ * - A closed or silent connection releases every direction it was holding.
+ */
+function attach(server, { allowedOrigins }) {
+    const wss = new WebSocketServer({
+        server,
+        path: PATH,
+        maxPayload: 1024,
+        // Browsers always send Origin; non-browser clients are gated by the token like the HTTP routes
+        verifyClient: ({ origin }) => !origin || allowedOrigins.includes(origin),
+    });
+
+    const connections = new Map(); // ws -> { token, lastSeq, held, alive }
+
+    wss.on('connection', (ws) => {
+        const conn = { token: null, lastSeq: 0, held: new Set(), alive: true };
+        connections.set(ws, conn);
+
+        const helloTimer = setTimeout(() => ws.close(CLOSE_HELLO_TIMEOUT, 'hello timeout'), HELLO_TIMEOUT_MS);
+
+        function send(message) {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+        }
+
+        function handle(message) {
+            if (message.type === 'hello') {
+                const donation = typeof message.token === 'string' ? getDonationByToken(message.token) : null;
+                if (!donation) {
+                    send({ type: 'hello', ok: false, error: 'not_found' });
+                    ws.close(CLOSE_UNAUTHORIZED, 'unknown token');
+                    return;
+                }
+
+                clearTimeout(helloTimer);
+                conn.token = message.token;
+                send({ type: 'hello', ok: true, donationId: donation.id });
+                return;
+            }
+
+            if (!conn.token) {
+                ws.close(CLOSE_UNAUTHORIZED, 'hello first');
+                return;
+            }
+
+            const { seq } = message;
+            if (!Number.isInteger(seq)) {
+                send({ type: 'ack', seq: null, ok: false, error: 'invalid_seq' });
+                return;
+            }
+            if (seq <= conn.lastSeq) {
+                send({ type: 'ack', seq, ok: false, error: 'stale' });
+                return;
+            }
+            conn.lastSeq = seq;
+
+            let result;
+            switch (message.type) {
+                case 'ping':
+                    send({ type: 'pong', seq, t: message.t });
+                    return;
+                case 'press':
+                    result = control.press(conn.token, message.direction);
+                    if (result.ok) conn.held.add(message.direction);
+                    break;
+                case 'keepalive':
+                    result = control.keepAlive(conn.token, message.direction);
+                    break;
+                case 'release':
+                    result = control.release(conn.token, message.direction);
+                    conn.held.delete(message.direction);
+                    break;
+                case 'grab':
+                    result = control.grab(conn.token);
+                    break;
+                default:
+                    result = { ok: false, error: 'unknown_type' };
+            }
+
+            send({ type: 'ack', seq, ok: result.ok, ...(result.ok ? {} : { error: result.error }) });
+        }
+
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch {
+                send({ type: 'error', error: 'invalid_json' });
+                return;
+            }
+            if (!message || typeof message !== 'object') return;
+
+            try {
+                handle(message);
+            } catch (err) {
+                console.error('Control socket error:', err);
+                send({ type: 'ack', seq: message.seq ?? null, ok: false, error: 'server_error' });
+            }
+        });
+
+        ws.on('pong', () => {
+            conn.alive = true;
+        });
+
+        ws.on('error', (err) => {
+            console.error('Control socket error:', err?.message || err);
+        });
+
+        ws.on('close', () => {
+            connections.delete(ws);
+            clearTimeout(helloTimer);
+            for (const direction of conn.held) {
+                control.release(conn.token, direction);
+            }
+            conn.held.clear();
+        });
+    });
+
+    const pingTimer = setInterval(() => {
+        for (const [ws, conn] of connections) {
+            if (!conn.alive) {
+                ws.terminate();
+                continue;
+            }
+            conn.alive = false;
+            ws.ping();
+        }
+    }, PING_MS);
+
+    wss.on('close', () => clearInterval(pingTimer));
+
+    return wss;
+}
+
+module.exports = { PATH, attach };
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Throwaway database and mail folder, simulated claw, fake payments, default machine profile
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sweet-test-'));
+process.env.DB_PATH = path.join(dir, 'sweet.db');
+process.env.MAIL_DIR = path.join(dir, 'mail');
+process.env.MACHINE_PROFILE = path.join(dir, 'machine.json');
+process.env.GPIO_DRIVER = 'sim';
+process.env.PAYMENT_PROVIDER = 'fake';
+
+const db = require('../db');
+const gpio = require('../gpio');
+const game = require('../game');
+
+let payments = 0;
+
+// Paid "triple" bundle: 3 credits for €3, made the active player right away
+function payTriple(name) {
+    const { intentId } = db.createIntent({ name, amountRequestedEur: 3, bundleId: 'triple' });
+    game.handlePaidDonation({ intentId, molliePaymentId: `tr_test_${++payments}`, amountEur: 3 });
+    return db.getIntent(intentId).id;
+}
+
+// Automatic refunds go through the (async) payment provider
+async function refundsOf(donationId) {
+    for (let i = 0; i < 50; i++) {
+        const rows = db.listRefunds().filter(r => r.donation_id === donationId);
+        if (rows.length) return rows;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return [];
+}
+
+test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    // game.js, gpio.js and schedule.js keep timers running for the life of the server
+    setImmediate(() => process.exit());
+});
+
+test('a GPIO driver fault ends the turn and refunds the unused credits', async () => {
+    const id = payTriple('Ann');
+    assert.equal(game.getActiveState().activeDonationId, id);
+
+    // Credit in play when the driver fails: it is not spent
+    game.move();
+    gpio.events.emit('fault', { line: 'right', error: 'EIO', at: Date.now() });
+
+    assert.equal(db.getDonationById(id).status, 'done');
+    const refunds = await refundsOf(id);
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].reason, 'machine_fault');
+    assert.equal(refunds[0].automatic, 1);
+    assert.equal(refunds[0].credits, 3);
+    assert.equal(refunds[0].amount_eur, 3);
+});
+
+test('an admin ending a turn as a fault refunds the unused credits', async () => {
+    const id = payTriple('Bob');
+    assert.equal(game.getActiveState().activeDonationId, id);
+
+    game.forceEndActive('admin_fault', { settle: 'return' });
+
+    const refunds = await refundsOf(id);
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].reason, 'admin_fault');
+    assert.equal(refunds[0].credits, 3);
+});
+
+test('an ordinary admin end is not refunded', async () => {
+    const id = payTriple('Cleo');
+    game.forceEndActive('admin_end', { settle: 'return' });
+
+    assert.deepEqual(await refundsOf(id), []);
+});
@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTurnMachine } = require('../turn');
+
+const CONFIG = {
+    game: { creditMs: 30000, firstMoveMs: 15000, grabFinishMs: 7000 },
+    pulses: { grabMs: 300 },
+    homing: { timeoutMs: 20000, faultMs: 120000 },
+};
+
+/**
+ * Clock port that only moves when advance() is called; due timers fire in order,
+ * each one seeing now() at its own due time.
+ */
+function createFakeClock(start = 1000) {
+    let now = start;
+    let nextId = 1;
+    const timers = new Map(); // id -> { at, fn }
+
+    function nextDue(until) {
+        let due = null;
+        for (const [id, t] of timers) {
+            if (t.at <= until && (!due || t.at < due.at || (t.at === due.at && id < due.id))) {
+                due = { id, ...t };
+            }
+        }
+        return due;
+    }
+
+    return {
+        now: () => now,
+        setTimeout(fn, ms) {
+            const id = nextId++;
+            timers.set(id, { at: now + ms, fn });
+            return id;
+        },
+        clearTimeout(id) {
+            timers.delete(id);
+        },
+        advance(ms) {
+            const until = now + ms;
+            for (let due = nextDue(until); due; due = nextDue(until)) {
+                timers.delete(due.id);
+                now = due.at;
+                due.fn();
+            }
+            now = until;
+        },
+    };
+}
+
+function setup({ waiting = false } = {}) {
+    const clock = createFakeClock();
+    const calls = { consumed: [], finished: [], broadcasts: [], released: 0 };
+
+    const turn = createTurnMachine({
+        clock,
+        gpio: {
+            pulse: () => {},
+            releaseAll: () => { calls.released += 1; },
+            isHome: () => null,
+        },
+        broadcast: (event, data) => calls.broadcasts.push({ event, data }),
+        store: {
+            someoneWaiting: () => waiting,
+            consumeCredit: donationId => calls.consumed.push(donationId),
+            finishTurn: donationId => calls.finished.push(donationId),
+        },
+        config: () => CONFIG,
+    });
+
+    const transitions = [];
+    turn.events.on('transition', t => transitions.push(t));
+
+    return { clock, turn, calls, transitions };
+}
+
+// How the last credit ended: 'grab_settling' = by the grab, 'credit_running' = time ran out
+function creditEndedFrom(transitions) {
+    return transitions.filter(t => t.type === 'credit-ended' || t.type === 'turn-ended').at(-1)?.from;
+}
+
+test('first move just before the deadline starts the credit and drops the first-move timer', () => {
+    const { clock, turn, calls, transitions } = setup({ waiting: true });
+    turn.start({ donationId: 1, name: 'Ann', creditsRemaining: 1 });
+
+    clock.advance(14999);
+    assert.deepEqual(turn.move(), { ok: true });
+    assert.equal(turn.getSnapshot().state, 'credit_running');
+
+    // The first-move deadline passes while the credit runs: nothing happens
+    clock.advance(1);
+    assert.equal(turn.getSnapshot().state, 'credit_running');
+    assert.deepEqual(calls.finished, []);
+
+    clock.advance(29998);
+    assert.deepEqual(calls.consumed, []);
+    clock.advance(1);
+    assert.deepEqual(calls.consumed, [1]);
+    assert.equal(creditEndedFrom(transitions), 'credit_running');
+    assert.equal(turn.getSnapshot().state, 'ended');
+});
+
+test('first-move timeout ends the turn when someone is waiting, and a late press is refused', () => {
+    const { clock, turn, calls, transitions } = setup({ waiting: true });
+    turn.start({ donationId: 1, name: 'Ann', creditsRemaining: 3 });
+
+    clock.advance(15000);
+    assert.equal(turn.getSnapshot().state, 'ended');
+    assert.equal(transitions.at(-1).reason, 'no_first_move');
+    assert.deepEqual(calls.consumed, []);
+    assert.deepEqual(calls.finished, [1]);
+    assert.ok(calls.broadcasts.some(b => b.event === 'player-timeout'));
+
+    assert.deepEqual(turn.move(), { ok: false, error: 'no_active' });
+});
+
+test('first-move timeout with nobody waiting keeps the turn and moves the deadline', () => {
+    const { clock, turn, calls } = setup({ waiting: false });
+    turn.start({ donationId: 1, name: 'Ann', creditsRemaining: 1 });
+
+    clock.advance(15000);
+    assert.equal(turn.getSnapshot().state, 'awaiting_first_move');
+    assert.equal(turn.getSnapshot().firstMoveDeadline, clock.now() + 15000);
+    assert.deepEqual(calls.finished, []);
+
+    assert.deepEqual(turn.move(), { ok: true });
+    assert.equal(turn.getSnapshot().state, 'credit_running');
+});
+
+test('credit time running out during grab settling consumes the credit once, as a grab', () => {
+    const { clock, turn, calls, transitions } = setup();
+    turn.start({ donationId: 1, name: 'Ann', creditsRemaining: 2 });
+    turn.move();
+
+    clock.advance(29000);
+    assert.deepEqual(turn.grab(), { ok: true });
+    assert.equal(turn.getSnapshot().state, 'grab_settling');
+    assert.equal(turn.getSnapshot().creditEndsAt, clock.now() + 7000);
+
+    // Past the original credit end: the settling timer owns the credit now
+    clock.advance(1000);
+    assert.equal(turn.getSnapshot().state, 'grab_settling');
+    assert.deepEqual(calls.consumed, []);
+
+    clock.advance(6000);
+    assert.deepEqual(calls.consumed, [1]);
+    assert.equal(creditEndedFrom(transitions), 'grab_settling');
+    assert.equal(turn.getSnapshot().state, 'awaiting_first_move');
+    assert.equal(turn.getSnapshot().creditsRemaining, 1);
+
+    assert.deepEqual(turn.grab(), { ok: true });
+    assert.deepEqual(turn.grab(), { ok: false, error: 'grab_already_used' });
+});
+
+test('a grab after the last credit expired is refused', () => {
+    const { clock, turn, calls } = setup();
+    turn.start({ donationId: 1, name: 'Ann', creditsRemaining: 1 });
+    turn.move();
+
+    clock.advance(30000);
+    assert.deepEqual(turn.grab(), { ok: false, error: 'no_active' });
+    assert.deepEqual(calls.consumed, [1]);
+});
+
+test('pause freezes the credit time and unpause gives back exactly what was left', () => {
+    const { clock, turn, calls } = setup();
+    turn.start({ donationId: 1, name: 'Ann', creditsRemaining: 1 });
+    turn.move();
+    const creditEndsAt = turn.getSnapshot().creditEndsAt;
+
+    clock.advance(10000);
+    assert.equal(turn.pause(), true);
+    assert.equal(calls.released, 1);
+    assert.equal(turn.getSnapshot().paused, true);
+    assert.deepEqual(turn.move(), { ok: false, error: 'machine_paused' });
+    assert.deepEqual(turn.grab(), { ok: false, error: 'machine_paused' });
+
+    clock.advance(60000);
+    assert.equal(turn.getSnapshot().state, 'credit_running');
+    assert.deepEqual(calls.consumed, []);
+
+    assert.equal(turn.unpause(), true);
+    assert.equal(turn.getSnapshot().creditEndsAt, creditEndsAt + 60000);
+    assert.equal(calls.broadcasts.at(-1).event, 'credit-start');
+
+    clock.advance(19999);
+    assert.deepEqual(calls.consumed, []);
+    clock.advance(1);
+    assert.deepEqual(calls.consumed, [1]);
+});
+
+test('pause freezes the first-move window and grab settling too', () => {
+    const { clock, turn, calls, transitions } = setup({ waiting: true });
+    turn.start({ donationId: 1, name: 'Ann', creditsRemaining: 2 });
+
+    clock.advance(5000);
+    turn.pause();
+    clock.advance(30000);
+    turn.unpause();
+    assert.equal(turn.getSnapshot().state, 'awaiting_first_move');
+    assert.equal(turn.getSnapshot().firstMoveDeadline, clock.now() + 10000);
+
+    turn.move();
+    turn.grab();
+    clock.advance(2000);
+    turn.pause();
+    clock.advance(30000);
+    turn.unpause();
+    assert.equal(turn.getSnapshot().state, 'grab_settling');
+
+    clock.advance(4999);
+    assert.deepEqual(calls.consumed, []);
+    clock.advance(1);
+    assert.deepEqual(calls.consumed, [1]);
+    assert.equal(creditEndedFrom(transitions), 'grab_settling');
+});
+
+test('a turn ended while paused does not fire its frozen timer on unpause', () => {
+    const { clock, turn, calls } = setup();
+    turn.start({ donationId: 1, name: 'Ann', creditsRemaining: 1 });
+    turn.move();
+
+    turn.pause();
+    assert.equal(turn.forceEnd('admin_stop', { settle: 'return' }), true);
+    turn.unpause();
+
+    clock.advance(60000);
+    assert.deepEqual(calls.consumed, []);
+    assert.deepEqual(calls.finished, [1]);
+    assert.equal(turn.getSnapshot().state, 'ended');
+});
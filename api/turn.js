@@ -0,0 +1,375 @@
+const { EventEmitter } = require('events');
+
+// Transition type -> states it may fire from
+const TRANSITIONS = {
+    'turn-started': ['idle', 'ended'],
+    'turn-resumed': ['idle', 'ended'],
+    'claw-homed': ['between_credits'],
+    'credit-started': ['awaiting_first_move'],
+    'grabbed': ['awaiting_first_move', 'credit_running'],
+    'credit-ended': ['credit_running', 'grab_settling'],
+    'turn-ended': ['awaiting_first_move', 'credit_running', 'grab_settling', 'between_credits'],
+};
+
+// What forceEnd does with a credit that is in play (timer running or grab settling)
+// - auto:    spent only when the grab already fired, otherwise the player keeps it
+// - consume: always spent
+// - return:  never spent
+const SETTLE_POLICIES = ['auto', 'consume', 'return'];
+
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: id => clearTimeout(id),
+};
+
+/**
+ * Turn lifecycle of the active player:
+ *
+ *   idle ──turn-started──▶ awaiting_first_move ──credit-started──▶ credit_running ──grabbed──▶ grab_settling
+ *            └───────────▶ between_credits ──claw-homed──▶ awaiting_first_move
+ *   credit_running | grab_settling ──credit-ended──▶ between_credits | awaiting_first_move (next credit)
+ *   any turn state ──turn-ended──▶ ended (credits_used | no_first_move | machine_fault | admin_*)
+ *
+ * - between_credits: the credit waits for the claw to be parked (limit switches).
+ * - pause()/unpause() freeze the turn in whatever state it is in (machine mode, see mode.js):
+ *   the state's timer stops and its deadlines move on by the time spent paused.
+ * - Every transition emits exactly one "transition" { type, from, to, at, donationId, ... }.
+ *   Changes that are not transitions (first-move window extended, home overdue) emit "update".
+ * - Each state owns at most one timer, cleared on the way out: a stale timeout can't end
+ *   the wrong credit, and each credit is consumed exactly once.
+ *
+ * Ports (injected so the lifecycle can run on a fake clock, see test/turn.test.js):
+ * - clock:     { now(), setTimeout(fn, ms), clearTimeout(id) }
+ * - gpio:      { pulse(name, ms), releaseAll(), isHome() }  isHome() = null when homing is not fitted
+ * - broadcast: (event, data) realtime message to players and the admin
+ * - store:     { someoneWaiting(exceptDonationId), consumeCredit(donationId, cause), finishTurn(donationId, { preempted }) }
+ *              cause = 'grab' (ended by the grab) | 'timeout' (credit time ran out) | 'admin' (forceEnd)
+ *              preempted = the player goes back to the queue instead of being done
+ * - config:    () => machine profile (game, pulses, homing)
+ */
+function createTurnMachine({ clock = systemClock, gpio, broadcast, store, config }) {
+    const events = new EventEmitter();
+    let state = 'idle';
+    let turn = null; // { donationId, creditsRemaining, creditEndsAt, firstMoveDeadline, homeOverdue }
+    let timer = null; // { id, fn, dueAt }
+    let paused = null; // { at, fn, leftMs } fn = the state's timer, frozen
+
+    function can(type) {
+        return TRANSITIONS[type].includes(state);
+    }
+
+    function arm(fn, ms) {
+        const id = clock.setTimeout(() => {
+            timer = null;
+            fn();
+        }, ms);
+        timer = { id, fn, dueAt: clock.now() + ms };
+    }
+
+    function disarm() {
+        if (timer) clock.clearTimeout(timer.id);
+        timer = null;
+    }
+
+    // Leave the current state (dropping its timer) and emit the one event describing it
+    function transition(type, to, details = {}) {
+        const from = state;
+
+        disarm();
+        if (paused) paused.fn = null;
+        state = to;
+
+        events.emit('transition', {
+            type,
+            from,
+            to,
+            at: clock.now(),
+            donationId: turn?.donationId ?? null,
+            ...details,
+        });
+    }
+
+    function getSnapshot() {
+        return {
+            state,
+            donationId: turn?.donationId ?? null,
+            creditsRemaining: turn?.creditsRemaining ?? 0,
+            creditEndsAt: turn?.creditEndsAt ?? null,
+            firstMoveDeadline: turn?.firstMoveDeadline ?? null,
+            awaitingHome: state === 'between_credits',
+            homeOverdue: !!turn?.homeOverdue,
+            paused: !!paused,
+        };
+    }
+
+    function isActive(donationId) {
+        return !!turn && turn.donationId === donationId;
+    }
+
+    function creditStartPayload() {
+        return {
+            donationId: turn.donationId,
+            creditEndsAt: turn.creditEndsAt,
+            creditsRemaining: turn.creditsRemaining,
+        };
+    }
+
+    /**
+     * Homing gate before every credit:
+     * - With limit switches fitted, a credit only becomes playable once the claw is parked.
+     * - If it is still not home after homing.timeoutMs the admin gets a "machine-alert"
+     *   (we keep waiting: moving a claw that is stuck mid-table makes things worse).
+     * - After homing.faultMs the turn ends as a machine fault.
+     */
+    function enterCredit(type, details) {
+        turn.creditEndsAt = null;
+
+        if (gpio.isHome() === false) {
+            turn.firstMoveDeadline = null;
+            transition(type, 'between_credits', details);
+            arm(onHomeOverdue, config().homing.timeoutMs);
+            return;
+        }
+
+        turn.homeOverdue = false;
+        turn.firstMoveDeadline = clock.now() + config().game.firstMoveMs;
+        transition(type, 'awaiting_first_move', details);
+        arm(onFirstMoveTimeout, config().game.firstMoveMs);
+    }
+
+    function onHomeOverdue() {
+        if (state !== 'between_credits') return;
+
+        const { timeoutMs } = config().homing;
+        turn.homeOverdue = true;
+        console.warn(`Claw not home ${timeoutMs}ms after credit end (donation ${turn.donationId})`);
+
+        broadcast('machine-alert', {
+            type: 'not_home',
+            donationId: turn.donationId,
+            waitedMs: timeoutMs,
+        });
+        events.emit('update', getSnapshot());
+
+        arm(onHomeFault, config().homing.faultMs - timeoutMs);
+    }
+
+    // Still not home after homing.faultMs: the cabinet is broken, give up on this turn
+    function onHomeFault() {
+        if (state !== 'between_credits') return;
+
+        console.error(`Claw not home after ${config().homing.faultMs}ms, ending turn of donation ${turn.donationId}`);
+        end('machine_fault');
+    }
+
+    /**
+     * No move within game.firstMoveMs:
+     * - someone else is waiting => end the turn (requeueing caused "stuck queue" behaviour)
+     * - nobody waiting => keep the turn and re-check later
+     */
+    function onFirstMoveTimeout() {
+        if (state !== 'awaiting_first_move') return;
+
+        if (store.someoneWaiting(turn.donationId)) {
+            end('no_first_move');
+            return;
+        }
+
+        const { firstMoveMs } = config().game;
+        turn.firstMoveDeadline = clock.now() + firstMoveMs;
+        arm(onFirstMoveTimeout, firstMoveMs);
+        events.emit('update', getSnapshot());
+    }
+
+    function runCredit(type, ms, details) {
+        turn.creditEndsAt = clock.now() + ms;
+        transition(type, 'credit_running', details);
+        arm(endCredit, ms);
+
+        broadcast('credit-start', creditStartPayload());
+    }
+
+    // Credit over (timeout or grab settled): consume it, then the next credit or the end
+    function endCredit() {
+        if (!can('credit-ended')) return;
+
+        store.consumeCredit(turn.donationId, state === 'grab_settling' ? 'grab' : 'timeout');
+        turn.creditsRemaining -= 1;
+
+        if (turn.creditsRemaining > 0) {
+            enterCredit('credit-ended');
+        } else {
+            end('credits_used');
+        }
+    }
+
+    /**
+     * Start a turn for the next donation in the queue.
+     * Returns false when a turn is already running.
+     */
+    function start({ donationId, name, creditsRemaining }) {
+        if (!can('turn-started') || creditsRemaining <= 0) return false;
+
+        turn = { donationId, creditsRemaining, creditEndsAt: null, firstMoveDeadline: null, homeOverdue: false };
+        enterCredit('turn-started');
+
+        broadcast('player-start', {
+            donationId,
+            name,
+            creditsRemaining,
+            firstMoveDeadline: turn?.firstMoveDeadline ?? null,
+        });
+        return true;
+    }
+
+    /**
+     * Pick a turn up again after a restart:
+     * - creditLeftMs: the credit was running, continue it for that long
+     * - grabUsed:     the grab fired before the restart, the credit is spent
+     * - neither:      fresh credit behind the homing gate
+     */
+    function resume({ donationId, creditsRemaining, creditLeftMs = 0, grabUsed = false }) {
+        if (!can('turn-resumed') || creditsRemaining <= 0) return false;
+
+        turn = { donationId, creditsRemaining, creditEndsAt: null, firstMoveDeadline: null, homeOverdue: false };
+
+        if (grabUsed) {
+            turn.creditEndsAt = clock.now();
+            transition('turn-resumed', 'grab_settling');
+            endCredit();
+        } else if (creditLeftMs > 0) {
+            runCredit('turn-resumed', creditLeftMs);
+        } else {
+            enterCredit('turn-resumed');
+        }
+        return true;
+    }
+
+    /**
+     * Player pressed a direction: the first move starts the credit timer.
+     */
+    function move() {
+        if (!turn) return { ok: false, error: 'no_active' };
+        if (paused) return { ok: false, error: 'machine_paused' };
+        if (state === 'between_credits') return { ok: false, error: 'machine_homing' };
+
+        if (state === 'awaiting_first_move') {
+            runCredit('credit-started', config().game.creditMs);
+        }
+        return { ok: true };
+    }
+
+    /**
+     * One grab per credit; after it the credit ends game.grabFinishMs later.
+     */
+    function grab() {
+        if (!turn) return { ok: false, error: 'no_active' };
+        if (paused) return { ok: false, error: 'machine_paused' };
+        if (state === 'between_credits') return { ok: false, error: 'machine_homing' };
+        if (!can('grabbed')) return { ok: false, error: 'grab_already_used' };
+
+        const { grabFinishMs } = config().game;
+        turn.creditEndsAt = clock.now() + grabFinishMs;
+
+        gpio.pulse('grab', config().pulses.grabMs);
+        transition('grabbed', 'grab_settling');
+        arm(endCredit, grabFinishMs);
+
+        broadcast('credit-start', creditStartPayload());
+        return { ok: true };
+    }
+
+    /**
+     * Limit switches changed: release a credit that was waiting for the claw to park.
+     */
+    function homingChanged() {
+        if (paused || state !== 'between_credits' || !gpio.isHome()) return;
+        enterCredit('claw-homed');
+    }
+
+    /**
+     * Freeze the turn: stop the state's timer (kept with the time it had left) and
+     * release every direction. Moves and grabs are refused until unpause().
+     */
+    function pause() {
+        if (paused) return false;
+
+        paused = { at: clock.now(), fn: timer?.fn ?? null, leftMs: timer ? Math.max(0, timer.dueAt - clock.now()) : 0 };
+        disarm();
+        gpio.releaseAll();
+
+        events.emit('update', getSnapshot());
+        return true;
+    }
+
+    /**
+     * Carry on where pause() stopped: deadlines move on by the paused time and the frozen
+     * timer runs for what it had left. A running credit is announced again ("credit-start").
+     */
+    function unpause() {
+        if (!paused) return false;
+
+        const { at, fn, leftMs } = paused;
+        paused = null;
+
+        if (turn) {
+            const pausedMs = clock.now() - at;
+            if (turn.creditEndsAt) turn.creditEndsAt += pausedMs;
+            if (turn.firstMoveDeadline) turn.firstMoveDeadline += pausedMs;
+        }
+        if (fn) arm(fn, leftMs);
+
+        events.emit('update', getSnapshot());
+        if (state === 'credit_running' || state === 'grab_settling') {
+            broadcast('credit-start', creditStartPayload());
+        }
+
+        // The claw may have been parked while paused
+        homingChanged();
+        return true;
+    }
+
+    /**
+     * End the turn (no-op when idle). The "turn-ended" listener starts the next player.
+     * - preempted: the player is paused, not done ("player-preempted" instead of "player-end")
+     */
+    function end(reason, { preempted = false } = {}) {
+        if (!can('turn-ended')) return false;
+
+        const { donationId } = turn;
+
+        gpio.releaseAll();
+        store.finishTurn(donationId, { preempted });
+
+        broadcast(preempted ? 'player-preempted' : 'player-end', { donationId, reason });
+        if (reason === 'no_first_move') {
+            broadcast('player-timeout', { donationId, reason });
+        }
+
+        turn = null;
+        transition('turn-ended', 'ended', { donationId, reason, preempted });
+        return true;
+    }
+
+    /**
+     * Admin stop (no-op when idle): settle the credit in play by `settle` (SETTLE_POLICIES),
+     * then end the turn. Timers are dropped by the transition, GPIO released by end().
+     */
+    function forceEnd(reason, { settle = 'auto', preempted = false } = {}) {
+        if (!can('turn-ended')) return false;
+
+        const grabbed = state === 'grab_settling';
+        const inPlay = grabbed || state === 'credit_running';
+        if (inPlay && (settle === 'consume' || (settle === 'auto' && grabbed))) {
+            store.consumeCredit(turn.donationId, grabbed ? 'grab' : 'admin');
+            turn.creditsRemaining -= 1;
+        }
+
+        return end(reason, { preempted });
+    }
+
+    return { events, start, resume, move, grab, homingChanged, pause, unpause, end, forceEnd, isActive, getSnapshot };
+}
+
+module.exports = { createTurnMachine, TRANSITIONS, SETTLE_POLICIES };
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { createVoucher, getVoucherByCode, redeemVoucher } = require('./db');
+
+// No 0/O, 1/I/L: codes are read aloud and typed from paper
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Vouchers (free plays for volunteers, sponsors, open days):
+ * - Codes look like "K7QM-4XTP" and are matched case-insensitively.
+ * - A code gives `credits` per redemption, up to maxUses times, until expiresAt.
+ * - Redeeming queues a donation directly (no payment) that the player claims
+ *   through the normal /play?intent= flow.
+ */
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase().replace(/\s+/g, '');
+}
+
+function generateCode() {
+    const bytes = crypto.randomBytes(8);
+    const chars = Array.from(bytes, b => ALPHABET[b % ALPHABET.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+/**
+ * Admin: create `count` vouchers (random codes), or one with a chosen `code`.
+ * Returns { ok: true, vouchers } or { ok: false, error }.
+ */
+function createVouchers({ credits, maxUses = 1, expiresAt = null, note = null, code = null, count = 1 }) {
+    if (!Number.isInteger(credits) || credits < 1 || credits > 100) return { ok: false, error: 'invalid_credits' };
+    if (!Number.isInteger(maxUses) || maxUses < 1) return { ok: false, error: 'invalid_max_uses' };
+    if (!Number.isInteger(count) || count < 1 || count > 200) return { ok: false, error: 'invalid_count' };
+    if (expiresAt && Number.isNaN(Date.parse(expiresAt))) return { ok: false, error: 'invalid_expiry' };
+    if (code && count !== 1) return { ok: false, error: 'code_needs_count_1' };
+
+    const wanted = code ? normalizeCode(code) : null;
+    if (wanted !== null && !/^[A-Z0-9-]{4,32}$/.test(wanted)) return { ok: false, error: 'invalid_code' };
+    if (wanted && getVoucherByCode(wanted)) return { ok: false, error: 'code_taken' };
+
+    const expiry = expiresAt ? new Date(expiresAt).toISOString() : null;
+    const vouchers = [];
+    for (let i = 0; i < count; i++) {
+        let next = wanted || generateCode();
+        while (getVoucherByCode(next)) next = generateCode();
+
+        vouchers.push(createVoucher({ code: next, credits, maxUses, expiresAt: expiry, note }));
+    }
+
+    return { ok: true, vouchers };
+}
+
+/**
+ * Player: redeem a code into a queued free donation.
+ * Returns { ok: true, intentId } or { ok: false, error }.
+ */
+function redeem({ code, name, email }) {
+    return redeemVoucher({ code: normalizeCode(code), name, email });
+}
+
+module.exports = { createVouchers, redeem, normalizeCode };
@@ -10,11 +10,148 @@ const WS_HOST = process.env.NEXT_PUBLIC_SOKETI_WS_HOST;
 const WS_PORT = Number(process.env.NEXT_PUBLIC_SOKETI_WS_PORT || 443);
 const FORCE_TLS = process.env.NEXT_PUBLIC_SOKETI_FORCE_TLS === 'true';
 
-// Admin token is never hardcoded.
-// It is entered manually and stored locally for convenience.
-const ADMIN_TOKEN_STORAGE_KEY = 'sweet_admin_token';
+// Session token from POST /api/admin/login, kept locally so a reload stays signed in.
+// It expires on the backend; a 401 sends you back to the login form.
+const ADMIN_SESSION_STORAGE_KEY = 'sweet_admin_session';
+
+const ROLE_LABELS = {
+    operator: 'Operator',
+    owner: 'Owner',
+};
+
+const ACCOUNT_ERRORS = {
+    invalid_username: 'Usernames are 2-32 letters, digits, ".", "_" or "-".',
+    weak_password: 'That password is too short (at least 10 characters).',
+    username_taken: 'That username is already taken.',
+    last_owner: 'There must always be at least one enabled owner.',
+    invalid_credentials: 'Your current password is wrong.',
+};
+
+const STATUS_OPTIONS = ['created', 'waiting', 'active', 'done', 'failed', 'canceled', 'expired'];
+
+// Machine modes (api/mode.js): only "open" starts turns and accepts controls
+const MACHINE_MODES = {
+    open: { label: 'Open', className: 'bg-emerald-600 hover:bg-emerald-500' },
+    paused: { label: 'Pause', className: 'bg-amber-500 hover:bg-amber-400 text-black' },
+    maintenance: { label: 'Maintenance', className: 'bg-sky-600 hover:bg-sky-500' },
+    closed: { label: 'Close', className: 'bg-slate-600 hover:bg-slate-500' },
+};
+
+const LEDGER_KIND_LABELS = {
+    purchase: 'Purchase',
+    voucher: 'Voucher',
+    admin_grant: 'Admin grant',
+    admin_revoke: 'Admin revoke',
+    admin_used: 'Admin correction (used)',
+    refund: 'Refund',
+    refund_reversed: 'Refund failed (credits back)',
+    consumed_timeout: 'Played (time ran out)',
+    consumed_grab: 'Played (grab)',
+    consumed_admin: 'Played (ended by admin)',
+    migrated_purchase: 'Opening balance (paid)',
+    migrated: 'Opening balance',
+    migrated_used: 'Opening balance (used)',
+};
+
+// Opening hours times are shown in the machine's time zone (schedule.timeZone)
+function formatHoursTime(iso, timeZone) {
+    return new Date(iso).toLocaleString('en-GB', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Credit history of one donation: ledger entries with the running balance.
+ */
+function CreditHistoryModal({ open, title, entries, onClose }) {
+    if (!open) return null;
+
+    const rows = entries.reduce((acc, e) => {
+        const prev = acc[acc.length - 1] || { total: 0, used: 0 };
+        const total = prev.total + (e.balance === 'used' ? 0 : e.credits);
+        const used = prev.used + (e.balance === 'used' ? e.credits : 0);
+        return [...acc, { ...e, total, used, remaining: total - used }];
+    }, []);
+    const { total = 0, used = 0 } = rows[rows.length - 1] || {};
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+            <div className="w-full max-w-2xl rounded-2xl bg-slate-900 border border-slate-700 shadow-xl p-5">
+                <h3 className="text-lg font-bold text-slate-100 mb-3">{title}</h3>
+
+                <div className="max-h-[60vh] overflow-y-auto divide-y divide-slate-800 text-xs">
+                    {rows.map(e => (
+                        <div key={e.id} className="py-2 grid grid-cols-[9rem_1fr_4rem_5rem] gap-2 items-start">
+                            <span className="text-slate-400">{new Date(e.created_at).toLocaleString()}</span>
+                            <span>
+                                <b>{LEDGER_KIND_LABELS[e.kind] || e.kind}</b>
+                                <span className="text-slate-400"> by {e.actor}</span>
+                                {e.reason && <div className="text-slate-400">{e.reason}</div>}
+                            </span>
+                            <span className={`text-right font-mono ${e.balance === 'used' ? 'text-amber-300' : 'text-emerald-300'}`}>
+                                {e.balance === 'used' ? 'used ' : ''}{e.credits > 0 ? '+' : ''}{e.credits}
+                            </span>
+                            <span className="text-right text-slate-300">left {e.remaining}</span>
+                        </div>
+                    ))}
+                    {rows.length === 0 && (
+                        <div className="py-4 text-center text-slate-400">No credit changes yet.</div>
+                    )}
+                </div>
+
+                <div className="flex items-center justify-between mt-4">
+                    <span className="text-xs text-slate-400">total {total} / used {used} / remaining {total - used}</span>
+                    <button
+                        className="px-4 py-2 rounded-xl bg-slate-700 text-slate-100 hover:bg-slate-600"
+                        onClick={onClose}
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+const AUDIT_PAGE_SIZE = 50;
+
+const AUDIT_TARGET_TYPES = ['donation', 'voucher', 'campaign', 'machine', 'gpio', 'queue', 'user'];
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined) return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * What an audit entry changed: "field: before → after" for every field that differs.
+ * Lists (e.g. the rows removed by Delete All) are summarised by their length.
+ */
+function AuditChanges({ before, after }) {
+    if (Array.isArray(before)) {
+        return <span className="text-slate-300">{before.length} row(s) before, {formatAuditValue(after)}</span>;
+    }
+
+    const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+    if (!isObject(before) && !isObject(after)) {
+        return before === null && after === null ? null : (
+            <span className="text-slate-300">{formatAuditValue(before)} → {formatAuditValue(after)}</span>
+        );
+    }
 
-const STATUS_OPTIONS = ['created', 'waiting', 'active', 'done'];
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+        .filter(key => formatAuditValue(before?.[key]) !== formatAuditValue(after?.[key]));
+
+    return (
+        <div className="space-y-0.5">
+            {keys.map(key => (
+                <div key={key} className="font-mono break-all">
+                    <span className="text-slate-400">{key}: </span>
+                    {before && <span className="text-red-300">{formatAuditValue(before[key])}</span>}
+                    {before && after && <span className="text-slate-500"> → </span>}
+                    {after && <span className="text-emerald-300">{formatAuditValue(after[key])}</span>}
+                </div>
+            ))}
+        </div>
+    );
+}
 
 function ConfirmModal({
     open,
@@ -53,11 +190,34 @@ function ConfirmModal({
 }
 
 export default function AdminPage() {
-    const [adminToken, setAdminToken] = useState('');
+    const [sessionToken, setSessionToken] = useState('');
+    const [adminUser, setAdminUser] = useState(null);
+    const [loginForm, setLoginForm] = useState({ username: '', password: '' });
     const [isAuthed, setIsAuthed] = useState(false);
 
     const [donations, setDonations] = useState([]);
     const [activeDonationId, setActiveDonationId] = useState(null);
+    const [violations, setViolations] = useState([]);
+    const [refunds, setRefunds] = useState([]);
+    const [vouchers, setVouchers] = useState([]);
+    const [voucherForm, setVoucherForm] = useState({ credits: 1, maxUses: 1, count: 1, expiresAt: '', note: '', code: '' });
+    const [campaigns, setCampaigns] = useState([]);
+    const [creditHistory, setCreditHistory] = useState({ open: false, title: '', entries: [] });
+    const [campaignForm, setCampaignForm] = useState({ name: '', goalEur: '', startsAt: '', endsAt: '', description: '' });
+    const [homeOverdue, setHomeOverdue] = useState(false);
+    const [machineMode, setMachineMode] = useState(null);
+    const [hours, setHours] = useState(null);
+    const [modeForm, setModeForm] = useState({ message: '', acceptDonations: 'default' });
+    const [dragId, setDragId] = useState(null);
+    const [tab, setTab] = useState('dashboard');
+    const [audit, setAudit] = useState({ entries: [], total: 0, offset: 0 });
+    const [auditFilters, setAuditFilters] = useState({ action: '', targetType: '', targetId: '', from: '', to: '', failedLogins: false });
+    const [users, setUsers] = useState([]);
+    const [userForm, setUserForm] = useState({ username: '', password: '', role: 'operator' });
+    const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '' });
+
+    const [profileText, setProfileText] = useState('');
+    const [profileErrors, setProfileErrors] = useState([]);
 
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
@@ -83,29 +243,27 @@ export default function AdminPage() {
     function authHeaders(tokenOverride) {
         return {
             'Content-Type': 'application/json',
-            'x-admin-token': tokenOverride ?? adminToken,
+            Authorization: `Bearer ${tokenOverride ?? sessionToken}`,
         };
     }
 
     /**
-     * Verify token against backend before entering admin mode.
-     * If invalid, clear local storage and stay on login screen.
+     * Account behind a saved session token, or null when it expired / was signed out.
      */
-    async function verifyToken(tokenToCheck) {
-        if (!tokenToCheck) return false;
+    async function loadSessionUser(tokenToCheck) {
+        if (!tokenToCheck) return null;
 
         try {
-            const res = await fetch(`${API_BASE_URL}/api/admin/donations?t=${Date.now()}`, {
+            const res = await fetch(`${API_BASE_URL}/api/admin/me`, {
                 headers: authHeaders(tokenToCheck),
                 cache: 'no-store',
             });
+            if (!res.ok) return null;
 
-            if (!res.ok) return false;
-
-            // Token is valid
-            return true;
+            const data = await res.json();
+            return data.user || null;
         } catch {
-            return false;
+            return null;
         }
     }
 
@@ -113,7 +271,7 @@ export default function AdminPage() {
      * Load admin-controlled state ONLY when authenticated.
      */
     async function fetchAdminState({ silent = false } = {}) {
-        if (!isAuthed || !adminToken) return;
+        if (!isAuthed || !sessionToken) return;
         if (!silent) setLoading(true);
         setError(null);
 
@@ -124,10 +282,10 @@ export default function AdminPage() {
             });
 
             if (!res.ok) {
-                // If auth expired/invalid, force logout and show login form
-                if (res.status === 403) {
+                // If the session expired, force logout and show login form
+                if (res.status === 401) {
                     logout();
-                    setError('Invalid admin token.');
+                    showNotice('error', 'Session expired, please sign in again.');
                     return;
                 }
                 setError('Failed to load admin data.');
@@ -137,6 +295,42 @@ export default function AdminPage() {
             const data = await res.json();
             setDonations(data.donations || []);
             setActiveDonationId(data.activeDonationId || null);
+            setHomeOverdue(!!data.homeOverdue);
+            setMachineMode(data.machineMode || null);
+            setHours(data.hours || null);
+
+            const safetyRes = await fetch(`${API_BASE_URL}/api/admin/safety?t=${Date.now()}`, {
+                headers: authHeaders(),
+                cache: 'no-store',
+            });
+            if (safetyRes.ok) {
+                const safetyData = await safetyRes.json();
+                setViolations(safetyData.violations || []);
+            }
+
+            const refundsRes = await fetch(`${API_BASE_URL}/api/admin/refunds?t=${Date.now()}`, {
+                headers: authHeaders(),
+                cache: 'no-store',
+            });
+            if (refundsRes.ok) {
+                const refundsData = await refundsRes.json();
+                setRefunds(refundsData.refunds || []);
+            }
+
+            const vouchersRes = await fetch(`${API_BASE_URL}/api/admin/vouchers?t=${Date.now()}`, {
+                headers: authHeaders(),
+                cache: 'no-store',
+            });
+            if (vouchersRes.ok) {
+                const vouchersData = await vouchersRes.json();
+                setVouchers(vouchersData.vouchers || []);
+            }
+
+            const campaignsRes = await fetch(`${API_BASE_URL}/api/campaigns?t=${Date.now()}`, { cache: 'no-store' });
+            if (campaignsRes.ok) {
+                const campaignsData = await campaignsRes.json();
+                setCampaigns(campaignsData.campaigns || []);
+            }
         } catch {
             setError('Network error while loading admin data.');
         } finally {
@@ -145,23 +339,20 @@ export default function AdminPage() {
     }
 
     /**
-     * On mount: load token from localStorage (if any) and validate it.
-     * We do NOT auto-auth until backend confirms it's valid.
+     * On mount: resume a saved session (if any) once the backend confirms it.
      */
     useEffect(() => {
-        const saved = localStorage.getItem(ADMIN_TOKEN_STORAGE_KEY);
+        const saved = localStorage.getItem(ADMIN_SESSION_STORAGE_KEY);
         if (!saved) return;
 
         (async () => {
-            setAdminToken(saved);
-            const ok = await verifyToken(saved);
-            if (ok) {
+            const user = await loadSessionUser(saved);
+            if (user) {
+                setSessionToken(saved);
+                setAdminUser(user);
                 setIsAuthed(true);
-                showNotice('ok', 'Admin token verified.');
             } else {
-                localStorage.removeItem(ADMIN_TOKEN_STORAGE_KEY);
-                setAdminToken('');
-                setIsAuthed(false);
+                localStorage.removeItem(ADMIN_SESSION_STORAGE_KEY);
             }
         })();
         // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -192,6 +383,24 @@ export default function AdminPage() {
         channelRef.current.bind('player-end', refresh);
         channelRef.current.bind('player-timeout', refresh);
         channelRef.current.bind('credit-start', refresh);
+        channelRef.current.bind('prize-won', refresh);
+        channelRef.current.bind('machine-mode', refresh);
+        channelRef.current.bind('machine-hours', refresh);
+        channelRef.current.bind('machine-alert', (alert) => {
+            if (alert.type === 'not_home') {
+                showNotice('error', 'Claw did not return home. Check the gantry.', 10000);
+            }
+            refresh();
+        });
+        channelRef.current.bind('refund-issued', (r) => {
+            const why = r.reason === 'closing_time' ? 'closing time' : 'machine fault';
+            showNotice('ok', `Refunded €${Number(r.amountEur).toFixed(2)} to #${r.donationId} (${why}).`, 8000);
+            refresh();
+        });
+        channelRef.current.bind('safety-violation', (v) => {
+            showNotice('error', `Safety: ${v.rule} (${v.direction || v.line || 'machine'})`);
+            refresh();
+        });
 
         return () => {
             channelRef.current?.unbind_all();
@@ -211,31 +420,120 @@ export default function AdminPage() {
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [isAuthed]);
 
-    async function saveToken() {
-        const tok = adminToken.trim();
-        if (!tok) {
-            showNotice('error', 'Please enter a token.');
+    /**
+     * Machine profile editor: loaded once on login (and on demand),
+     * never by the background refresh so edits are not overwritten.
+     */
+    async function loadMachineProfile() {
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/admin/machine?t=${Date.now()}`, {
+                headers: authHeaders(),
+                cache: 'no-store',
+            });
+            if (!res.ok) return;
+            const data = await res.json();
+            setProfileText(JSON.stringify(data.profile, null, 4));
+            setProfileErrors([]);
+        } catch {
+            showNotice('error', 'Failed to load machine profile.');
+        }
+    }
+
+    useEffect(() => {
+        if (!isAuthed) return;
+        loadMachineProfile();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [isAuthed]);
+
+    async function saveMachineProfile() {
+        let profile;
+        try {
+            profile = JSON.parse(profileText);
+        } catch (err) {
+            setProfileErrors([`Not valid JSON: ${err.message}`]);
             return;
         }
 
-        const ok = await verifyToken(tok);
-        if (!ok) {
-            showNotice('error', 'Invalid admin token.');
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/admin/machine`, {
+                method: 'POST',
+                headers: authHeaders(),
+                body: JSON.stringify({ profile }),
+            });
+            const data = await res.json().catch(() => ({}));
+
+            if (!res.ok) {
+                if (res.status === 401) logout();
+                setProfileErrors(data.errors || [data.error || 'Failed to save profile.']);
+                return;
+            }
+
+            setProfileText(JSON.stringify(data.profile, null, 4));
+            setProfileErrors([]);
+            showNotice('ok', 'Machine profile saved.');
+        } catch {
+            showNotice('error', 'Network error while saving profile.');
+        }
+    }
+
+    async function login(e) {
+        e?.preventDefault();
+        if (!loginForm.username.trim() || !loginForm.password) {
+            showNotice('error', 'Please enter your username and password.');
             return;
         }
 
-        localStorage.setItem(ADMIN_TOKEN_STORAGE_KEY, tok);
-        setAdminToken(tok);
-        setIsAuthed(true);
-        showNotice('ok', 'Admin token saved & verified.');
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/admin/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: loginForm.username.trim(), password: loginForm.password }),
+            });
+            const data = await res.json().catch(() => ({}));
+
+            if (!res.ok) {
+                if (res.status === 429) {
+                    showNotice('error', `Too many failed attempts. Try again after ${new Date(data.retryAt).toLocaleTimeString()}.`);
+                } else {
+                    showNotice('error', res.status === 401 ? 'Wrong username or password.' : 'Login failed.');
+                }
+                return;
+            }
+
+            localStorage.setItem(ADMIN_SESSION_STORAGE_KEY, data.token);
+            setSessionToken(data.token);
+            setAdminUser(data.user);
+            setLoginForm({ username: '', password: '' });
+            setIsAuthed(true);
+            showNotice('ok', `Signed in as ${data.user.username}.`);
+        } catch {
+            showNotice('error', 'Network error while signing in.');
+        }
     }
 
     function logout() {
-        localStorage.removeItem(ADMIN_TOKEN_STORAGE_KEY);
+        // End the session on the backend too (best effort; it also expires by itself)
+        if (sessionToken) {
+            fetch(`${API_BASE_URL}/api/admin/logout`, { method: 'POST', headers: authHeaders() }).catch(() => { });
+        }
+
+        localStorage.removeItem(ADMIN_SESSION_STORAGE_KEY);
         setIsAuthed(false);
-        setAdminToken('');
+        setSessionToken('');
+        setAdminUser(null);
+        setTab('dashboard');
         setDonations([]);
         setActiveDonationId(null);
+        setMachineMode(null);
+        setHours(null);
+        setViolations([]);
+        setRefunds([]);
+        setVouchers([]);
+        setCampaigns([]);
+        setAudit({ entries: [], total: 0, offset: 0 });
+        setUsers([]);
+        setProfileText('');
+        setProfileErrors([]);
     }
 
     async function adminPost(path, body) {
@@ -245,7 +543,7 @@ export default function AdminPage() {
             body: JSON.stringify(body || {}),
         });
         if (!res.ok) {
-            if (res.status === 403) logout();
+            if (res.status === 401) logout();
             throw new Error('admin_post_failed');
         }
         return res.json().catch(() => ({}));
@@ -257,8 +555,9 @@ export default function AdminPage() {
             headers: authHeaders(),
         });
         if (!res.ok) {
-            if (res.status === 403) logout();
-            throw new Error('admin_delete_failed');
+            if (res.status === 401) logout();
+            const data = await res.json().catch(() => ({}));
+            throw new Error(data.error || 'admin_delete_failed');
         }
         return res.json().catch(() => ({}));
     }
@@ -281,8 +580,10 @@ export default function AdminPage() {
             showNotice('error', 'Invalid number.');
             return;
         }
+        const reason = prompt('Reason (kept in the credit history):', '');
+        if (reason === null) return;
         try {
-            await adminPost('/api/admin/credits/set-total', { id, creditsTotal });
+            await adminPost('/api/admin/credits/set-total', { id, creditsTotal, reason });
             showNotice('ok', 'Total credits updated.');
             fetchAdminState({ silent: true });
         } catch {
@@ -298,8 +599,10 @@ export default function AdminPage() {
             showNotice('error', 'Invalid number.');
             return;
         }
+        const reason = prompt('Reason (kept in the credit history):', '');
+        if (reason === null) return;
         try {
-            await adminPost('/api/admin/credits/set-used', { id, creditsUsed });
+            await adminPost('/api/admin/credits/set-used', { id, creditsUsed, reason });
             showNotice('ok', 'Used credits updated.');
             fetchAdminState({ silent: true });
         } catch {
@@ -307,6 +610,141 @@ export default function AdminPage() {
         }
     }
 
+    async function openCreditHistory(id, name) {
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/admin/donations/${id}/credits`, {
+                headers: authHeaders(),
+                cache: 'no-store',
+            });
+            if (!res.ok) throw new Error('history_failed');
+            const data = await res.json();
+            setCreditHistory({ open: true, title: `Credits of #${id} - ${name}`, entries: data.entries || [] });
+        } catch {
+            showNotice('error', 'Failed to load credit history.');
+        }
+    }
+
+    /**
+     * Activity tab: one page of the audit log with the current filters (newest first).
+     */
+    async function loadAudit(offset = 0) {
+        const params = new URLSearchParams({ limit: String(AUDIT_PAGE_SIZE), offset: String(offset) });
+        for (const [key, value] of Object.entries(auditFilters)) {
+            if (!value) continue;
+            if (key === 'failedLogins') params.set(key, '1');
+            else params.set(key, key === 'from' || key === 'to' ? new Date(value).toISOString() : value);
+        }
+
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/admin/audit?${params}`, {
+                headers: authHeaders(),
+                cache: 'no-store',
+            });
+            if (!res.ok) {
+                if (res.status === 401) logout();
+                throw new Error('audit_failed');
+            }
+            const data = await res.json();
+            setAudit({ entries: data.entries || [], total: data.total || 0, offset: data.offset || 0 });
+        } catch {
+            showNotice('error', 'Failed to load activity.');
+        }
+    }
+
+    function openTab(next) {
+        setTab(next);
+        if (next === 'activity') loadAudit(0);
+        if (next === 'accounts' && adminUser?.role === 'owner') loadUsers();
+    }
+
+    /**
+     * Accounts tab: every admin can change their own password, owners manage all accounts.
+     */
+    async function loadUsers() {
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/admin/users`, {
+                headers: authHeaders(),
+                cache: 'no-store',
+            });
+            if (!res.ok) {
+                if (res.status === 401) logout();
+                throw new Error('users_failed');
+            }
+            const data = await res.json();
+            setUsers(data.users || []);
+        } catch {
+            showNotice('error', 'Failed to load accounts.');
+        }
+    }
+
+    async function accountPost(path, body, okText) {
+        try {
+            const res = await fetch(`${API_BASE_URL}${path}`, {
+                method: 'POST',
+                headers: authHeaders(),
+                body: JSON.stringify(body),
+            });
+            const data = await res.json().catch(() => ({}));
+
+            if (!res.ok) {
+                if (res.status === 401) logout();
+                showNotice('error', ACCOUNT_ERRORS[data.error] || `Failed: ${data.error || res.status}`);
+                return false;
+            }
+
+            showNotice('ok', okText);
+            return true;
+        } catch {
+            showNotice('error', 'Network error while saving the account.');
+            return false;
+        }
+    }
+
+    async function handleCreateUser(e) {
+        e.preventDefault();
+        const ok = await accountPost('/api/admin/users', userForm, `Account "${userForm.username}" created.`);
+        if (!ok) return;
+
+        setUserForm({ username: '', password: '', role: 'operator' });
+        loadUsers();
+    }
+
+    async function handleUpdateUser(user, changes, okText) {
+        if (await accountPost(`/api/admin/users/${user.id}`, changes, okText)) loadUsers();
+    }
+
+    function handleResetPassword(user) {
+        const password = prompt(`New password for ${user.username} (signs them out everywhere):`, '');
+        if (!password) return;
+        handleUpdateUser(user, { password }, `Password of ${user.username} reset.`);
+    }
+
+    async function handleChangeOwnPassword(e) {
+        e.preventDefault();
+        const ok = await accountPost('/api/admin/me/password', passwordForm, 'Password changed. Other sessions were signed out.');
+        if (ok) setPasswordForm({ currentPassword: '', newPassword: '' });
+    }
+
+    /**
+     * Queue order: `move` is { position } (1 = next to play) or { direction: 'up' | 'down' }.
+     */
+    async function handleMoveInQueue(id, move) {
+        try {
+            const data = await adminPost('/api/admin/queue/move', { id, ...move });
+            showNotice('ok', `Moved to position ${data.position} in the queue.`);
+            fetchAdminState({ silent: true });
+        } catch {
+            showNotice('error', 'Failed to move player.');
+        }
+    }
+
+    function handleQueueDrop(target, position) {
+        const id = dragId;
+        setDragId(null);
+        if (!id || id === target.id || target.status !== 'waiting') return;
+        handleMoveInQueue(id, { position });
+    }
+
     async function handleRequeue(id) {
         try {
             await adminPost('/api/admin/requeue', { id });
@@ -327,6 +765,23 @@ export default function AdminPage() {
         }
     }
 
+    /**
+     * Machine mode: the message and donations switch from the form go along with the new mode.
+     */
+    async function handleSetMode(mode) {
+        try {
+            await adminPost('/api/admin/mode', {
+                mode,
+                message: modeForm.message.trim() || null,
+                acceptDonations: modeForm.acceptDonations === 'default' ? null : modeForm.acceptDonations === 'yes',
+            });
+            showNotice('ok', `Machine set to ${mode}.`);
+            fetchAdminState({ silent: true });
+        } catch {
+            showNotice('error', 'Failed to change the machine mode.');
+        }
+    }
+
     async function handleForceStartNext() {
         try {
             await adminPost('/api/admin/player/start-next');
@@ -347,6 +802,17 @@ export default function AdminPage() {
         }
     }
 
+    // Machine to blame: the player's unused credits are refunded automatically
+    async function handleEndActiveFault() {
+        try {
+            await adminPost('/api/admin/player/end-active', { fault: true });
+            showNotice('ok', 'Ended active player as a machine fault. Unused credits are being refunded.');
+            fetchAdminState({ silent: true });
+        } catch {
+            showNotice('error', 'Failed to end active player.');
+        }
+    }
+
     function confirmDeleteOne(id, name) {
         setConfirmState({
             open: true,
@@ -358,13 +824,154 @@ export default function AdminPage() {
                     await adminDelete(`/api/admin/donations/${id}`);
                     showNotice('ok', 'Player deleted.');
                     fetchAdminState({ silent: true });
+                } catch (err) {
+                    showNotice('error', err.message === 'refundable_credits'
+                        ? 'This player still has unused paid credits: refund them first, then delete.'
+                        : 'Failed to delete player.');
+                }
+            },
+        });
+    }
+
+    /**
+     * Refund unused credits: show the quote first, refund on confirm.
+     */
+    async function confirmRefund(id, name) {
+        let quote;
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/admin/refunds/quote/${id}`, {
+                headers: authHeaders(),
+                cache: 'no-store',
+            });
+            if (!res.ok) throw new Error('quote_failed');
+            quote = await res.json();
+        } catch {
+            showNotice('error', 'Failed to load refund quote.');
+            return;
+        }
+
+        if (!quote.credits) {
+            showNotice('error', 'Nothing to refund for this player.');
+            return;
+        }
+
+        setConfirmState({
+            open: true,
+            title: 'Refund unused credits?',
+            text: `#${id} - ${name}\n\n${quote.credits} unused credit(s) => €${quote.amountEur.toFixed(2)} back to the original payment.`,
+            confirmText: 'Refund',
+            onConfirm: async () => {
+                setConfirmState(s => ({ ...s, open: false }));
+                try {
+                    await adminPost('/api/admin/refunds', { id });
+                    showNotice('ok', `Refunded €${quote.amountEur.toFixed(2)}.`);
+                    fetchAdminState({ silent: true });
                 } catch {
-                    showNotice('error', 'Failed to delete player.');
+                    showNotice('error', 'Refund failed.');
                 }
             },
         });
     }
 
+    /**
+     * Vouchers: create codes from the form; a custom code only works with count 1.
+     */
+    async function handleCreateVouchers(e) {
+        e.preventDefault();
+
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/admin/vouchers`, {
+                method: 'POST',
+                headers: authHeaders(),
+                body: JSON.stringify({
+                    credits: Number(voucherForm.credits),
+                    maxUses: Number(voucherForm.maxUses),
+                    count: Number(voucherForm.count),
+                    expiresAt: voucherForm.expiresAt ? new Date(voucherForm.expiresAt).toISOString() : null,
+                    note: voucherForm.note,
+                    code: voucherForm.code,
+                }),
+            });
+            const data = await res.json().catch(() => ({}));
+
+            if (!res.ok) {
+                if (res.status === 401) logout();
+                showNotice('error', `Could not create vouchers: ${data.error || res.status}`);
+                return;
+            }
+
+            showNotice('ok', `Created ${data.vouchers.length} voucher(s).`);
+            setVoucherForm(f => ({ ...f, code: '' }));
+            fetchAdminState({ silent: true });
+        } catch {
+            showNotice('error', 'Network error while creating vouchers.');
+        }
+    }
+
+    function confirmDisableVoucher(id, code) {
+        setConfirmState({
+            open: true,
+            title: 'Disable voucher?',
+            text: `${code}\n\nThe code can no longer be redeemed. Players already queued with it keep their credits.`,
+            confirmText: 'Disable',
+            onConfirm: async () => {
+                setConfirmState(s => ({ ...s, open: false }));
+                try {
+                    await adminDelete(`/api/admin/vouchers/${id}`);
+                    showNotice('ok', `Disabled ${code}.`);
+                    fetchAdminState({ silent: true });
+                } catch {
+                    showNotice('error', 'Disable failed.');
+                }
+            },
+        });
+    }
+
+    /**
+     * Campaigns: new ones start active (donations count towards them right away).
+     */
+    async function handleCreateCampaign(e) {
+        e.preventDefault();
+
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/admin/campaigns`, {
+                method: 'POST',
+                headers: authHeaders(),
+                body: JSON.stringify({
+                    name: campaignForm.name,
+                    goalEur: Number(campaignForm.goalEur),
+                    description: campaignForm.description,
+                    startsAt: campaignForm.startsAt ? new Date(campaignForm.startsAt).toISOString() : null,
+                    endsAt: campaignForm.endsAt ? new Date(campaignForm.endsAt).toISOString() : null,
+                    active: true,
+                }),
+            });
+            const data = await res.json().catch(() => ({}));
+
+            if (!res.ok) {
+                if (res.status === 401) logout();
+                showNotice('error', `Could not create campaign: ${data.error || res.status}`);
+                return;
+            }
+
+            showNotice('ok', `Campaign "${data.campaign.name}" is now active.`);
+            setCampaignForm({ name: '', goalEur: '', startsAt: '', endsAt: '', description: '' });
+            fetchAdminState({ silent: true });
+        } catch {
+            showNotice('error', 'Network error while creating campaign.');
+        }
+    }
+
+    async function handleSetCampaignActive(id, active) {
+        try {
+            await adminPost(`/api/admin/campaigns/${id}`, { active });
+            showNotice('ok', active ? 'Campaign activated.' : 'Campaign deactivated.');
+            fetchAdminState({ silent: true });
+        } catch {
+            showNotice('error', 'Failed to update campaign.');
+        }
+    }
+
     function confirmDeleteAll() {
         setConfirmState({
             open: true,
@@ -376,8 +983,10 @@ export default function AdminPage() {
                     await adminDelete('/api/admin/donations');
                     showNotice('ok', 'All donations deleted.');
                     fetchAdminState({ silent: true });
-                } catch {
-                    showNotice('error', 'Failed to delete all data.');
+                } catch (err) {
+                    showNotice('error', err.message === 'refundable_credits'
+                        ? 'Some players still have unused paid credits: refund them first, then delete all.'
+                        : 'Failed to delete all data.');
                 }
             },
         });
@@ -385,6 +994,16 @@ export default function AdminPage() {
 
     const visibleDonations = useMemo(() => donations || [], [donations]);
 
+    // Same order as the backend queue: active player first, then waiting by queue_position
+    const queue = useMemo(() => (donations || [])
+        .filter(d => d.status === 'active' || d.status === 'waiting')
+        .sort((a, b) => (b.status === 'active') - (a.status === 'active') || a.queue_position - b.queue_position || a.id - b.id),
+    [donations]);
+    const activeInQueue = queue.filter(d => d.status === 'active').length;
+
+    // Operators run the machine; deleting, refunds, pricing, vouchers, campaigns and accounts are for owners
+    const isOwner = adminUser?.role === 'owner';
+
     // ========= LOGIN SCREEN =========
     if (!isAuthed) {
         return (
@@ -392,26 +1011,35 @@ export default function AdminPage() {
                 <div className="w-full max-w-md bg-slate-800 rounded-2xl p-6 border border-slate-700">
                     <h1 className="text-xl font-extrabold mb-2">Admin Panel</h1>
                     <p className="text-sm text-slate-300 mb-4">
-                        Enter the admin token to access realtime controls.
+                        Sign in with your admin account to access realtime controls.
                     </p>
 
-                    <input
-                        type="password"
-                        className="w-full rounded-xl bg-slate-900 border border-slate-700 px-3 py-2 text-sm mb-3"
-                        placeholder="Admin token"
-                        value={adminToken}
-                        onChange={(e) => setAdminToken(e.target.value)}
-                        onKeyDown={(e) => {
-                            if (e.key === 'Enter') saveToken();
-                        }}
-                    />
-
-                    <button
-                        className="w-full rounded-xl px-4 py-2 bg-emerald-600 hover:bg-emerald-500 font-semibold"
-                        onClick={saveToken}
-                    >
-                        Enter Admin
-                    </button>
+                    <form onSubmit={login}>
+                        <input
+                            type="text"
+                            autoComplete="username"
+                            className="w-full rounded-xl bg-slate-900 border border-slate-700 px-3 py-2 text-sm mb-3"
+                            placeholder="Username"
+                            value={loginForm.username}
+                            onChange={(e) => setLoginForm(f => ({ ...f, username: e.target.value }))}
+                        />
+
+                        <input
+                            type="password"
+                            autoComplete="current-password"
+                            className="w-full rounded-xl bg-slate-900 border border-slate-700 px-3 py-2 text-sm mb-3"
+                            placeholder="Password"
+                            value={loginForm.password}
+                            onChange={(e) => setLoginForm(f => ({ ...f, password: e.target.value }))}
+                        />
+
+                        <button
+                            type="submit"
+                            className="w-full rounded-xl px-4 py-2 bg-emerald-600 hover:bg-emerald-500 font-semibold"
+                        >
+                            Sign in
+                        </button>
+                    </form>
 
                     {notice && (
                         <div className={`mt-3 text-sm ${notice.type === 'error' ? 'text-red-300' : 'text-emerald-300'}`}>
@@ -426,11 +1054,18 @@ export default function AdminPage() {
     // ========= ADMIN SCREEN =========
     return (
         <main className="min-h-screen bg-slate-900 text-slate-100 px-4 py-6">
+            <CreditHistoryModal
+                open={creditHistory.open}
+                title={creditHistory.title}
+                entries={creditHistory.entries}
+                onClose={() => setCreditHistory(s => ({ ...s, open: false }))}
+            />
+
             <ConfirmModal
                 open={confirmState.open}
                 title={confirmState.title}
                 text={confirmState.text}
-                confirmText="Delete"
+                confirmText={confirmState.confirmText || 'Delete'}
                 cancelText="Cancel"
                 onCancel={() => setConfirmState(s => ({ ...s, open: false }))}
                 onConfirm={confirmState.onConfirm}
@@ -448,11 +1083,17 @@ export default function AdminPage() {
                 </div>
             )}
 
+            {homeOverdue && (
+                <div className="max-w-6xl mx-auto mb-4 p-3 rounded-xl text-sm font-semibold border bg-amber-500/20 border-amber-400 text-amber-100">
+                    ⚠️ The claw has not returned home. The next credit is on hold until it is parked.
+                </div>
+            )}
+
             <header className="max-w-6xl mx-auto flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-6">
                 <div>
                     <h1 className="text-2xl font-extrabold">🛠️ Admin Control</h1>
                     <div className="text-xs text-slate-400 mt-1">
-                        Realtime queue + player management
+                        Realtime queue + player management · signed in as <b>{adminUser?.username}</b> ({ROLE_LABELS[adminUser?.role] || adminUser?.role})
                     </div>
                 </div>
 
@@ -476,11 +1117,20 @@ export default function AdminPage() {
                         End Active
                     </button>
                     <button
-                        className="px-3 py-2 rounded-xl bg-red-600 hover:bg-red-500 text-sm font-semibold"
-                        onClick={confirmDeleteAll}
+                        className="px-3 py-2 rounded-xl bg-orange-600 hover:bg-orange-500 text-sm font-semibold"
+                        onClick={handleEndActiveFault}
+                        title="End the turn because of a machine fault and refund the unused credits"
                     >
-                        Delete All
+                        End (Fault)
                     </button>
+                    {isOwner && (
+                        <button
+                            className="px-3 py-2 rounded-xl bg-red-600 hover:bg-red-500 text-sm font-semibold"
+                            onClick={confirmDeleteAll}
+                        >
+                            Delete All
+                        </button>
+                    )}
                     <button
                         className="px-3 py-2 rounded-xl bg-slate-800 border border-slate-700 text-sm"
                         onClick={logout}
@@ -490,52 +1140,337 @@ export default function AdminPage() {
                 </div>
             </header>
 
-            <section className="max-w-6xl mx-auto">
-                <div className="flex items-center justify-between mb-3">
-                    <h2 className="text-lg font-bold">Players / Donations</h2>
-                    <div className="text-xs text-slate-400">
-                        Total: {visibleDonations.length} | Active ID: {activeDonationId ?? '—'}
-                    </div>
-                </div>
+            <nav className="max-w-6xl mx-auto flex gap-2 mb-6 text-sm">
+                {[
+                    ['dashboard', 'Dashboard'],
+                    ['activity', 'Activity'],
+                    ['accounts', 'Accounts'],
+                ].map(([key, label]) => (
+                    <button
+                        key={key}
+                        className={`px-3 py-1.5 rounded-xl ${tab === key ? 'bg-slate-100 text-slate-900 font-semibold' : 'bg-slate-800 border border-slate-700 hover:bg-slate-700'}`}
+                        onClick={() => openTab(key)}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </nav>
+
+            {tab === 'dashboard' && (
+                <>
+                    <section className="max-w-6xl mx-auto mb-8">
+                        <div className="flex items-center justify-between mb-3">
+                            <h2 className="text-lg font-bold">Machine mode</h2>
+                            {machineMode?.since && (
+                                <div className="text-xs text-slate-400">
+                                    Since {new Date(machineMode.since).toLocaleString()}{machineMode.by ? ` by ${machineMode.by}` : ''}
+                                </div>
+                            )}
+                        </div>
 
-                {error && (
-                    <div className="mb-3 text-sm text-red-300">
-                        {error}
-                    </div>
-                )}
+                        <div className="bg-slate-800 rounded-2xl border border-slate-700 p-4 space-y-3">
+                            <div className="text-sm">
+                                Now: <b>{machineMode?.mode || '…'}</b>
+                                {machineMode && (
+                                    <span className="text-slate-400">
+                                        {' '}· donations {machineMode.acceptDonations ? 'accepted' : 'closed'}
+                                        {machineMode.message ? ` · "${machineMode.message}"` : ''}
+                                    </span>
+                                )}
+                            </div>
 
-                {loading && (
-                    <div className="mb-3 text-sm text-slate-300">
-                        Loading…
-                    </div>
-                )}
-
-                {/* Desktop table */}
-                <div className="hidden md:block overflow-x-auto bg-slate-800 rounded-2xl border border-slate-700">
-                    <table className="w-full text-sm">
-                        <thead className="bg-slate-900/60 text-slate-300">
-                            <tr>
-                                <th className="text-left p-3">ID</th>
-                                <th className="text-left p-3">Name</th>
-                                <th className="text-left p-3">Status</th>
-                                <th className="text-left p-3">Credits</th>
-                                <th className="text-left p-3">Payment</th>
-                                <th className="text-left p-3">Actions</th>
-                            </tr>
-                        </thead>
-                        <tbody>
+                            {hours?.enabled && (
+                                <div className={`text-sm ${hours.open ? 'text-slate-300' : 'text-amber-300'}`}>
+                                    Opening hours: {hours.open
+                                        ? `open until ${formatHoursTime(hours.closesAt, hours.timeZone)}`
+                                        : `closed${hours.nextOpenAt ? `, opens ${formatHoursTime(hours.nextOpenAt, hours.timeZone)}` : ''} (no new turns or donations)`}
+                                    <span className="text-xs text-slate-400"> · edit under schedule in the machine profile</span>
+                                </div>
+                            )}
+
+                            <div className="flex flex-wrap gap-2 text-sm">
+                                <input
+                                    className="flex-1 min-w-[16rem] px-3 py-2 rounded-xl bg-slate-900 border border-slate-700"
+                                    placeholder="Banner message (optional)"
+                                    maxLength={200}
+                                    value={modeForm.message}
+                                    onChange={e => setModeForm(f => ({ ...f, message: e.target.value }))}
+                                />
+                                <select
+                                    className="px-3 py-2 rounded-xl bg-slate-900 border border-slate-700"
+                                    value={modeForm.acceptDonations}
+                                    onChange={e => setModeForm(f => ({ ...f, acceptDonations: e.target.value }))}
+                                >
+                                    <option value="default">Donations: mode default</option>
+                                    <option value="yes">Donations: accept</option>
+                                    <option value="no">Donations: refuse</option>
+                                </select>
+                            </div>
+
+                            <div className="flex flex-wrap gap-2">
+                                {Object.entries(MACHINE_MODES).map(([mode, { label, className }]) => (
+                                    <button
+                                        key={mode}
+                                        className={`px-3 py-2 rounded-xl text-sm font-semibold ${className} ${machineMode?.mode === mode ? 'ring-2 ring-white' : ''}`}
+                                        onClick={() => handleSetMode(mode)}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                            <div className="text-xs text-slate-400">
+                                Pausing freezes the active player&apos;s credit time and blocks the controls; Open carries on where it stopped.
+                            </div>
+                        </div>
+                    </section>
+
+                    <section className="max-w-6xl mx-auto mb-8">
+                        <div className="flex items-center justify-between mb-3">
+                            <h2 className="text-lg font-bold">Queue</h2>
+                            <div className="text-xs text-slate-400">
+                                Drag waiting players to reorder; the active player stays first.
+                            </div>
+                        </div>
+
+                        <ol className="bg-slate-800 rounded-2xl border border-slate-700 divide-y divide-slate-700">
+                            {queue.map((d, idx) => {
+                                const waiting = d.status === 'waiting';
+                                const position = idx - activeInQueue + 1;
+
+                                return (
+                                    <li
+                                        key={d.id}
+                                        draggable={waiting}
+                                        onDragStart={() => setDragId(d.id)}
+                                        onDragEnd={() => setDragId(null)}
+                                        onDragOver={(e) => {
+                                            if (dragId && waiting) e.preventDefault();
+                                        }}
+                                        onDrop={() => handleQueueDrop(d, position)}
+                                        className={`p-3 text-sm flex items-center gap-3
+                                        ${waiting ? 'cursor-grab' : 'bg-emerald-700/10'}
+                                        ${dragId === d.id ? 'opacity-40' : ''}`}
+                                    >
+                                        <span className="w-8 text-slate-400">{waiting ? `#${position}` : '▶'}</span>
+                                        <span className="font-semibold">{d.name}</span>
+                                        <span className="text-xs text-slate-400">
+                                            ID {d.id} · {(d.credits_total || 0) - (d.credits_used || 0)} credit(s) left
+                                        </span>
+                                        {waiting ? (
+                                            <div className="ml-auto flex gap-1">
+                                                <button
+                                                    className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-40"
+                                                    disabled={position === 1}
+                                                    onClick={() => handleMoveInQueue(d.id, { position: 1 })}
+                                                >
+                                                    Next up
+                                                </button>
+                                                <button
+                                                    className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-40"
+                                                    disabled={position === 1}
+                                                    onClick={() => handleMoveInQueue(d.id, { direction: 'up' })}
+                                                >
+                                                    ↑
+                                                </button>
+                                                <button
+                                                    className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-40"
+                                                    disabled={idx === queue.length - 1}
+                                                    onClick={() => handleMoveInQueue(d.id, { direction: 'down' })}
+                                                >
+                                                    ↓
+                                                </button>
+                                            </div>
+                                        ) : (
+                                            <span className="ml-auto text-xs font-semibold text-emerald-300">playing</span>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                            {queue.length === 0 && (
+                                <li className="p-4 text-center text-sm text-slate-400">
+                                    Nobody in the queue.
+                                </li>
+                            )}
+                        </ol>
+                    </section>
+
+                    <section className="max-w-6xl mx-auto">
+                        <div className="flex items-center justify-between mb-3">
+                            <h2 className="text-lg font-bold">Players / Donations</h2>
+                            <div className="text-xs text-slate-400">
+                                Total: {visibleDonations.length} | Active ID: {activeDonationId ?? '—'}
+                            </div>
+                        </div>
+
+                        {error && (
+                            <div className="mb-3 text-sm text-red-300">
+                                {error}
+                            </div>
+                        )}
+
+                        {loading && (
+                            <div className="mb-3 text-sm text-slate-300">
+                                Loading…
+                            </div>
+                        )}
+
+                        {/* Desktop table */}
+                        <div className="hidden md:block overflow-x-auto bg-slate-800 rounded-2xl border border-slate-700">
+                            <table className="w-full text-sm">
+                                <thead className="bg-slate-900/60 text-slate-300">
+                                    <tr>
+                                        <th className="text-left p-3">ID</th>
+                                        <th className="text-left p-3">Name</th>
+                                        <th className="text-left p-3">Status</th>
+                                        <th className="text-left p-3">Credits</th>
+                                        <th className="text-left p-3">Payment</th>
+                                        <th className="text-left p-3">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {visibleDonations.map((d) => {
+                                        const remaining = (d.credits_total || 0) - (d.credits_used || 0);
+                                        const isActiveRow = d.id === activeDonationId || d.status === 'active';
+
+                                        return (
+                                            <tr key={d.id} className={`border-t border-slate-700 ${isActiveRow ? 'bg-emerald-700/10' : ''}`}>
+                                                <td className="p-3 font-semibold">{d.id}</td>
+                                                <td className="p-3">
+                                                    <div className="font-semibold">{d.name}</div>
+                                                    {d.email && <div className="text-xs text-slate-400">{d.email}</div>}
+                                                </td>
+                                                <td className="p-3">
+                                                    <select
+                                                        className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-1 text-xs"
+                                                        value={d.status}
+                                                        onChange={(e) => handleSetStatus(d.id, e.target.value)}
+                                                    >
+                                                        {STATUS_OPTIONS.map(s => (
+                                                            <option key={s} value={s}>{s}</option>
+                                                        ))}
+                                                    </select>
+                                                </td>
+                                                <td className="p-3">
+                                                    <div className="text-xs text-slate-300">
+                                                        total: <b>{d.credits_total}</b> / used: <b>{d.credits_used}</b> / remaining: <b>{remaining}</b>
+                                                    </div>
+                                                    {d.prizes_won > 0 && (
+                                                        <div className="text-xs text-emerald-300">prizes won: <b>{d.prizes_won}</b></div>
+                                                    )}
+                                                </td>
+                                                <td className="p-3 text-xs text-slate-300">
+                                                    req: {d.amount_requested_eur ?? '—'}€
+                                                    <br />
+                                                    paid: {d.amount_eur ?? '—'}€
+                                                    {d.voucher_code && (
+                                                        <>
+                                                            <br />
+                                                            <span className="text-sky-300">voucher: {d.voucher_code}</span>
+                                                        </>
+                                                    )}
+                                                    {d.refunded_eur > 0 && (
+                                                        <>
+                                                            <br />
+                                                            <span className="text-amber-300">refunded: {d.refunded_eur}€</span>
+                                                        </>
+                                                    )}
+                                                </td>
+                                                <td className="p-3">
+                                                    <div className="flex flex-wrap gap-1">
+                                                        <button
+                                                            className="px-2 py-1 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-xs font-semibold"
+                                                            onClick={() => handleAddCredits(d.id, 1)}
+                                                        >
+                                                            +1
+                                                        </button>
+                                                        <button
+                                                            className="px-2 py-1 rounded-lg bg-emerald-700 hover:bg-emerald-600 text-xs font-semibold"
+                                                            onClick={() => handleAddCredits(d.id, 5)}
+                                                        >
+                                                            +5
+                                                        </button>
+                                                        <button
+                                                            className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
+                                                            onClick={() => handleAddCredits(d.id, -1)}
+                                                        >
+                                                            -1
+                                                        </button>
+                                                        <button
+                                                            className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
+                                                            onClick={() => handleSetTotal(d.id)}
+                                                        >
+                                                            Set Total
+                                                        </button>
+                                                        <button
+                                                            className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
+                                                            onClick={() => handleSetUsed(d.id)}
+                                                        >
+                                                            Set Used
+                                                        </button>
+                                                        <button
+                                                            className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
+                                                            onClick={() => openCreditHistory(d.id, d.name)}
+                                                        >
+                                                            History
+                                                        </button>
+                                                        <button
+                                                            className="px-2 py-1 rounded-lg bg-amber-500 hover:bg-amber-400 text-black text-xs font-semibold"
+                                                            onClick={() => handleRequeue(d.id)}
+                                                        >
+                                                            Requeue
+                                                        </button>
+                                                        {isOwner && remaining > 0 && d.amount_eur > 0 && !isActiveRow && (
+                                                            <button
+                                                                className="px-2 py-1 rounded-lg bg-sky-600 hover:bg-sky-500 text-xs font-semibold"
+                                                                onClick={() => confirmRefund(d.id, d.name)}
+                                                            >
+                                                                Refund
+                                                            </button>
+                                                        )}
+                                                        {isOwner && (
+                                                            <button
+                                                                className="px-2 py-1 rounded-lg bg-red-600 hover:bg-red-500 text-xs font-semibold"
+                                                                onClick={() => confirmDeleteOne(d.id, d.name)}
+                                                            >
+                                                                Delete
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                    {visibleDonations.length === 0 && (
+                                        <tr>
+                                            <td colSpan={6} className="p-4 text-center text-slate-400">
+                                                No donations yet.
+                                            </td>
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {/* Mobile cards */}
+                        <div className="md:hidden space-y-3">
                             {visibleDonations.map((d) => {
                                 const remaining = (d.credits_total || 0) - (d.credits_used || 0);
                                 const isActiveRow = d.id === activeDonationId || d.status === 'active';
 
                                 return (
-                                    <tr key={d.id} className={`border-t border-slate-700 ${isActiveRow ? 'bg-emerald-700/10' : ''}`}>
-                                        <td className="p-3 font-semibold">{d.id}</td>
-                                        <td className="p-3">
-                                            <div className="font-semibold">{d.name}</div>
-                                            {d.email && <div className="text-xs text-slate-400">{d.email}</div>}
-                                        </td>
-                                        <td className="p-3">
+                                    <div
+                                        key={d.id}
+                                        className={`bg-slate-800 border border-slate-700 rounded-2xl p-4 ${isActiveRow ? 'ring-1 ring-emerald-500' : ''}`}
+                                    >
+                                        <div className="flex items-start justify-between">
+                                            <div>
+                                                <div className="text-sm font-bold">
+                                                    #{d.id} — {d.name}
+                                                </div>
+                                                {d.email && (
+                                                    <div className="text-xs text-slate-400 mt-0.5">{d.email}</div>
+                                                )}
+                                            </div>
                                             <select
                                                 className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-1 text-xs"
                                                 value={d.status}
@@ -545,170 +1480,578 @@ export default function AdminPage() {
                                                     <option key={s} value={s}>{s}</option>
                                                 ))}
                                             </select>
-                                        </td>
-                                        <td className="p-3">
-                                            <div className="text-xs text-slate-300">
-                                                total: <b>{d.credits_total}</b> / used: <b>{d.credits_used}</b> / remaining: <b>{remaining}</b>
-                                            </div>
-                                        </td>
-                                        <td className="p-3 text-xs text-slate-300">
-                                            req: {d.amount_requested_eur ?? '—'}€
-                                            <br />
-                                            paid: {d.amount_eur ?? '—'}€
-                                        </td>
-                                        <td className="p-3">
-                                            <div className="flex flex-wrap gap-1">
-                                                <button
-                                                    className="px-2 py-1 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-xs font-semibold"
-                                                    onClick={() => handleAddCredits(d.id, 1)}
-                                                >
-                                                    +1
-                                                </button>
-                                                <button
-                                                    className="px-2 py-1 rounded-lg bg-emerald-700 hover:bg-emerald-600 text-xs font-semibold"
-                                                    onClick={() => handleAddCredits(d.id, 5)}
-                                                >
-                                                    +5
-                                                </button>
-                                                <button
-                                                    className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
-                                                    onClick={() => handleAddCredits(d.id, -1)}
-                                                >
-                                                    -1
-                                                </button>
-                                                <button
-                                                    className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
-                                                    onClick={() => handleSetTotal(d.id)}
-                                                >
-                                                    Set Total
-                                                </button>
-                                                <button
-                                                    className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
-                                                    onClick={() => handleSetUsed(d.id)}
-                                                >
-                                                    Set Used
-                                                </button>
+                                        </div>
+
+                                        <div className="text-xs text-slate-300 mt-2">
+                                            Credits: total <b>{d.credits_total}</b> / used <b>{d.credits_used}</b> / remaining <b>{remaining}</b>
+                                            {d.prizes_won > 0 && <> / prizes won <b>{d.prizes_won}</b></>}
+                                        </div>
+                                        <div className="text-xs text-slate-300 mt-1">
+                                            Payment: req {d.amount_requested_eur ?? '—'}€ / paid {d.amount_eur ?? '—'}€
+                                            {d.refunded_eur > 0 && <> / refunded <span className="text-amber-300">{d.refunded_eur}€</span></>}
+                                            {d.voucher_code && <> / voucher <span className="text-sky-300">{d.voucher_code}</span></>}
+                                        </div>
+
+                                        <div className="flex flex-wrap gap-2 mt-3">
+                                            <button
+                                                className="px-3 py-1.5 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-xs font-semibold"
+                                                onClick={() => handleAddCredits(d.id, 1)}
+                                            >
+                                                +1
+                                            </button>
+                                            <button
+                                                className="px-3 py-1.5 rounded-lg bg-emerald-700 hover:bg-emerald-600 text-xs font-semibold"
+                                                onClick={() => handleAddCredits(d.id, 5)}
+                                            >
+                                                +5
+                                            </button>
+                                            <button
+                                                className="px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
+                                                onClick={() => handleAddCredits(d.id, -1)}
+                                            >
+                                                -1
+                                            </button>
+                                            <button
+                                                className="px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
+                                                onClick={() => handleSetTotal(d.id)}
+                                            >
+                                                Set Total
+                                            </button>
+                                            <button
+                                                className="px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
+                                                onClick={() => handleSetUsed(d.id)}
+                                            >
+                                                Set Used
+                                            </button>
+                                            <button
+                                                className="px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
+                                                onClick={() => openCreditHistory(d.id, d.name)}
+                                            >
+                                                History
+                                            </button>
+                                            <button
+                                                className="px-3 py-1.5 rounded-lg bg-amber-500 hover:bg-amber-400 text-black text-xs font-semibold"
+                                                onClick={() => handleRequeue(d.id)}
+                                            >
+                                                Requeue
+                                            </button>
+                                            {isOwner && remaining > 0 && d.amount_eur > 0 && !isActiveRow && (
                                                 <button
-                                                    className="px-2 py-1 rounded-lg bg-amber-500 hover:bg-amber-400 text-black text-xs font-semibold"
-                                                    onClick={() => handleRequeue(d.id)}
+                                                    className="px-3 py-1.5 rounded-lg bg-sky-600 hover:bg-sky-500 text-xs font-semibold"
+                                                    onClick={() => confirmRefund(d.id, d.name)}
                                                 >
-                                                    Requeue
+                                                    Refund
                                                 </button>
+                                            )}
+                                            {isOwner && (
                                                 <button
-                                                    className="px-2 py-1 rounded-lg bg-red-600 hover:bg-red-500 text-xs font-semibold"
+                                                    className="px-3 py-1.5 rounded-lg bg-red-600 hover:bg-red-500 text-xs font-semibold"
                                                     onClick={() => confirmDeleteOne(d.id, d.name)}
                                                 >
                                                     Delete
                                                 </button>
-                                            </div>
-                                        </td>
-                                    </tr>
+                                            )}
+                                        </div>
+                                    </div>
                                 );
                             })}
+
                             {visibleDonations.length === 0 && (
-                                <tr>
-                                    <td colSpan={6} className="p-4 text-center text-slate-400">
-                                        No donations yet.
-                                    </td>
-                                </tr>
+                                <div className="text-center text-sm text-slate-400 py-8">
+                                    No donations yet.
+                                </div>
                             )}
-                        </tbody>
-                    </table>
-                </div>
+                        </div>
+                    </section>
+
+                    <section className="max-w-6xl mx-auto mt-8">
+                        <div className="flex items-center justify-between mb-3">
+                            <h2 className="text-lg font-bold">Refunds</h2>
+                            <div className="text-xs text-slate-400">
+                                Total: €{refunds.filter(r => r.status !== 'failed').reduce((sum, r) => sum + r.amount_eur, 0).toFixed(2)}
+                            </div>
+                        </div>
+
+                        <div className="bg-slate-800 rounded-2xl border border-slate-700 divide-y divide-slate-700">
+                            {refunds.slice(0, 20).map((r) => (
+                                <div key={r.id} className="p-3 text-xs flex flex-wrap gap-x-4 gap-y-1">
+                                    <span className="text-slate-400">{new Date(r.created_at).toLocaleString()}</span>
+                                    <span className="font-semibold">#{r.donation_id} {r.name || ''}</span>
+                                    <span>€{r.amount_eur.toFixed(2)} ({r.credits} credits)</span>
+                                    <span className="text-slate-300">{r.automatic ? 'automatic' : 'admin'}: {r.reason}</span>
+                                    <span className={r.status === 'failed' ? 'text-red-300' : 'text-emerald-300'}>
+                                        {r.status}{r.error ? ` - ${r.error}` : ''}
+                                    </span>
+                                </div>
+                            ))}
+                            {refunds.length === 0 && (
+                                <div className="p-4 text-center text-sm text-slate-400">
+                                    No refunds yet.
+                                </div>
+                            )}
+                        </div>
+                    </section>
+
+                    <section className="max-w-6xl mx-auto mt-8">
+                        <div className="flex items-center justify-between mb-3">
+                            <h2 className="text-lg font-bold">Campaigns</h2>
+                            <div className="text-xs text-slate-400">
+                                Only one campaign is active; paid donations count towards it.
+                            </div>
+                        </div>
+
+                        {isOwner && (
+                            <form
+                                onSubmit={handleCreateCampaign}
+                                className="bg-slate-800 rounded-2xl border border-slate-700 p-3 mb-3 flex flex-wrap items-end gap-2 text-xs"
+                            >
+                                {[
+                                    ['name', 'Name', 'text'],
+                                    ['goalEur', 'Goal (€)', 'number'],
+                                    ['startsAt', 'Starts', 'datetime-local'],
+                                    ['endsAt', 'Ends', 'datetime-local'],
+                                    ['description', 'Description', 'text'],
+                                ].map(([key, label, type]) => (
+                                    <label key={key} className="flex flex-col gap-1">
+                                        <span className="text-slate-400">{label}</span>
+                                        <input
+                                            type={type}
+                                            min={type === 'number' ? 1 : undefined}
+                                            className="px-2 py-1.5 rounded-lg bg-slate-900 border border-slate-700 w-44"
+                                            value={campaignForm[key]}
+                                            onChange={(e) => setCampaignForm(f => ({ ...f, [key]: e.target.value }))}
+                                        />
+                                    </label>
+                                ))}
+                                <button
+                                    type="submit"
+                                    className="px-3 py-1.5 rounded-xl bg-emerald-600 hover:bg-emerald-500 text-xs font-semibold"
+                                >
+                                    Create & activate
+                                </button>
+                            </form>
+                        )}
+
+                        <div className="bg-slate-800 rounded-2xl border border-slate-700 divide-y divide-slate-700">
+                            {campaigns.map((c) => (
+                                <div key={c.id} className="p-3 text-xs flex flex-wrap items-center gap-x-4 gap-y-1">
+                                    <span className="font-semibold">{c.name}</span>
+                                    <span className="text-emerald-300">
+                                        €{c.raisedEur.toFixed(2)} / €{c.goalEur.toFixed(2)} ({c.percent}%)
+                                    </span>
+                                    <span className="text-slate-300">{c.donations} donation(s)</span>
+                                    <span className="text-slate-400">
+                                        {new Date(c.startsAt).toLocaleDateString()} - {c.endsAt ? new Date(c.endsAt).toLocaleDateString() : 'open'}
+                                    </span>
+                                    {isOwner && (
+                                        <button
+                                            className={`ml-auto px-2 py-1 rounded-lg ${c.active ? 'bg-slate-700 hover:bg-slate-600' : 'bg-emerald-700 hover:bg-emerald-600'}`}
+                                            onClick={() => handleSetCampaignActive(c.id, !c.active)}
+                                        >
+                                            {c.active ? 'Deactivate' : 'Activate'}
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                            {campaigns.length === 0 && (
+                                <div className="p-4 text-center text-sm text-slate-400">
+                                    No campaigns yet.
+                                </div>
+                            )}
+                        </div>
+                    </section>
 
-                {/* Mobile cards */}
-                <div className="md:hidden space-y-3">
-                    {visibleDonations.map((d) => {
-                        const remaining = (d.credits_total || 0) - (d.credits_used || 0);
-                        const isActiveRow = d.id === activeDonationId || d.status === 'active';
+                    <section className="max-w-6xl mx-auto mt-8">
+                        <div className="flex items-center justify-between mb-3">
+                            <h2 className="text-lg font-bold">Vouchers</h2>
+                            <div className="text-xs text-slate-400">
+                                Redeemed: {vouchers.reduce((sum, v) => sum + v.uses, 0)}
+                            </div>
+                        </div>
 
-                        return (
-                            <div
-                                key={d.id}
-                                className={`bg-slate-800 border border-slate-700 rounded-2xl p-4 ${isActiveRow ? 'ring-1 ring-emerald-500' : ''}`}
+                        {isOwner && (
+                            <form
+                                onSubmit={handleCreateVouchers}
+                                className="bg-slate-800 rounded-2xl border border-slate-700 p-3 mb-3 flex flex-wrap items-end gap-2 text-xs"
                             >
-                                <div className="flex items-start justify-between">
-                                    <div>
-                                        <div className="text-sm font-bold">
-                                            #{d.id} — {d.name}
+                                {[
+                                    ['credits', 'Credits', 'number'],
+                                    ['maxUses', 'Uses per code', 'number'],
+                                    ['count', 'How many codes', 'number'],
+                                    ['expiresAt', 'Expires', 'datetime-local'],
+                                    ['note', 'Note', 'text'],
+                                    ['code', 'Custom code', 'text'],
+                                ].map(([key, label, type]) => (
+                                    <label key={key} className="flex flex-col gap-1">
+                                        <span className="text-slate-400">{label}</span>
+                                        <input
+                                            type={type}
+                                            min={type === 'number' ? 1 : undefined}
+                                            className="px-2 py-1.5 rounded-lg bg-slate-900 border border-slate-700 w-36"
+                                            value={voucherForm[key]}
+                                            onChange={(e) => setVoucherForm(f => ({ ...f, [key]: e.target.value }))}
+                                        />
+                                    </label>
+                                ))}
+                                <button
+                                    type="submit"
+                                    className="px-3 py-1.5 rounded-xl bg-emerald-600 hover:bg-emerald-500 text-xs font-semibold"
+                                >
+                                    Create
+                                </button>
+                            </form>
+                        )}
+
+                        <div className="bg-slate-800 rounded-2xl border border-slate-700 divide-y divide-slate-700">
+                            {vouchers.map((v) => {
+                                const expired = v.expires_at && new Date(v.expires_at) <= new Date();
+                                return (
+                                    <div key={v.id} className="p-3 text-xs">
+                                        <div className="flex flex-wrap items-center gap-x-4 gap-y-1">
+                                            <span className={`font-mono font-semibold ${v.disabled || expired ? 'line-through text-slate-500' : ''}`}>
+                                                {v.code}
+                                            </span>
+                                            <span>{v.credits} credit(s)</span>
+                                            <span className="text-slate-300">used {v.uses}/{v.max_uses}</span>
+                                            <span className="text-slate-400">
+                                                {v.expires_at ? `expires ${new Date(v.expires_at).toLocaleString()}` : 'no expiry'}
+                                            </span>
+                                            {v.note && <span className="text-slate-400">{v.note}</span>}
+                                            {v.disabled ? (
+                                                <span className="text-red-300">disabled</span>
+                                            ) : isOwner && (
+                                                <button
+                                                    className="ml-auto px-2 py-1 rounded-lg bg-red-700 hover:bg-red-600"
+                                                    onClick={() => confirmDisableVoucher(v.id, v.code)}
+                                                >
+                                                    Disable
+                                                </button>
+                                            )}
                                         </div>
-                                        {d.email && (
-                                            <div className="text-xs text-slate-400 mt-0.5">{d.email}</div>
+                                        {v.redemptions.length > 0 && (
+                                            <div className="mt-1 text-slate-400">
+                                                {v.redemptions.map(r => `#${r.donation_id} ${r.name}`).join(', ')}
+                                            </div>
                                         )}
                                     </div>
-                                    <select
-                                        className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-1 text-xs"
-                                        value={d.status}
-                                        onChange={(e) => handleSetStatus(d.id, e.target.value)}
+                                );
+                            })}
+                            {vouchers.length === 0 && (
+                                <div className="p-4 text-center text-sm text-slate-400">
+                                    No vouchers yet.
+                                </div>
+                            )}
+                        </div>
+                    </section>
+
+                    <section className="max-w-6xl mx-auto mt-8">
+                        <div className="flex items-center justify-between mb-3">
+                            <h2 className="text-lg font-bold">Machine profile</h2>
+                            <div className="flex gap-2">
+                                <button
+                                    className="px-3 py-1.5 rounded-xl bg-slate-700 hover:bg-slate-600 text-xs"
+                                    onClick={loadMachineProfile}
+                                >
+                                    Reload
+                                </button>
+                                {isOwner && (
+                                    <button
+                                        className="px-3 py-1.5 rounded-xl bg-emerald-600 hover:bg-emerald-500 text-xs font-semibold"
+                                        onClick={saveMachineProfile}
                                     >
-                                        {STATUS_OPTIONS.map(s => (
-                                            <option key={s} value={s}>{s}</option>
-                                        ))}
-                                    </select>
+                                        Save profile
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+
+                        <textarea
+                            className="w-full h-80 rounded-2xl bg-slate-800 border border-slate-700 p-3 font-mono text-xs"
+                            spellCheck={false}
+                            readOnly={!isOwner}
+                            value={profileText}
+                            onChange={(e) => setProfileText(e.target.value)}
+                        />
+
+                        {profileErrors.length > 0 && (
+                            <ul className="mt-2 text-xs text-red-300 list-disc pl-5 space-y-0.5">
+                                {profileErrors.map(err => (
+                                    <li key={err}>{err}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </section>
+
+                    <section className="max-w-6xl mx-auto mt-8">
+                        <div className="flex items-center justify-between mb-3">
+                            <h2 className="text-lg font-bold">Safety violations</h2>
+                            <div className="text-xs text-slate-400">
+                                Last {violations.length}
+                            </div>
+                        </div>
+
+                        <div className="bg-slate-800 rounded-2xl border border-slate-700 divide-y divide-slate-700">
+                            {violations.slice(0, 10).map((v) => (
+                                <div key={`${v.at}-${v.rule}-${v.direction}`} className="p-3 text-xs flex flex-wrap gap-x-4 gap-y-1">
+                                    <span className="text-slate-400">{new Date(v.at).toLocaleTimeString()}</span>
+                                    <span className="font-semibold text-amber-300">{v.rule}</span>
+                                    {v.direction && <span className="text-slate-300">direction: {v.direction}</span>}
+                                    {v.held && <span className="text-slate-300">while holding: {v.held}</span>}
+                                </div>
+                            ))}
+                            {violations.length === 0 && (
+                                <div className="p-4 text-center text-sm text-slate-400">
+                                    No violations recorded.
                                 </div>
+                            )}
+                        </div>
+                    </section>
+                </>
+            )}
+
+            {tab === 'activity' && (
+                <section className="max-w-6xl mx-auto">
+                    <div className="flex items-center justify-between mb-3">
+                        <h2 className="text-lg font-bold">Activity</h2>
+                        <div className="text-xs text-slate-400">
+                            Every admin action, newest first ({audit.total})
+                        </div>
+                    </div>
 
-                                <div className="text-xs text-slate-300 mt-2">
-                                    Credits: total <b>{d.credits_total}</b> / used <b>{d.credits_used}</b> / remaining <b>{remaining}</b>
+                    <form
+                        onSubmit={(e) => { e.preventDefault(); loadAudit(0); }}
+                        className="bg-slate-800 rounded-2xl border border-slate-700 p-3 mb-3 flex flex-wrap items-end gap-2 text-xs"
+                    >
+                        <label className="flex flex-col gap-1">
+                            <span className="text-slate-400">Action</span>
+                            <input
+                                type="text"
+                                placeholder="e.g. credits or credits.add"
+                                className="px-2 py-1.5 rounded-lg bg-slate-900 border border-slate-700 w-44"
+                                value={auditFilters.action}
+                                onChange={(e) => setAuditFilters(f => ({ ...f, action: e.target.value }))}
+                            />
+                        </label>
+                        <label className="flex flex-col gap-1">
+                            <span className="text-slate-400">Target</span>
+                            <select
+                                className="px-2 py-1.5 rounded-lg bg-slate-900 border border-slate-700 w-32"
+                                value={auditFilters.targetType}
+                                onChange={(e) => setAuditFilters(f => ({ ...f, targetType: e.target.value }))}
+                            >
+                                <option value="">any</option>
+                                {AUDIT_TARGET_TYPES.map(type => (
+                                    <option key={type} value={type}>{type}</option>
+                                ))}
+                            </select>
+                        </label>
+                        {[
+                            ['targetId', 'Target ID', 'text'],
+                            ['from', 'From', 'datetime-local'],
+                            ['to', 'To', 'datetime-local'],
+                        ].map(([key, label, type]) => (
+                            <label key={key} className="flex flex-col gap-1">
+                                <span className="text-slate-400">{label}</span>
+                                <input
+                                    type={type}
+                                    className="px-2 py-1.5 rounded-lg bg-slate-900 border border-slate-700 w-44"
+                                    value={auditFilters[key]}
+                                    onChange={(e) => setAuditFilters(f => ({ ...f, [key]: e.target.value }))}
+                                />
+                            </label>
+                        ))}
+                        <label className="flex items-center gap-1.5 py-1.5">
+                            <input
+                                type="checkbox"
+                                checked={auditFilters.failedLogins}
+                                onChange={(e) => setAuditFilters(f => ({ ...f, failedLogins: e.target.checked }))}
+                            />
+                            <span className="text-slate-400">Failed logins</span>
+                        </label>
+                        <button
+                            type="submit"
+                            className="px-3 py-1.5 rounded-xl bg-emerald-600 hover:bg-emerald-500 text-xs font-semibold"
+                        >
+                            Filter
+                        </button>
+                    </form>
+
+                    <div className="bg-slate-800 rounded-2xl border border-slate-700 divide-y divide-slate-700">
+                        {audit.entries.map((entry) => (
+                            <div key={entry.id} className="p-3 text-xs grid grid-cols-[10rem_12rem_1fr] gap-3 items-start">
+                                <div>
+                                    <div className="text-slate-300">{new Date(entry.created_at).toLocaleString()}</div>
+                                    <div className="text-slate-500 break-all">{entry.ip}</div>
                                 </div>
-                                <div className="text-xs text-slate-300 mt-1">
-                                    Payment: req {d.amount_requested_eur ?? '—'}€ / paid {d.amount_eur ?? '—'}€
+                                <div>
+                                    <div className="font-semibold text-amber-300">{entry.action}</div>
+                                    <div className="text-slate-400">
+                                        by {entry.actor}
+                                        {entry.target_type && ` · ${entry.target_type}${entry.target_id ? ` #${entry.target_id}` : ''}`}
+                                    </div>
                                 </div>
+                                <AuditChanges before={entry.before} after={entry.after} />
+                            </div>
+                        ))}
+                        {audit.entries.length === 0 && (
+                            <div className="p-4 text-center text-sm text-slate-400">
+                                No activity matches these filters.
+                            </div>
+                        )}
+                    </div>
 
-                                <div className="flex flex-wrap gap-2 mt-3">
-                                    <button
-                                        className="px-3 py-1.5 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-xs font-semibold"
-                                        onClick={() => handleAddCredits(d.id, 1)}
-                                    >
-                                        +1
-                                    </button>
-                                    <button
-                                        className="px-3 py-1.5 rounded-lg bg-emerald-700 hover:bg-emerald-600 text-xs font-semibold"
-                                        onClick={() => handleAddCredits(d.id, 5)}
-                                    >
-                                        +5
-                                    </button>
-                                    <button
-                                        className="px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
-                                        onClick={() => handleAddCredits(d.id, -1)}
-                                    >
-                                        -1
-                                    </button>
-                                    <button
-                                        className="px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
-                                        onClick={() => handleSetTotal(d.id)}
-                                    >
-                                        Set Total
-                                    </button>
-                                    <button
-                                        className="px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
-                                        onClick={() => handleSetUsed(d.id)}
-                                    >
-                                        Set Used
-                                    </button>
-                                    <button
-                                        className="px-3 py-1.5 rounded-lg bg-amber-500 hover:bg-amber-400 text-black text-xs font-semibold"
-                                        onClick={() => handleRequeue(d.id)}
-                                    >
-                                        Requeue
-                                    </button>
-                                    <button
-                                        className="px-3 py-1.5 rounded-lg bg-red-600 hover:bg-red-500 text-xs font-semibold"
-                                        onClick={() => confirmDeleteOne(d.id, d.name)}
-                                    >
-                                        Delete
-                                    </button>
+                    <div className="flex items-center justify-between mt-3 text-xs">
+                        <span className="text-slate-400">
+                            {audit.total ? `${audit.offset + 1}-${audit.offset + audit.entries.length} of ${audit.total}` : ''}
+                        </span>
+                        <div className="flex gap-2">
+                            <button
+                                className="px-3 py-1.5 rounded-xl bg-slate-700 hover:bg-slate-600 disabled:opacity-40"
+                                disabled={audit.offset === 0}
+                                onClick={() => loadAudit(Math.max(0, audit.offset - AUDIT_PAGE_SIZE))}
+                            >
+                                Newer
+                            </button>
+                            <button
+                                className="px-3 py-1.5 rounded-xl bg-slate-700 hover:bg-slate-600 disabled:opacity-40"
+                                disabled={audit.offset + AUDIT_PAGE_SIZE >= audit.total}
+                                onClick={() => loadAudit(audit.offset + AUDIT_PAGE_SIZE)}
+                            >
+                                Older
+                            </button>
+                        </div>
+                    </div>
+                </section>
+            )}
+
+            {tab === 'accounts' && (
+                <section className="max-w-6xl mx-auto space-y-8">
+                    <div>
+                        <h2 className="text-lg font-bold mb-3">Your password</h2>
+                        <form
+                            onSubmit={handleChangeOwnPassword}
+                            className="bg-slate-800 rounded-2xl border border-slate-700 p-3 flex flex-wrap items-end gap-2 text-xs"
+                        >
+                            {[
+                                ['currentPassword', 'Current password', 'current-password'],
+                                ['newPassword', 'New password', 'new-password'],
+                            ].map(([key, label, autoComplete]) => (
+                                <label key={key} className="flex flex-col gap-1">
+                                    <span className="text-slate-400">{label}</span>
+                                    <input
+                                        type="password"
+                                        autoComplete={autoComplete}
+                                        className="px-2 py-1.5 rounded-lg bg-slate-900 border border-slate-700 w-52"
+                                        value={passwordForm[key]}
+                                        onChange={(e) => setPasswordForm(f => ({ ...f, [key]: e.target.value }))}
+                                    />
+                                </label>
+                            ))}
+                            <button
+                                type="submit"
+                                className="px-3 py-1.5 rounded-xl bg-emerald-600 hover:bg-emerald-500 text-xs font-semibold"
+                            >
+                                Change password
+                            </button>
+                        </form>
+                    </div>
+
+                    {isOwner && (
+                        <div>
+                            <div className="flex items-center justify-between mb-3">
+                                <h2 className="text-lg font-bold">Admin accounts</h2>
+                                <div className="text-xs text-slate-400">
+                                    Operators run the queue; owners can also delete, refund and change settings.
                                 </div>
                             </div>
-                        );
-                    })}
 
-                    {visibleDonations.length === 0 && (
-                        <div className="text-center text-sm text-slate-400 py-8">
-                            No donations yet.
+                            <form
+                                onSubmit={handleCreateUser}
+                                className="bg-slate-800 rounded-2xl border border-slate-700 p-3 mb-3 flex flex-wrap items-end gap-2 text-xs"
+                            >
+                                {[
+                                    ['username', 'Username', 'text'],
+                                    ['password', 'Password', 'password'],
+                                ].map(([key, label, type]) => (
+                                    <label key={key} className="flex flex-col gap-1">
+                                        <span className="text-slate-400">{label}</span>
+                                        <input
+                                            type={type}
+                                            autoComplete={type === 'password' ? 'new-password' : 'off'}
+                                            className="px-2 py-1.5 rounded-lg bg-slate-900 border border-slate-700 w-44"
+                                            value={userForm[key]}
+                                            onChange={(e) => setUserForm(f => ({ ...f, [key]: e.target.value }))}
+                                        />
+                                    </label>
+                                ))}
+                                <label className="flex flex-col gap-1">
+                                    <span className="text-slate-400">Role</span>
+                                    <select
+                                        className="px-2 py-1.5 rounded-lg bg-slate-900 border border-slate-700 w-32"
+                                        value={userForm.role}
+                                        onChange={(e) => setUserForm(f => ({ ...f, role: e.target.value }))}
+                                    >
+                                        {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                                            <option key={role} value={role}>{label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <button
+                                    type="submit"
+                                    className="px-3 py-1.5 rounded-xl bg-emerald-600 hover:bg-emerald-500 text-xs font-semibold"
+                                >
+                                    Add account
+                                </button>
+                            </form>
+
+                            <div className="bg-slate-800 rounded-2xl border border-slate-700 divide-y divide-slate-700">
+                                {users.map((u) => (
+                                    <div key={u.id} className="p-3 text-xs flex flex-wrap items-center gap-x-4 gap-y-1">
+                                        <span className="font-semibold">{u.username}</span>
+                                        {u.id === adminUser?.id && <span className="text-emerald-300">you</span>}
+                                        {u.disabled ? <span className="text-red-300">disabled</span> : null}
+                                        <span className="text-slate-400">
+                                            last login {u.last_login_at ? new Date(u.last_login_at).toLocaleString() : 'never'}
+                                        </span>
+                                        <div className="ml-auto flex gap-2">
+                                            <select
+                                                className="px-2 py-1 rounded-lg bg-slate-900 border border-slate-700"
+                                                value={u.role}
+                                                onChange={(e) => handleUpdateUser(u, { role: e.target.value }, `${u.username} is now ${ROLE_LABELS[e.target.value]}.`)}
+                                            >
+                                                {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                                                    <option key={role} value={role}>{label}</option>
+                                                ))}
+                                            </select>
+                                            <button
+                                                className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600"
+                                                onClick={() => handleResetPassword(u)}
+                                            >
+                                                Reset password
+                                            </button>
+                                            <button
+                                                className={`px-2 py-1 rounded-lg ${u.disabled ? 'bg-emerald-700 hover:bg-emerald-600' : 'bg-red-700 hover:bg-red-600'}`}
+                                                onClick={() => handleUpdateUser(
+                                                    u,
+                                                    { disabled: !u.disabled },
+                                                    `${u.username} ${u.disabled ? 'enabled' : 'disabled'}.`
+                                                )}
+                                            >
+                                                {u.disabled ? 'Enable' : 'Disable'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                ))}
+                                {users.length === 0 && (
+                                    <div className="p-4 text-center text-sm text-slate-400">
+                                        No accounts loaded.
+                                    </div>
+                                )}
+                            </div>
                         </div>
                     )}
-                </div>
-            </section>
+                </section>
+            )}
         </main>
     );
 }
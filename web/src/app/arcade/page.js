@@ -4,6 +4,8 @@ import { useEffect, useMemo, useRef, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import Pusher from 'pusher-js';
 import Controls from './../components/Controls';
+import MachineModeBanner from './../components/MachineModeBanner';
+import { createControlChannel } from './../components/controlChannel';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
 
@@ -24,6 +26,10 @@ export default function ArcadePage() {
 
     const [activeDonationId, setActiveDonationId] = useState(null);
     const [firstMoveDeadline, setFirstMoveDeadline] = useState(null);
+    const [awaitingHome, setAwaitingHome] = useState(false);
+    // Machine not open (see MachineModeBanner): the credit clock is frozen server-side
+    const [paused, setPaused] = useState(false);
+    const pausedRef = useRef(false);
 
     const [notice, setNotice] = useState(null);
 
@@ -38,6 +44,13 @@ export default function ArcadePage() {
     const prevCreditsRef = useRef(null);
     const noticeTimerRef = useRef(null);
 
+    // Low-latency controls (WebSocket); Controls falls back to HTTP while it is down
+    const channelRef = useRef(null);
+    const [channelState, setChannelState] = useState({ connected: false, rttMs: null });
+    const channel = useMemo(() => ({
+        send: (type, payload) => channelRef.current?.send(type, payload) ?? null,
+    }), []);
+
     // Sequence increments whenever a new credit starts (used to reset Controls state)
     const [creditSeq, setCreditSeq] = useState(0);
 
@@ -55,6 +68,16 @@ export default function ArcadePage() {
         setToken(t);
     }, [router]);
 
+    useEffect(() => {
+        if (!token) return;
+
+        channelRef.current = createControlChannel({ token, onChange: setChannelState });
+        return () => {
+            channelRef.current?.close();
+            channelRef.current = null;
+        };
+    }, [token]);
+
     function startTimerWithEndsAt(endsAt) {
         if (!endsAt) return;
 
@@ -64,6 +87,7 @@ export default function ArcadePage() {
         setTimerRunning(true);
 
         timerRef.current = setInterval(() => {
+            if (pausedRef.current) return;
             const left = Math.max(0, Math.ceil((endsAtRef.current - Date.now()) / 1000));
             setSecondsLeft(left);
             if (left <= 0) stopTimer();
@@ -96,7 +120,7 @@ export default function ArcadePage() {
             firstMoveIntervalRef.current = null;
         }
 
-        if (!isActive || timerRunning || !firstMoveDeadline) {
+        if (!isActive || timerRunning || paused || !firstMoveDeadline) {
             setFirstMoveSecondsLeft(null);
             return;
         }
@@ -115,7 +139,7 @@ export default function ArcadePage() {
                 firstMoveIntervalRef.current = null;
             }
         };
-    }, [isActive, timerRunning, firstMoveDeadline]);
+    }, [isActive, timerRunning, paused, firstMoveDeadline]);
 
     useEffect(() => {
         if (!token) return;
@@ -141,6 +165,9 @@ export default function ArcadePage() {
             setQueue(qData.queue || []);
             setActiveDonationId(qData.activeDonationId || null);
             setFirstMoveDeadline(qData.firstMoveDeadline || null);
+            setAwaitingHome(!!qData.awaitingHome);
+            pausedRef.current = !!qData.paused;
+            setPaused(!!qData.paused);
 
             if (meData.status === 'active' && qData.activeDonationId === meData.id) {
                 if (qData.creditEndsAt) {
@@ -169,6 +196,9 @@ export default function ArcadePage() {
             setQueue(payload.queue || []);
             setActiveDonationId(payload.activeDonationId || null);
             setFirstMoveDeadline(payload.firstMoveDeadline || null);
+            setAwaitingHome(!!payload.awaitingHome);
+            pausedRef.current = !!payload.paused;
+            setPaused(!!payload.paused);
 
             setMe((prev) => {
                 if (!prev) return prev;
@@ -229,9 +259,45 @@ export default function ArcadePage() {
             }
         });
 
+        channel.bind('prize-won', (payload) => {
+            if (payload.donationId === meIdRef.current) {
+                setMe(prev => (prev ? { ...prev, prizesWon: payload.prizesWon } : prev));
+                showNotice('win', '🎉 You won a prize! Collect it at the chute.', 8000);
+            } else if (payload.name) {
+                showNotice('info', `🎉 ${payload.name} just won a prize!`);
+            }
+        });
+
+        channel.bind('refund-issued', (payload) => {
+            if (payload.donationId === meIdRef.current) {
+                const amount = `€${Number(payload.amountEur).toFixed(2)}`;
+                showNotice(
+                    'info',
+                    payload.reason === 'closing_time'
+                        ? `The machine closed before your turn: ${amount} for your unused credits is being refunded.`
+                        : `The machine had a problem: ${amount} for your unused credits is being refunded.`,
+                    8000
+                );
+            }
+        });
+
+        channel.bind('player-preempted', (payload) => {
+            if (payload.donationId === meIdRef.current) {
+                stopTimer();
+                showNotice(
+                    'info',
+                    'Your turn was paused by the staff. You keep your remaining credits and play again right after this turn.',
+                    8000
+                );
+            }
+        });
+
         channel.bind('player-end', (payload) => {
             if (payload.donationId === meIdRef.current) {
                 stopTimer();
+                if (payload.reason?.startsWith('admin_')) {
+                    showNotice('info', 'Your turn was ended by the staff.');
+                }
                 localStorage.removeItem(TOKEN_KEY);
                 setTimeout(() => router.replace('/'), 2500);
             }
@@ -275,17 +341,28 @@ export default function ArcadePage() {
                     className={`max-w-5xl mx-auto mb-4 p-3 rounded-xl text-sm font-semibold
                     ${notice.type === 'error'
                             ? 'bg-red-600/20 border border-red-500 text-red-200'
-                            : 'bg-slate-700/40 border border-slate-500 text-slate-100'
+                            : notice.type === 'win'
+                                ? 'bg-emerald-600/20 border border-emerald-500 text-emerald-200'
+                                : 'bg-slate-700/40 border border-slate-500 text-slate-100'
                         }`}
                 >
                     {notice.text}
                 </div>
             )}
 
+            <MachineModeBanner className="mb-4" />
+
             <header className="max-w-5xl mx-auto flex items-center justify-between mb-6">
                 <h1 className="text-2xl font-extrabold">🕹️ Live Arcade</h1>
-                <div className="text-sm text-slate-300">
-                    Player: <span className="font-bold">{me.name}</span>
+                <div className="text-right">
+                    <div className="text-sm text-slate-300">
+                        Player: <span className="font-bold">{me.name}</span>
+                    </div>
+                    <div className={`text-xs ${channelState.connected ? 'text-emerald-400' : 'text-slate-500'}`}>
+                        {channelState.connected
+                            ? `● Live controls${channelState.rttMs !== null ? ` · ${channelState.rttMs} ms` : ''}`
+                            : '○ Controls over HTTP'}
+                    </div>
                 </div>
             </header>
 
@@ -356,7 +433,25 @@ export default function ArcadePage() {
                                     Time left this credit: <b>{secondsLeft}s</b>
                                 </div>
 
-                                {!timerRunning && (
+                                {me.prizesWon > 0 && (
+                                    <div className="text-sm text-emerald-300">
+                                        Prizes won: <b>{me.prizesWon}</b> 🏆
+                                    </div>
+                                )}
+
+                                {paused && (
+                                    <div className="text-xs text-amber-300">
+                                        The machine is paused: your time is on hold until play continues.
+                                    </div>
+                                )}
+
+                                {!paused && !timerRunning && awaitingHome && (
+                                    <div className="text-xs text-amber-300">
+                                        Claw returning home… your next credit starts once it is parked.
+                                    </div>
+                                )}
+
+                                {!paused && !timerRunning && !awaitingHome && (
                                     <div className="text-xs text-slate-400">
                                         Timer starts on your first move.
                                         {firstMoveSecondsLeft !== null && (
@@ -369,16 +464,19 @@ export default function ArcadePage() {
                                 )}
                             </div>
 
-                            <Controls
-                                token={token}
-                                creditSeq={creditSeq}
-                                onFirstAction={() => {
-                                    // Optimistic local UX start (server will resync anyway)
-                                    if (!timerRunning && !endsAtRef.current) {
-                                        startTimerWithEndsAt(Date.now() + CREDIT_SECONDS * 1000);
-                                    }
-                                }}
-                            />
+                            {!paused && (
+                                <Controls
+                                    token={token}
+                                    channel={channel}
+                                    creditSeq={creditSeq}
+                                    onFirstAction={() => {
+                                        // Optimistic local UX start (server will resync anyway)
+                                        if (!timerRunning && !endsAtRef.current) {
+                                            startTimerWithEndsAt(Date.now() + CREDIT_SECONDS * 1000);
+                                        }
+                                    }}
+                                />
+                            )}
                         </>
                     )}
                 </section>
@@ -0,0 +1,95 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Pusher from 'pusher-js';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+
+const SOKETI_KEY = process.env.NEXT_PUBLIC_SOKETI_KEY;
+const WS_HOST = process.env.NEXT_PUBLIC_SOKETI_WS_HOST;
+const WS_PORT = Number(process.env.NEXT_PUBLIC_SOKETI_WS_PORT || 443);
+const FORCE_TLS = process.env.NEXT_PUBLIC_SOKETI_FORCE_TLS === 'true';
+
+function formatEur(value) {
+    return `€${Number(value || 0).toLocaleString('nl-BE', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Live progress of the running campaign.
+ * - Loads /api/campaigns/current once, then follows "campaign-progress" events.
+ * - onDonation(donation) is called for every new paid donation (big screen shout-outs).
+ * - Renders nothing when no campaign is running.
+ */
+export default function CampaignProgress({ size = 'normal', className = '', onDonation }) {
+    const [campaign, setCampaign] = useState(null);
+
+    useEffect(() => {
+        if (!API_BASE_URL) return;
+
+        fetch(`${API_BASE_URL}/api/campaigns/current`, { cache: 'no-store' })
+            .then(res => (res.ok ? res.json() : null))
+            .then(data => data && setCampaign(data.campaign))
+            .catch(() => { });
+    }, []);
+
+    useEffect(() => {
+        if (!SOKETI_KEY || !WS_HOST) return;
+
+        const pusher = new Pusher(SOKETI_KEY, {
+            wsHost: WS_HOST,
+            wsPort: WS_PORT,
+            wssPort: WS_PORT,
+            forceTLS: FORCE_TLS,
+            enabledTransports: ['ws', 'wss'],
+            cluster: 'mt1',
+        });
+
+        const channel = pusher.subscribe('public-chat');
+
+        channel.bind('campaign-progress', (payload) => {
+            const { donation, ...progress } = payload;
+            setCampaign(progress);
+            if (donation) onDonation?.(donation);
+        });
+
+        return () => {
+            channel.unbind_all();
+            channel.unsubscribe();
+            pusher.disconnect();
+        };
+    }, [onDonation]);
+
+    if (!campaign) return null;
+
+    const big = size === 'big';
+
+    return (
+        <div className={`w-full ${big ? 'max-w-5xl space-y-6' : 'max-w-md space-y-2'} ${className}`}>
+            <div className="flex items-end justify-between gap-4">
+                <div>
+                    <div className={`${big ? 'text-5xl' : 'text-lg'} font-extrabold`}>{campaign.name}</div>
+                    {campaign.description && (
+                        <div className={`${big ? 'text-2xl mt-2' : 'text-xs'} text-slate-400`}>{campaign.description}</div>
+                    )}
+                </div>
+                <div className={`${big ? 'text-4xl' : 'text-sm'} font-bold text-emerald-400 whitespace-nowrap`}>
+                    {campaign.percent}%
+                </div>
+            </div>
+
+            <div className={`w-full ${big ? 'h-16' : 'h-3'} rounded-full bg-slate-800 border border-slate-700 overflow-hidden`}>
+                <div
+                    className="h-full bg-emerald-500 transition-all duration-1000"
+                    style={{ width: `${campaign.percent}%` }}
+                />
+            </div>
+
+            <div className={`flex justify-between ${big ? 'text-3xl' : 'text-xs'} text-slate-300`}>
+                <span>
+                    <b>{formatEur(campaign.raisedEur)}</b> raised of {formatEur(campaign.goalEur)}
+                </span>
+                <span>{campaign.donations} donation(s)</span>
+            </div>
+        </div>
+    );
+}
@@ -4,14 +4,51 @@ import { useEffect, useRef } from 'react';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
 
+// Keep-alive rate while a direction is held; the API lets go HOLD_GRACE_MS (api/control.js) after the last one
+const HOLD_KEEPALIVE_MS = 150;
+
+// Keep-alive answers that mean the hold is over
+const HOLD_OVER = ['not_active_player', 'invalid_direction'];
+
+// Never rejects: a network error is answered like a refused action
+async function post(token, action, body) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/api/control/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token, ...body }),
+        });
+        const data = await res.json().catch(() => ({}));
+        return { ...data, ok: res.ok };
+    } catch {
+        return { ok: false, error: 'network' };
+    }
+}
+
+// WebSocket first; null from the channel means it is not connected
+async function send({ token, channel }, action, body, { retryOverHttp = false } = {}) {
+    const ack = await channel?.send(action, body);
+    if (!ack || (retryOverHttp && ['timeout', 'disconnected'].includes(ack.error))) {
+        return post(token, action, body);
+    }
+    return ack;
+}
+
 /**
  * Arcade controls:
- * - Directions are "hold" while pressed
+ * - Directions are "hold" while pressed: keep-alives repeat every HOLD_KEEPALIVE_MS until
+ *   the button is let go, and the API releases the direction shortly after they stop.
+ *   If the API let go anyway (not_held) while the button is still down, it is pressed again;
+ *   when that is refused the hold ends here too.
+ * - Letting go anywhere on the page (or leaving it) releases every held direction.
  * - Grab is allowed once per credit
+ * - Sent over the WebSocket control channel (see controlChannel.js) when it is connected,
+ *   otherwise as HTTP POSTs. A release whose ack doesn't come back is repeated over HTTP.
  */
-export default function Controls({ token, onFirstAction, creditSeq }) {
+export default function Controls({ token, onFirstAction, creditSeq, channel }) {
     const startedRef = useRef(false);
     const grabUsedRef = useRef(false);
+    const heldRef = useRef(new Map()); // direction -> { interval } (keep-alives)
 
     // Reset per-credit state whenever a new credit starts
     useEffect(() => {
@@ -19,25 +56,83 @@ export default function Controls({ token, onFirstAction, creditSeq }) {
         grabUsedRef.current = false;
     }, [creditSeq]);
 
+    // Fail-safe: the buttons may re-render mid-hold and miss their pointerup
+    useEffect(() => {
+        const held = heldRef.current;
+
+        function releaseAll() {
+            for (const [direction, hold] of held) {
+                clearInterval(hold.interval);
+                send({ token, channel }, 'release', { direction }, { retryOverHttp: true });
+            }
+            held.clear();
+        }
+
+        function onVisibilityChange() {
+            if (document.hidden) releaseAll();
+        }
+
+        window.addEventListener('pointerup', releaseAll);
+        window.addEventListener('pointercancel', releaseAll);
+        window.addEventListener('blur', releaseAll);
+        document.addEventListener('visibilitychange', onVisibilityChange);
+
+        return () => {
+            window.removeEventListener('pointerup', releaseAll);
+            window.removeEventListener('pointercancel', releaseAll);
+            window.removeEventListener('blur', releaseAll);
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            releaseAll();
+        };
+    }, [token, channel]);
+
+    function stopKeepAlive(direction) {
+        clearInterval(heldRef.current.get(direction)?.interval);
+        return heldRef.current.delete(direction);
+    }
+
     async function press(direction) {
         if (!startedRef.current) {
             startedRef.current = true;
             onFirstAction?.();
         }
 
-        await fetch(`${API_BASE_URL}/api/control/press`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ token, direction }),
-        });
+        // Held from now on; keep-alives start once the press is accepted
+        stopKeepAlive(direction);
+        const hold = { interval: null, repressing: false };
+        heldRef.current.set(direction, hold);
+
+        const res = await send({ token, channel }, 'press', { direction });
+
+        // Refused (machine homing, safety rules...) or already let go
+        if (heldRef.current.get(direction) !== hold) return;
+        if (!res.ok) {
+            heldRef.current.delete(direction);
+            return;
+        }
+
+        hold.interval = setInterval(async () => {
+            if (hold.repressing) return;
+
+            const ack = await send({ token, channel }, 'keepalive', { direction });
+            if (heldRef.current.get(direction) !== hold) return;
+
+            if (ack.error === 'not_held') {
+                hold.repressing = true;
+                const again = await send({ token, channel }, 'press', { direction });
+                hold.repressing = false;
+                if (!again.ok && heldRef.current.get(direction) === hold) stopKeepAlive(direction);
+            } else if (HOLD_OVER.includes(ack.error)) {
+                stopKeepAlive(direction);
+            }
+        }, HOLD_KEEPALIVE_MS);
     }
 
     async function release(direction) {
-        await fetch(`${API_BASE_URL}/api/control/release`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ token, direction }),
-        });
+        // Already let go (pointerleave then pointerup, fail-safe...)
+        if (!stopKeepAlive(direction)) return;
+
+        await send({ token, channel }, 'release', { direction }, { retryOverHttp: true });
     }
 
     async function grab() {
@@ -51,11 +146,7 @@ export default function Controls({ token, onFirstAction, creditSeq }) {
             onFirstAction?.();
         }
 
-        const res = await fetch(`${API_BASE_URL}/api/control/grab`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ token }),
-        });
+        const res = await send({ token, channel }, 'grab', {});
 
         if (!res.ok) {
             // If backend rejected (e.g. not active / already used),
@@ -1,16 +1,78 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { formatOpeningTime } from './MachineModeBanner';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
 
+// The machine mode (see MachineModeBanner) doesn't take new players right now
+const DONATIONS_CLOSED = 'The machine is not taking new players right now. Please try again later.';
+
+// 503 from /api/donations/create or /api/vouchers/redeem when new players can't join
+function closedMessage(data) {
+    if (data?.error === 'outside_opening_hours') {
+        return data.nextOpenAt
+            ? `We are closed right now. The machine opens again on ${formatOpeningTime(data.nextOpenAt, data.timeZone)}.`
+            : 'We are closed right now. Please come back during opening hours.';
+    }
+    return data?.error === 'donations_closed' ? DONATIONS_CLOSED : null;
+}
+
 export default function DonateForm() {
     const [name, setName] = useState('');
-    const [amountEuros, setAmountEuros] = useState(1);
+    const [bundleId, setBundleId] = useState('');
+    const [pricing, setPricing] = useState(null); // { currency, bundles, maxCreditsPerPlayer }
     const [email, setEmail] = useState('');
+    const [voucherCode, setVoucherCode] = useState('');
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
 
+    /**
+     * Bundles are served by the API (prices live in the machine profile).
+     */
+    useEffect(() => {
+        if (!API_BASE_URL) return;
+
+        fetch(`${API_BASE_URL}/api/pricing`, { cache: 'no-store' })
+            .then(res => (res.ok ? res.json() : Promise.reject(new Error('pricing_failed'))))
+            .then((data) => {
+                setPricing(data);
+                setBundleId(id => id || data.bundles[0]?.id || '');
+            })
+            .catch(() => setError('Could not load prices. Please refresh the page.'));
+    }, []);
+
+    // Voucher error codes from /api/vouchers/redeem
+    const VOUCHER_ERRORS = {
+        invalid_code: 'This code does not exist.',
+        expired: 'This code has expired.',
+        used_up: 'This code has already been used.',
+    };
+
+    /**
+     * A voucher skips payment: the API queues a free donation and we continue on /play.
+     */
+    async function redeemVoucher() {
+        const res = await fetch(`${API_BASE_URL}/api/vouchers/redeem`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                code: voucherCode.trim(),
+                name: name.trim(),
+                email: email.trim() || undefined,
+            }),
+        });
+
+        const data = await res.json();
+
+        if (!res.ok) {
+            setError(closedMessage(data) || VOUCHER_ERRORS[data?.error] || data?.error || 'Could not redeem the code.');
+            return;
+        }
+
+        window.location.href = `/play?intent=${encodeURIComponent(data.intentId)}`;
+    }
+
     async function handleSubmit(e) {
         e.preventDefault();
         setError('');
@@ -25,21 +87,25 @@ export default function DonateForm() {
             return;
         }
 
-        const amount = Number(amountEuros);
-        if (Number.isNaN(amount) || amount <= 0) {
-            setError('Amount must be a positive number.');
+        if (!bundleId && !voucherCode.trim()) {
+            setError('Pick a bundle.');
             return;
         }
 
         try {
             setLoading(true);
 
+            if (voucherCode.trim()) {
+                await redeemVoucher();
+                return;
+            }
+
             const res = await fetch(`${API_BASE_URL}/api/donations/create`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     name: name.trim(),
-                    amountEuros: amount,
+                    bundleId,
                     email: email.trim() || undefined, // optional
                 }),
             });
@@ -47,7 +113,7 @@ export default function DonateForm() {
             const data = await res.json();
 
             if (!res.ok) {
-                setError(data?.error || 'Payment creation failed.');
+                setError(closedMessage(data) || data?.error || 'Payment creation failed.');
                 return;
             }
 
@@ -88,23 +154,50 @@ export default function DonateForm() {
                     type="email"
                 />
                 <p className="text-xs text-slate-400 mt-1">
-                    We will email you later if you provide it.
+                    We email your receipt, a heads-up when your turn is close and a summary afterwards.
                 </p>
             </div>
 
             <div>
-                <label className="block text-sm mb-1">Amount in EUR *</label>
+                <label className="block text-sm mb-1">Bundle *</label>
+                <div className="grid grid-cols-3 gap-2">
+                    {(pricing?.bundles || []).map((b) => (
+                        <button
+                            key={b.id}
+                            type="button"
+                            onClick={() => setBundleId(b.id)}
+                            className={`px-2 py-3 rounded-lg border text-sm ${bundleId === b.id
+                                ? 'bg-emerald-500/20 border-emerald-400'
+                                : 'bg-slate-900 border-slate-700 hover:border-slate-500'
+                                }`}
+                        >
+                            <div className="font-bold">€{b.amountEur.toFixed(2)}</div>
+                            <div className="text-xs text-slate-300">{b.label}</div>
+                        </button>
+                    ))}
+                </div>
+                {!pricing && !error && (
+                    <p className="text-xs text-slate-400 mt-1">Loading prices…</p>
+                )}
+                {pricing && (
+                    <p className="text-xs text-slate-400 mt-1">
+                        Max {pricing.maxCreditsPerPlayer} credits per player.
+                    </p>
+                )}
+            </div>
+
+            <div>
+                <label className="block text-sm mb-1">Voucher code (optional)</label>
                 <input
-                    className="w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 text-sm"
-                    type="number"
-                    min="1"
-                    step="0.5"
-                    value={amountEuros}
-                    onChange={(e) => setAmountEuros(e.target.value)}
-                    required
+                    className="w-full px-3 py-2 rounded-lg bg-slate-900 border border-slate-700 text-sm uppercase tracking-widest"
+                    placeholder="ABCD-2345"
+                    value={voucherCode}
+                    onChange={(e) => setVoucherCode(e.target.value)}
+                    maxLength={32}
+                    autoComplete="off"
                 />
                 <p className="text-xs text-slate-400 mt-1">
-                    1€ = 1 credit (max 5 credits per player).
+                    Got a code? You play for free, no payment needed.
                 </p>
             </div>
 
@@ -116,10 +209,12 @@ export default function DonateForm() {
 
             <button
                 type="submit"
-                disabled={loading}
+                disabled={loading || (!bundleId && !voucherCode.trim())}
                 className="w-full py-2 rounded-lg bg-emerald-500 font-semibold text-sm disabled:opacity-60"
             >
-                {loading ? 'Redirecting to payment...' : 'Donate & Play'}
+                {voucherCode.trim()
+                    ? (loading ? 'Redeeming...' : 'Redeem & Play')
+                    : (loading ? 'Redirecting to payment...' : 'Donate & Play')}
             </button>
         </form>
     );
@@ -0,0 +1,114 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Pusher from 'pusher-js';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+
+const SOKETI_KEY = process.env.NEXT_PUBLIC_SOKETI_KEY;
+const WS_HOST = process.env.NEXT_PUBLIC_SOKETI_WS_HOST;
+const WS_PORT = Number(process.env.NEXT_PUBLIC_SOKETI_WS_PORT || 443);
+const FORCE_TLS = process.env.NEXT_PUBLIC_SOKETI_FORCE_TLS === 'true';
+
+// Banner per machine mode when the admin left no message
+const MODE_BANNERS = {
+    paused: {
+        title: '⏸️ The machine is paused',
+        text: 'Play continues in a moment. Your place in the queue and your credit time are kept.',
+        className: 'bg-amber-600/20 border-amber-500 text-amber-100',
+    },
+    maintenance: {
+        title: '🔧 Maintenance',
+        text: 'Our staff is working on the machine. Play resumes as soon as it is ready.',
+        className: 'bg-sky-600/20 border-sky-500 text-sky-100',
+    },
+    closed: {
+        title: '🌙 The machine is closed',
+        text: 'Thanks for stopping by! Come back when the machine is open again.',
+        className: 'bg-slate-700/60 border-slate-500 text-slate-100',
+    },
+};
+
+// Outside the opening hours (api/schedule.js)
+const HOURS_BANNER = {
+    title: '🌙 We are closed right now',
+    className: 'bg-slate-700/60 border-slate-500 text-slate-100',
+};
+
+/**
+ * "Friday 24 October, 10:00" in the machine's time zone
+ */
+export function formatOpeningTime(iso, timeZone) {
+    return new Date(iso).toLocaleString('en-GB', {
+        timeZone,
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+}
+
+function hoursText(hours) {
+    return hours.nextOpenAt
+        ? `The machine opens again on ${formatOpeningTime(hours.nextOpenAt, hours.timeZone)}. See you then!`
+        : 'The machine is outside its opening hours. Come back later!';
+}
+
+/**
+ * Machine mode banner (paused / maintenance / closed), or the next opening time
+ * outside the opening hours.
+ * - Loads /api/machine/mode once, then follows "machine-mode" and "machine-hours" events.
+ * - Renders nothing while the machine is open.
+ */
+export default function MachineModeBanner({ className = '' }) {
+    const [state, setState] = useState(null);
+
+    useEffect(() => {
+        if (!API_BASE_URL) return;
+
+        fetch(`${API_BASE_URL}/api/machine/mode`, { cache: 'no-store' })
+            .then(res => (res.ok ? res.json() : null))
+            .then(data => data && setState(data))
+            .catch(() => { });
+    }, []);
+
+    useEffect(() => {
+        if (!SOKETI_KEY || !WS_HOST) return;
+
+        const pusher = new Pusher(SOKETI_KEY, {
+            wsHost: WS_HOST,
+            wsPort: WS_PORT,
+            wssPort: WS_PORT,
+            forceTLS: FORCE_TLS,
+            enabledTransports: ['ws', 'wss'],
+            cluster: 'mt1',
+        });
+
+        const channel = pusher.subscribe('public-chat');
+        channel.bind('machine-mode', payload => setState(prev => ({ ...payload, hours: prev?.hours })));
+        channel.bind('machine-hours', hours => setState(prev => (prev ? { ...prev, hours } : prev)));
+
+        return () => {
+            channel.unbind_all();
+            channel.unsubscribe();
+            pusher.disconnect();
+        };
+    }, []);
+
+    const outsideHours = state?.hours && !state.hours.open;
+    const banner = state && (MODE_BANNERS[state.mode] || (outsideHours ? HOURS_BANNER : null));
+    if (!banner) return null;
+
+    return (
+        <div className={`w-full max-w-5xl mx-auto p-4 rounded-xl border text-center ${banner.className} ${className}`}>
+            <div className="text-lg font-extrabold">{banner.title}</div>
+            <div className="text-sm mt-1">
+                {banner === HOURS_BANNER ? hoursText(state.hours) : state.message || banner.text}
+            </div>
+            {!state.acceptDonations && !outsideHours && (
+                <div className="text-xs mt-2 opacity-80">New donations are closed for now.</div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,114 @@
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+
+// Round trip is measured on pings (acks come several times a second while a direction is held)
+const PING_MS = 3000;
+// An ack that takes longer than this counts as lost
+const ACK_TIMEOUT_MS = 1500;
+// Back-off between reconnects
+const RECONNECT_MS = [500, 1000, 2000, 5000];
+// Closed by the server because the token is unknown: reconnecting won't help
+const CLOSE_UNAUTHORIZED = 4401;
+
+function socketUrl() {
+    const url = new URL('/api/control/ws', API_BASE_URL);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    return url.toString();
+}
+
+/**
+ * WebSocket control channel to the API (api/socket.js):
+ * - Authenticates with { type: 'hello', token }, reconnects with back-off when dropped.
+ * - send(type, payload) numbers the message (seq) and resolves with the server's ack
+ *   ({ ok, error? }), { ok: false, error: 'timeout' } after ACK_TIMEOUT_MS, or null right
+ *   away when the channel is not connected (the caller then uses the HTTP routes).
+ * - onChange({ connected, rttMs }) on every (re)connect, drop and new round-trip time.
+ */
+export function createControlChannel({ token, onChange }) {
+    let ws = null;
+    let ready = false;
+    let closed = false;
+    let retry = 0;
+    let seq = 0;
+    let rttMs = null;
+    let reconnectTimer = null;
+    const pending = new Map(); // seq -> { resolve, sentAt, timer }
+
+    function notify() {
+        onChange?.({ connected: ready, rttMs });
+    }
+
+    function settle(id, result) {
+        const p = pending.get(id);
+        if (!p) return;
+
+        pending.delete(id);
+        clearTimeout(p.timer);
+        if (result.type === 'pong') {
+            rttMs = Math.round(performance.now() - p.sentAt);
+            notify();
+        }
+        p.resolve(result);
+    }
+
+    function connect() {
+        ws = new WebSocket(socketUrl());
+
+        ws.onopen = () => ws.send(JSON.stringify({ type: 'hello', token }));
+
+        ws.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+
+            if (message.type === 'hello') {
+                ready = !!message.ok;
+                if (ready) retry = 0;
+                notify();
+            } else if (message.type === 'ack' || message.type === 'pong') {
+                settle(message.seq, message);
+            }
+        };
+
+        ws.onclose = (event) => {
+            ready = false;
+            ws = null;
+            for (const id of [...pending.keys()]) settle(id, { ok: false, error: 'disconnected' });
+            notify();
+
+            if (closed || event.code === CLOSE_UNAUTHORIZED) return;
+            reconnectTimer = setTimeout(connect, RECONNECT_MS[Math.min(retry++, RECONNECT_MS.length - 1)]);
+        };
+    }
+
+    function send(type, payload = {}) {
+        if (!ready || ws?.readyState !== WebSocket.OPEN) return null;
+
+        seq += 1;
+        const id = seq;
+        ws.send(JSON.stringify({ type, seq: id, ...payload }));
+
+        return new Promise((resolve) => {
+            pending.set(id, {
+                resolve,
+                sentAt: performance.now(),
+                timer: setTimeout(() => settle(id, { ok: false, error: 'timeout' }), ACK_TIMEOUT_MS),
+            });
+        });
+    }
+
+    const pingTimer = setInterval(() => send('ping', { t: Date.now() }), PING_MS);
+
+    function close() {
+        closed = true;
+        clearTimeout(reconnectTimer);
+        clearInterval(pingTimer);
+        ws?.close();
+    }
+
+    if (API_BASE_URL && typeof WebSocket !== 'undefined') connect();
+
+    return { send, close };
+}
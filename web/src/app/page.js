@@ -1,8 +1,12 @@
 import DonateForm from './components/DonateForm';
+import CampaignProgress from './components/CampaignProgress';
+import MachineModeBanner from './components/MachineModeBanner';
 
 export default function HomePage() {
   return (
     <main className="min-h-screen bg-slate-900 text-slate-100 flex flex-col items-center justify-center px-4 py-10">
+      <MachineModeBanner className="max-w-2xl mb-8" />
+
       <div className="w-full max-w-2xl text-center space-y-3 mb-8">
         <h1 className="text-4xl font-extrabold">
           🎁 SweetControl Arcade Claw
@@ -11,10 +15,12 @@ export default function HomePage() {
           Donate to play the claw machine live.
         </p>
         <p className="text-slate-400 text-sm">
-          Each 1€ gives you 1 credit. Maximum credits per player: 5.
+          Pick a credit bundle: bigger bundles come with free credits.
         </p>
       </div>
 
+      <CampaignProgress className="mb-8" />
+
       <DonateForm />
 
       <div className="mt-8 text-xs text-slate-500 text-center max-w-md">
@@ -6,6 +6,13 @@ import { useRouter, useSearchParams } from 'next/navigation';
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
 const TOKEN_KEY = 'sweet_token';
 
+// Payments that ended without money (claim answers 410 with one of these)
+const FAILED_MESSAGES = {
+    failed: 'Your payment failed. No money was taken.',
+    canceled: 'You canceled the payment.',
+    expired: 'The payment expired before it was completed.',
+};
+
 export default function PlayClaimPage() {
     const router = useRouter();
     const searchParams = useSearchParams();
@@ -13,8 +20,10 @@ export default function PlayClaimPage() {
     // New param: /play?intent=XXXX
     const intentId = searchParams.get('intent');
 
-    const [status, setStatus] = useState('claiming'); // claiming | success | error
+    const [status, setStatus] = useState('claiming'); // claiming | success | failed | error
     const [error, setError] = useState('');
+    const [paymentStatus, setPaymentStatus] = useState(''); // failed | canceled | expired
+    const [retrying, setRetrying] = useState(false);
 
     useEffect(() => {
         let intervalId = null;
@@ -48,6 +57,13 @@ export default function PlayClaimPage() {
                     return false;
                 }
 
+                // Payment failed/canceled/expired => stop polling, offer a retry
+                if (res.status === 410 && FAILED_MESSAGES[data.status]) {
+                    setPaymentStatus(data.status);
+                    setStatus('failed');
+                    return true;
+                }
+
                 if (!res.ok) {
                     setStatus('error');
                     setError(data?.error || 'Claim failed.');
@@ -86,6 +102,35 @@ export default function PlayClaimPage() {
         };
     }, [intentId, router]);
 
+    // New checkout for the same name/amount
+    async function handleRetry() {
+        try {
+            setRetrying(true);
+
+            const res = await fetch(`${API_BASE_URL}/api/donations/retry`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ intentId }),
+            });
+
+            const data = await res.json();
+
+            if (!res.ok) {
+                setStatus('error');
+                setError(data?.error || 'Could not restart the payment.');
+                return;
+            }
+
+            window.location.href = data.checkoutUrl;
+        } catch (err) {
+            console.error(err);
+            setStatus('error');
+            setError('Network error while restarting the payment.');
+        } finally {
+            setRetrying(false);
+        }
+    }
+
     return (
         <main className="min-h-screen bg-slate-900 text-slate-100 flex items-center justify-center px-4">
             <div className="w-full max-w-md bg-slate-800 p-6 rounded-2xl shadow-lg text-center space-y-3">
@@ -107,6 +152,28 @@ export default function PlayClaimPage() {
                     </>
                 )}
 
+                {status === 'failed' && (
+                    <>
+                        <h1 className="text-2xl font-bold text-amber-400">Payment not completed</h1>
+                        <p className="text-slate-300 text-sm">{FAILED_MESSAGES[paymentStatus]}</p>
+                        <div className="flex justify-center gap-2 mt-3">
+                            <button
+                                onClick={handleRetry}
+                                disabled={retrying}
+                                className="px-4 py-2 rounded-lg bg-emerald-500 text-sm font-semibold disabled:opacity-60"
+                            >
+                                {retrying ? 'Redirecting…' : 'Try again'}
+                            </button>
+                            <button
+                                onClick={() => router.replace('/')}
+                                className="px-4 py-2 rounded-lg bg-slate-700 text-sm font-semibold"
+                            >
+                                Back to Home
+                            </button>
+                        </div>
+                    </>
+                )}
+
                 {status === 'error' && (
                     <>
                         <h1 className="text-2xl font-bold text-red-400">Oops ❌</h1>
@@ -0,0 +1,41 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import CampaignProgress from './../components/CampaignProgress';
+
+const SHOUT_OUT_MS = 8000;
+
+/**
+ * Big-screen view for the venue (TV / projector): campaign progress + a thank-you per donation.
+ */
+export default function ScreenPage() {
+    const [shoutOut, setShoutOut] = useState(null);
+    const shoutOutTimerRef = useRef(null);
+
+    const handleDonation = useCallback((donation) => {
+        setShoutOut(donation);
+
+        if (shoutOutTimerRef.current) clearTimeout(shoutOutTimerRef.current);
+        shoutOutTimerRef.current = setTimeout(() => setShoutOut(null), SHOUT_OUT_MS);
+    }, []);
+
+    useEffect(() => () => {
+        if (shoutOutTimerRef.current) clearTimeout(shoutOutTimerRef.current);
+    }, []);
+
+    return (
+        <main className="min-h-screen bg-slate-900 text-slate-100 flex flex-col items-center justify-center px-10 gap-16">
+            <h1 className="text-6xl font-extrabold">🎁 SweetControl Arcade Claw</h1>
+
+            <CampaignProgress size="big" onDonation={handleDonation} />
+
+            <div className="h-24 text-4xl text-center">
+                {shoutOut && (
+                    <span className="animate-pulse">
+                        Thank you <b className="text-emerald-400">{shoutOut.name || 'anonymous'}</b> for €{Number(shoutOut.amountEur).toFixed(2)}!
+                    </span>
+                )}
+            </div>
+        </main>
+    );
+}